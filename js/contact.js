@@ -0,0 +1,173 @@
+/**
+ * Sebastian Gerken Portfolio - Contact Data
+ * Obfuscated contact details and the codec to read them. Each value is
+ * XOR-encrypted with a key stream derived from a per-build key and stored as
+ * shuffled chunks, so neither the markup nor atob() reveals it. The phone
+ * number's stream also depends on a nonce that has to be found by a small
+ * proof-of-work first.
+ *
+ * scripts/build.js re-keys the payload on every build; change the values
+ * with scripts/contact-payload.js.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ContactData = factory();
+  }
+})(this, function() {
+  'use strict';
+
+  // BEGIN PAYLOAD (generated, do not edit)
+  const PAYLOAD = {"key":"575774cbcc0c1b1909526e4e909c2991","fields":{"name":[[2,"8cc553"],[5,"39"],[1,"4d3af5"],[0,"b65df5"],[3,"681269"],[4,"0b4542"]],"street":[[2,"c1aa06"],[3,"76181e"],[1,"3fb063"],[0,"753b87"]],"city":[[0,"f1b1ff"],[2,"be88ae"],[3,"170ddf"],[4,"e788"],[1,"c482e5"]],"country":[[0,"6a103c"],[3,"2bf4"],[1,"4c4605"],[2,"a828f2"]],"email":[[9,"0b"],[3,"37b9d5"],[4,"9296dc"],[0,"02559f"],[7,"c30d24"],[8,"338c07"],[6,"e85f76"],[5,"cf5c76"],[2,"052d6d"],[1,"583384"]],"phone":[[3,"33b67a"],[5,"ea"],[1,"3d1757"],[4,"4b271d"],[0,"bf45f4"],[2,"049817"]]},"work":{"phone":{"salt":"40eb2ab9","limit":262144,"target":456831752}}};
+  // END PAYLOAD
+
+  const FIELDS = ['name', 'street', 'city', 'country', 'email', 'phone'];
+
+  // Fields that need proof-of-work before they can be decoded
+  const PROTECTED_FIELDS = ['phone'];
+
+  // Upper bound for the proof-of-work nonce, roughly 10-50ms of hashing
+  const WORK_LIMIT = 1 << 18;
+
+  const CHUNK_SIZE = 3;
+
+  /**
+   * 32-bit FNV-1a hash of a string
+   */
+  function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Xorshift byte stream seeded from the key, field name and nonce
+   */
+  function keyStream(key, field, nonce) {
+    let state = fnv1a(`${key}:${field}:${nonce === undefined ? '' : nonce}`) || 1;
+    return () => {
+      state ^= state << 13;
+      state ^= state >>> 17;
+      state ^= state << 5;
+      return state & 0xff;
+    };
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  function fromHex(hex) {
+    const bytes = [];
+    for (let i = 0; i < hex.length; i += 2) bytes.push(parseInt(hex.slice(i, i + 2), 16));
+    return bytes;
+  }
+
+  /**
+   * Find the nonce whose hash matches the challenge target
+   */
+  function solve(challenge) {
+    for (let nonce = 0; nonce < challenge.limit; nonce++) {
+      if (fnv1a(`${challenge.salt}${nonce}`) === challenge.target) return nonce;
+    }
+    throw new Error('Contact challenge has no solution');
+  }
+
+  function decodeField(payload, field) {
+    const chunks = payload.fields[field];
+    if (!chunks) return '';
+
+    const challenge = payload.work && payload.work[field];
+    const next = keyStream(payload.key, field, challenge ? solve(challenge) : undefined);
+    const bytes = chunks
+      .slice()
+      .sort((a, b) => a[0] - b[0])
+      .flatMap(chunk => fromHex(chunk[1]))
+      .map(byte => byte ^ next());
+
+    return new TextDecoder().decode(new Uint8Array(bytes));
+  }
+
+  return {
+    FIELDS,
+
+    /**
+     * Decode a single field, e.g. decode('email')
+     */
+    decode(field, payload = PAYLOAD) {
+      return payload ? decodeField(payload, field) : '';
+    },
+
+    /**
+     * Decode every field into { name, street, city, country, email, phone }
+     */
+    decodeAll(payload = PAYLOAD) {
+      const contact = {};
+      FIELDS.forEach(field => {
+        contact[field] = this.decode(field, payload);
+      });
+      return contact;
+    },
+
+    /**
+     * Build a fresh payload for plain contact values (build scripts only).
+     * randomBytes(n) must return n cryptographically random bytes.
+     */
+    encode(contact, randomBytes) {
+      const randomInt = limit => {
+        const [a, b, c, d] = randomBytes(4);
+        return ((a << 24 | b << 16 | c << 8 | d) >>> 0) % limit;
+      };
+
+      const payload = { key: toHex(randomBytes(16)), fields: {}, work: {} };
+
+      FIELDS.forEach(field => {
+        let nonce;
+        if (PROTECTED_FIELDS.includes(field)) {
+          // Retry until the nonce is the first solution, so solve() finds it
+          let challenge;
+          do {
+            nonce = randomInt(WORK_LIMIT);
+            challenge = { salt: toHex(randomBytes(4)), limit: WORK_LIMIT };
+            challenge.target = fnv1a(`${challenge.salt}${nonce}`);
+          } while (solve(challenge) !== nonce);
+          payload.work[field] = challenge;
+        }
+
+        const next = keyStream(payload.key, field, nonce);
+        const bytes = Array.from(new TextEncoder().encode(contact[field] || ''), byte => byte ^ next());
+
+        const chunks = [];
+        for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+          chunks.push([i / CHUNK_SIZE, toHex(bytes.slice(i, i + CHUNK_SIZE))]);
+        }
+
+        // Fisher-Yates shuffle of the chunk order
+        for (let i = chunks.length - 1; i > 0; i--) {
+          const j = randomInt(i + 1);
+          [chunks[i], chunks[j]] = [chunks[j], chunks[i]];
+        }
+
+        payload.fields[field] = chunks;
+      });
+
+      return payload;
+    },
+
+    /**
+     * Replace the payload literal in the source of this file
+     */
+    injectPayload(source, payload) {
+      const pattern = /(\/\/ BEGIN PAYLOAD[^\n]*\n)[\s\S]*?(\n\s*\/\/ END PAYLOAD)/;
+      if (!pattern.test(source)) {
+        throw new Error('Payload markers not found in js/contact.js');
+      }
+      return source.replace(pattern, (match, begin, end) => `${begin}  const PAYLOAD = ${JSON.stringify(payload)};${end}`);
+    }
+  };
+});
@@ -0,0 +1,213 @@
+/**
+ * Sebastian Gerken Portfolio - Content Schema Validation
+ * Minimal JSON Schema validator for content/*.json, shared by the browser
+ * (DataLoader) and Node (scripts/validate-content.js). No dependencies.
+ *
+ * Supported keywords: type, enum, const, pattern, minLength, minimum,
+ * maximum, minItems, maxItems, required, properties, additionalProperties,
+ * prefixItems, items, anyOf, oneOf, $ref (local "#/$defs/..." only).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ContentSchema = factory();
+  }
+})(this, function() {
+  'use strict';
+
+  /**
+   * JSON type name of a value, distinguishing integer, array and null
+   */
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+  }
+
+  function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+  }
+
+  function resolveRef(ref, rootSchema) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Unsupported $ref: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node && node[key], rootSchema);
+  }
+
+  /**
+   * The types a schema accepts at its top level, used for anyOf/oneOf messages
+   */
+  function acceptedTypes(schema, rootSchema) {
+    if (schema.$ref) return acceptedTypes(resolveRef(schema.$ref, rootSchema), rootSchema);
+    if (schema.type) return [].concat(schema.type);
+    const branches = schema.anyOf || schema.oneOf;
+    if (branches) return branches.flatMap(branch => acceptedTypes(branch, rootSchema));
+    return [];
+  }
+
+  function describeTypes(types) {
+    const unique = [...new Set(types)];
+    return unique.length > 1
+      ? `${unique.slice(0, -1).join(', ')} or ${unique[unique.length - 1]}`
+      : unique[0];
+  }
+
+  function validateNode(value, schema, path, rootSchema, errors) {
+    if (schema.$ref) {
+      validateNode(value, resolveRef(schema.$ref, rootSchema), path, rootSchema, errors);
+      return;
+    }
+
+    const location = path || '(root)';
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => matchesType(value, type))) {
+        errors.push({ path: location, message: `expected ${describeTypes(types)}` });
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path: location, message: `expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+      return;
+    }
+
+    if ('const' in schema && value !== schema.const) {
+      errors.push({ path: location, message: `expected ${JSON.stringify(schema.const)}` });
+      return;
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path: location, message: schema.minLength === 1 ? 'must not be empty' : `expected at least ${schema.minLength} characters` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path: location, message: `"${value}" does not match ${schema.pattern}` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: location, message: `expected at least ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path: location, message: `expected at most ${schema.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path: location, message: `expected at least ${schema.minItems} items` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path: location, message: `expected at most ${schema.maxItems} items` });
+      }
+      // items covers whatever prefixItems doesn't
+      const prefix = schema.prefixItems || [];
+      value.forEach((item, index) => {
+        const itemSchema = index < prefix.length ? prefix[index] : schema.items;
+        if (itemSchema) validateNode(item, itemSchema, joinPath(path, index), rootSchema, errors);
+      });
+    }
+
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) {
+          errors.push({ path: joinPath(path, key), message: 'is required' });
+        }
+      });
+
+      const properties = schema.properties || {};
+      Object.keys(value).forEach(key => {
+        if (properties[key]) {
+          validateNode(value[key], properties[key], joinPath(path, key), rootSchema, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: joinPath(path, key), message: 'is not an allowed property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          validateNode(value[key], schema.additionalProperties, joinPath(path, key), rootSchema, errors);
+        }
+      });
+    }
+
+    const branches = schema.anyOf || schema.oneOf;
+    if (branches) {
+      const results = branches.map(branch => {
+        const branchErrors = [];
+        validateNode(value, branch, path, rootSchema, branchErrors);
+        return branchErrors;
+      });
+      const passing = results.filter(result => result.length === 0).length;
+
+      if (schema.oneOf && passing > 1) {
+        errors.push({ path: location, message: 'matches more than one allowed shape' });
+      } else if (passing === 0) {
+        // Report the branch that accepts this value's type, or the list of accepted types
+        const index = branches.findIndex(branch => {
+          const types = acceptedTypes(branch, rootSchema);
+          return types.length === 0 || types.some(type => matchesType(value, type));
+        });
+
+        if (index !== -1) {
+          errors.push(...results[index]);
+        } else {
+          errors.push({ path: location, message: `expected ${describeTypes(acceptedTypes(schema, rootSchema))}` });
+        }
+      }
+    }
+  }
+
+  return {
+    /**
+     * Validate data against a schema.
+     * Returns [{ path, message }], e.g. { path: 'projects[3].links', message: 'expected object' }
+     */
+    validate(data, schema) {
+      const errors = [];
+      validateNode(data, schema, '', schema, errors);
+      return errors;
+    },
+
+    /**
+     * Validate a content file and split its list into valid entries and
+     * errors, so one bad entry doesn't take down the whole section.
+     * Throws if the list itself is missing or malformed.
+     */
+    filterEntries(data, schema, key) {
+      const errors = this.validate(data, schema);
+      const list = data && data[key];
+
+      if (!Array.isArray(list)) {
+        throw new Error(errors.map(this.format).join('; ') || `${key}: expected array`);
+      }
+
+      const entryPattern = new RegExp(`^${key}\\[(\\d+)\\]`);
+      const invalid = new Set();
+
+      errors.forEach(error => {
+        const match = error.path.match(entryPattern);
+        if (match) invalid.add(Number(match[1]));
+      });
+
+      return {
+        entries: list.filter((entry, index) => !invalid.has(index)),
+        errors
+      };
+    },
+
+    format(error) {
+      return `${error.path}: ${error.message}`;
+    }
+  };
+});
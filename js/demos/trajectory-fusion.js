@@ -0,0 +1,594 @@
+/**
+ * Sebastian Gerken Portfolio - Trajectory Fusion Demo
+ * Interactive version of the diploma thesis pipeline. Per-camera vehicle
+ * tracks (image pixels over time) are projected onto the ground plane
+ * with each view's homography, matched where cameras overlap, stitched
+ * across detection gaps and averaged into one trajectory per vehicle.
+ *
+ * Registered as Demos['trajectory-fusion'] (see content/demos.json);
+ * ProjectDemo in main.js loads this file on demand and calls
+ * mount(container, data, options) with content/demos/trajectory-fusion.json.
+ */
+
+(function(root) {
+  'use strict';
+
+  const { html } = root.Html;
+
+  // Tracks from two cameras are the same vehicle when they stay this close (m)
+  const MATCH_DISTANCE = 2;
+  const MATCH_MIN_SAMPLES = 3;
+
+  // A track may continue another one after a gap this short (s) ...
+  const STITCH_GAP = 1.5;
+  // ... if it starts this close to where the other one was heading (m)
+  const STITCH_DISTANCE = 3;
+
+  const SPEEDS = [0.5, 1, 2, 4];
+
+  // Pointer distance (px) within which a track shows its tooltip
+  const HOVER_DISTANCE = 10;
+
+  // ==================== GEOMETRY ====================
+
+  /**
+   * Ground-plane point for image pixel (u, v)
+   */
+  function applyHomography(h, u, v) {
+    const w = h[2][0] * u + h[2][1] * v + h[2][2];
+    return {
+      x: (h[0][0] * u + h[0][1] * v + h[0][2]) / w,
+      y: (h[1][0] * u + h[1][1] * v + h[1][2]) / w
+    };
+  }
+
+  function projectTrack(track, camera) {
+    return {
+      id: track.id,
+      camera: camera.id,
+      points: track.points.map(([t, u, v]) => Object.assign({ t }, applyHomography(camera.homography, u, v)))
+    };
+  }
+
+  function start(points) {
+    return points[0].t;
+  }
+
+  function end(points) {
+    return points[points.length - 1].t;
+  }
+
+  /**
+   * Position at time t, interpolated between samples; null outside the track
+   */
+  function positionAt(points, t) {
+    if (t < start(points) || t > end(points)) return null;
+
+    let low = 0;
+    let high = points.length - 1;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (points[middle].t <= t) low = middle;
+      else high = middle;
+    }
+
+    const a = points[low];
+    const b = points[high];
+    const f = b.t === a.t ? 0 : (t - a.t) / (b.t - a.t);
+    return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f };
+  }
+
+  function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  /**
+   * Mean distance between two tracks over the samples of `a` that `b` covers
+   */
+  function compareTracks(a, b) {
+    let total = 0;
+    let samples = 0;
+    a.points.forEach(point => {
+      const other = positionAt(b.points, point.t);
+      if (!other) return;
+      total += distance(point, other);
+      samples++;
+    });
+    return { samples, distance: samples > 0 ? total / samples : Infinity };
+  }
+
+  /**
+   * Fused vehicles from projected camera tracks:
+   * [{ id, tracks, points }] ordered by first appearance
+   */
+  function fuse(tracks) {
+    // Union-find over tracks, seeded with cross-camera matches
+    const parent = tracks.map((track, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const union = (a, b) => {
+      parent[find(a)] = find(b);
+    };
+
+    tracks.forEach((a, i) => {
+      tracks.slice(i + 1).forEach((b, offset) => {
+        if (a.camera === b.camera) return;
+        const { samples, distance: mean } = compareTracks(a, b);
+        if (samples >= MATCH_MIN_SAMPLES && mean < MATCH_DISTANCE) union(i, i + 1 + offset);
+      });
+    });
+
+    const byRoot = new Map();
+    tracks.forEach((track, index) => {
+      const key = find(index);
+      if (!byRoot.has(key)) byRoot.set(key, []);
+      byRoot.get(key).push(track);
+    });
+
+    let groups = Array.from(byRoot.values()).map(members => ({ tracks: members, points: average(members) }));
+
+    // Stitch groups across gaps where no camera saw the vehicle
+    let stitched = true;
+    while (stitched) {
+      stitched = false;
+      groups.sort((a, b) => start(a.points) - start(b.points));
+
+      for (const group of groups) {
+        const next = bestContinuation(group, groups);
+        if (!next) continue;
+        group.tracks = group.tracks.concat(next.tracks);
+        group.points = average(group.tracks);
+        groups = groups.filter(other => other !== next);
+        stitched = true;
+        break;
+      }
+    }
+
+    return groups
+      .sort((a, b) => start(a.points) - start(b.points))
+      .map((group, index) => Object.assign({ id: `F${index + 1}` }, group));
+  }
+
+  /**
+   * The group that best continues `group` after a gap, if any
+   */
+  function bestContinuation(group, groups) {
+    const points = group.points;
+    const last = points[points.length - 1];
+    const previous = points[Math.max(0, points.length - 4)];
+    const elapsed = last.t - previous.t;
+    const velocity = elapsed > 0
+      ? { x: (last.x - previous.x) / elapsed, y: (last.y - previous.y) / elapsed }
+      : { x: 0, y: 0 };
+
+    let best = null;
+    let bestDistance = STITCH_DISTANCE;
+    groups.forEach(other => {
+      const first = other.points[0];
+      const gap = first.t - last.t;
+      if (other === group || gap <= 0 || gap > STITCH_GAP) return;
+
+      const predicted = { x: last.x + velocity.x * gap, y: last.y + velocity.y * gap };
+      const off = distance(predicted, first);
+      if (off < bestDistance) {
+        best = other;
+        bestDistance = off;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * One trajectory from several tracks: at each sample time, the mean of
+   * the tracks that cover it
+   */
+  function average(tracks) {
+    const times = [...new Set(tracks.flatMap(track => track.points.map(point => point.t)))].sort((a, b) => a - b);
+
+    return times.map(t => {
+      const positions = tracks.map(track => positionAt(track.points, t)).filter(Boolean);
+      return {
+        t,
+        x: positions.reduce((sum, p) => sum + p.x, 0) / positions.length,
+        y: positions.reduce((sum, p) => sum + p.y, 0) / positions.length
+      };
+    });
+  }
+
+  // ==================== DEMO ====================
+
+  /**
+   * Mount the demo into `container`. Options:
+   *   scope     createScope() from main.js; disposing it stops the demo
+   *   ctx       render context ({ t, localize, language })
+   *   autoplay  start playing (false for reduced motion)
+   * Returns { translate(ctx), setPlaying(playing), destroy() }.
+   */
+  function mount(container, data, options) {
+    const { scope } = options;
+    let ctx = options.ctx;
+
+    const cameras = data.cameras.map((camera, index) => Object.assign({}, camera, {
+      color: `--color-camera-${(index % 4) + 1}`,
+      tracks: camera.tracks.map(track => projectTrack(track, camera)),
+      footprint: [[0, 0], [camera.image.width, 0], [camera.image.width, camera.image.height], [0, camera.image.height]]
+        .map(([u, v]) => applyHomography(camera.homography, u, v))
+    }));
+
+    const state = {
+      time: 0,
+      playing: false,
+      speed: 1,
+      hidden: new Set(),
+      showFused: true,
+      fused: [],
+      hover: null,
+      lastFrame: null,
+      frame: null
+    };
+
+    container.innerHTML = html`
+      <div class="demo">
+        <div class="demo__stage">
+          <canvas class="demo__canvas" role="img"></canvas>
+          <div class="demo__tooltip" hidden></div>
+        </div>
+        <div class="demo__controls"></div>
+        <p class="demo__summary" aria-live="polite"></p>
+      </div>
+    `;
+
+    const canvas = container.querySelector('.demo__canvas');
+    const tooltip = container.querySelector('.demo__tooltip');
+    const controls = container.querySelector('.demo__controls');
+    const summary = container.querySelector('.demo__summary');
+    const context = canvas.getContext('2d');
+    let view = { width: 0, height: 0, scale: 1 };
+
+    function visibleCameras() {
+      return cameras.filter(camera => !state.hidden.has(camera.id));
+    }
+
+    // Fusion only sees the cameras that are switched on
+    function refuse() {
+      state.fused = fuse(visibleCameras().flatMap(camera => camera.tracks));
+    }
+
+    function formatSeconds(seconds) {
+      return new Intl.NumberFormat(ctx.language, { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(seconds);
+    }
+
+    function renderControls() {
+      const { t, localize } = ctx;
+
+      controls.innerHTML = html`
+        <div class="demo__playback">
+          <button type="button" class="btn btn--primary btn--sm demo__play" data-demo-play aria-pressed="${state.playing}">
+            ${state.playing ? t('demo.pause') : t('demo.play')}
+          </button>
+          <label class="demo__scrub">
+            <span class="sr-only">${t('demo.time')}</span>
+            <input type="range" min="0" max="${data.duration}" step="0.1" value="${state.time}" data-demo-scrub>
+          </label>
+          <output class="demo__clock" data-demo-clock></output>
+          <label class="demo__speed">
+            ${t('demo.speed')}
+            <select data-demo-speed>
+              ${SPEEDS.map(speed => html`<option value="${speed}"${speed === state.speed ? html` selected` : ''}>${new Intl.NumberFormat(ctx.language).format(speed)}×</option>`)}
+            </select>
+          </label>
+        </div>
+        <fieldset class="demo__layers">
+          <legend class="demo__legend">${t('trajectoryFusion.layers')}</legend>
+          ${cameras.map(camera => html`
+            <label class="demo__layer">
+              <input type="checkbox" data-demo-camera="${camera.id}"${state.hidden.has(camera.id) ? '' : html` checked`}>
+              <span class="demo__swatch" style="background: var(${camera.color})"></span>
+              ${localize(camera.label)}
+            </label>
+          `)}
+          <label class="demo__layer">
+            <input type="checkbox" data-demo-fused${state.showFused ? html` checked` : ''}>
+            <span class="demo__swatch demo__swatch--fused"></span>
+            ${t('trajectoryFusion.fused')}
+          </label>
+        </fieldset>
+      `;
+
+      canvas.setAttribute('aria-label', t('trajectoryFusion.canvas'));
+      updateClock();
+      updateSummary();
+    }
+
+    function updateClock() {
+      const clock = controls.querySelector('[data-demo-clock]');
+      const scrub = controls.querySelector('[data-demo-scrub]');
+      if (clock) {
+        clock.textContent = ctx.t('demo.clock', { time: formatSeconds(state.time), duration: formatSeconds(data.duration) });
+      }
+      if (scrub && document.activeElement !== scrub) scrub.value = state.time;
+    }
+
+    function updateSummary() {
+      const tracks = visibleCameras().reduce((sum, camera) => sum + camera.tracks.length, 0);
+      summary.textContent = ctx.t('trajectoryFusion.summary', { tracks, cameras: visibleCameras().length, vehicles: state.fused.length });
+    }
+
+    // ---------- Drawing ----------
+
+    function resize() {
+      const width = canvas.clientWidth || container.clientWidth || 640;
+      const scale = width / data.ground.width;
+      const height = Math.round(data.ground.height * scale);
+      const ratio = root.devicePixelRatio || 1;
+
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      canvas.style.height = `${height}px`;
+      context.setTransform(ratio, 0, 0, ratio, 0, 0);
+      view = { width, height, scale };
+      draw();
+    }
+
+    // Ground y points north, canvas y down
+    function toCanvas(point) {
+      return { x: point.x * view.scale, y: view.height - point.y * view.scale };
+    }
+
+    function tracePath(points) {
+      context.beginPath();
+      points.forEach((point, index) => {
+        const p = toCanvas(point);
+        if (index === 0) context.moveTo(p.x, p.y);
+        else context.lineTo(p.x, p.y);
+      });
+    }
+
+    function pointsUntil(points, t) {
+      const shown = points.filter(point => point.t <= t);
+      const current = positionAt(points, t);
+      if (current && shown.length > 0) shown.push(Object.assign({ t }, current));
+      return shown;
+    }
+
+    function draw() {
+      if (!view.width) return;
+      const styles = root.getComputedStyle(container);
+      const color = name => styles.getPropertyValue(name).trim();
+
+      context.clearRect(0, 0, view.width, view.height);
+      context.fillStyle = color('--color-bg-elevated');
+      context.fillRect(0, 0, view.width, view.height);
+
+      // Road markings
+      context.strokeStyle = color('--color-text-muted');
+      context.lineWidth = 1;
+      data.ground.lines.forEach(line => {
+        context.setLineDash(line.dashed ? [8, 8] : []);
+        tracePath(line.points.map(([x, y]) => ({ x, y })));
+        context.stroke();
+      });
+      context.setLineDash([]);
+
+      visibleCameras().forEach(camera => {
+        const stroke = color(camera.color);
+
+        // Field of view
+        context.globalAlpha = 0.08;
+        context.fillStyle = stroke;
+        tracePath(camera.footprint);
+        context.closePath();
+        context.fill();
+        context.globalAlpha = 0.35;
+        context.strokeStyle = stroke;
+        context.stroke();
+
+        context.globalAlpha = 0.8;
+        context.lineWidth = 1.5;
+        camera.tracks.forEach(track => {
+          const shown = pointsUntil(track.points, state.time);
+          if (shown.length < 2) return;
+          tracePath(shown);
+          context.stroke();
+
+          const current = positionAt(track.points, state.time);
+          if (current) drawDot(current, 3, stroke);
+        });
+        context.globalAlpha = 1;
+      });
+
+      if (state.showFused) {
+        const accent = color('--color-accent');
+        context.strokeStyle = accent;
+        context.lineWidth = 3;
+        state.fused.forEach(vehicle => {
+          const shown = pointsUntil(vehicle.points, state.time);
+          if (shown.length < 2) return;
+          tracePath(shown);
+          context.stroke();
+
+          const current = positionAt(vehicle.points, state.time);
+          if (current) drawDot(current, 6, accent);
+        });
+      }
+
+      if (state.hover) {
+        context.strokeStyle = color('--color-text-primary');
+        context.lineWidth = 2;
+        const p = toCanvas(state.hover.point);
+        context.beginPath();
+        context.arc(p.x, p.y, 8, 0, Math.PI * 2);
+        context.stroke();
+      }
+    }
+
+    function drawDot(point, radius, fill) {
+      const p = toCanvas(point);
+      context.fillStyle = fill;
+      context.beginPath();
+      context.arc(p.x, p.y, radius, 0, Math.PI * 2);
+      context.fill();
+    }
+
+    // ---------- Hover ----------
+
+    /**
+     * Closest drawn track to a canvas position, fused ones first
+     */
+    function trackAt(x, y) {
+      const candidates = [
+        ...(state.showFused ? state.fused.map(vehicle => ({ vehicle, points: vehicle.points })) : []),
+        ...visibleCameras().flatMap(camera => camera.tracks.map(track => ({ camera, track, points: track.points })))
+      ];
+
+      let best = null;
+      let bestDistance = HOVER_DISTANCE;
+      candidates.forEach(candidate => {
+        pointsUntil(candidate.points, state.time).forEach(point => {
+          const p = toCanvas(point);
+          const off = Math.hypot(p.x - x, p.y - y);
+          if (off < bestDistance) {
+            best = Object.assign({ point }, candidate);
+            bestDistance = off;
+          }
+        });
+      });
+      return best;
+    }
+
+    function describe(hit) {
+      if (hit.vehicle) {
+        return ctx.t('trajectoryFusion.tooltipFused', { id: hit.vehicle.id, tracks: hit.vehicle.tracks.map(track => track.id).join(', ') });
+      }
+      return ctx.t('trajectoryFusion.tooltipTrack', { id: hit.track.id, camera: ctx.localize(hit.camera.label) });
+    }
+
+    function handlePointerMove(e) {
+      const rect = canvas.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      const hit = trackAt(x, y);
+
+      state.hover = hit;
+      tooltip.hidden = !hit;
+      if (hit) {
+        tooltip.textContent = describe(hit);
+        tooltip.style.left = `${x}px`;
+        tooltip.style.top = `${y}px`;
+      }
+      if (!state.playing) draw();
+    }
+
+    function clearHover() {
+      state.hover = null;
+      tooltip.hidden = true;
+      if (!state.playing) draw();
+    }
+
+    // ---------- Playback ----------
+
+    function setPlaying(playing) {
+      state.playing = playing;
+      state.lastFrame = null;
+
+      const button = controls.querySelector('[data-demo-play]');
+      button.setAttribute('aria-pressed', String(playing));
+      button.textContent = ctx.t(playing ? 'demo.pause' : 'demo.play');
+
+      if (playing && !state.frame) {
+        // Play from the start again once the end is reached
+        if (state.time >= data.duration) state.time = 0;
+        state.frame = scope.requestAnimationFrame(tick);
+      }
+    }
+
+    function tick(now) {
+      state.frame = null;
+      if (!state.playing) return;
+
+      if (state.lastFrame !== null) {
+        state.time = Math.min(data.duration, state.time + ((now - state.lastFrame) / 1000) * state.speed);
+      }
+      state.lastFrame = now;
+
+      // The hovered point moves on, so the tooltip would be stale
+      if (state.hover) clearHover();
+
+      updateClock();
+      draw();
+
+      if (state.time >= data.duration) {
+        setPlaying(false);
+        return;
+      }
+      state.frame = scope.requestAnimationFrame(tick);
+    }
+
+    function seek(time) {
+      state.time = Math.max(0, Math.min(data.duration, time));
+      updateClock();
+      draw();
+    }
+
+    // ---------- Events ----------
+
+    scope.listen(controls, 'click', (e) => {
+      if (e.target.closest('[data-demo-play]')) setPlaying(!state.playing);
+    });
+
+    scope.listen(controls, 'input', (e) => {
+      if (e.target.matches('[data-demo-scrub]')) seek(Number(e.target.value));
+    });
+
+    scope.listen(controls, 'change', (e) => {
+      const target = e.target;
+      if (target.matches('[data-demo-speed]')) {
+        state.speed = Number(target.value);
+      } else if (target.matches('[data-demo-camera]')) {
+        if (target.checked) state.hidden.delete(target.dataset.demoCamera);
+        else state.hidden.add(target.dataset.demoCamera);
+        refuse();
+        updateSummary();
+        draw();
+      } else if (target.matches('[data-demo-fused]')) {
+        state.showFused = target.checked;
+        draw();
+      }
+    });
+
+    scope.listen(canvas, 'pointermove', handlePointerMove);
+    scope.listen(canvas, 'pointerleave', clearHover);
+    scope.listen(root, 'resize', resize);
+
+    // Colors come from the theme
+    const themeObserver = new MutationObserver(() => draw());
+    themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+    scope.onDispose(() => themeObserver.disconnect());
+
+    refuse();
+    renderControls();
+    resize();
+    if (options.autoplay) setPlaying(true);
+
+    return {
+      translate(nextCtx) {
+        ctx = nextCtx;
+        renderControls();
+        if (state.hover) tooltip.textContent = describe(state.hover);
+      },
+
+      setPlaying,
+
+      destroy() {
+        state.playing = false;
+        container.innerHTML = '';
+      }
+    };
+  }
+
+  root.Demos = root.Demos || {};
+  root.Demos['trajectory-fusion'] = {
+    mount,
+    fuse,
+    projectTrack
+  };
+})(this);
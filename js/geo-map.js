@@ -0,0 +1,208 @@
+/**
+ * Sebastian Gerken Portfolio - Timeline Map
+ * DOM-free SVG map of the places on the timeline, drawn from the bundled
+ * land outlines in content/land.geojson, so it needs no tile server.
+ * Shared by main.js and scripts/build.js like js/render.js.
+ *
+ * Timeline entries with `coordinates` ([longitude, latitude]) get one
+ * marker per place, and arcs join the places in chronological order.
+ * Markers and timeline items share a `data-place` key (Render.placeKey)
+ * so each can highlight the other.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html.js'), require('./render.js'));
+  } else {
+    root.GeoMap = factory(root.Html, root.Render);
+  }
+})(this, function(Html, Render) {
+  'use strict';
+
+  const { html } = Html;
+
+  // SVG units per degree of latitude
+  const SCALE = 10;
+
+  // Share of the places' extent added on every side
+  const PADDING = 0.2;
+
+  // Degrees of longitude shown at least, e.g. for a single place
+  const MIN_SPAN = 24;
+
+  // Width to height of the map
+  const ASPECT = 2;
+
+  /**
+   * Places in order of the first visit: { key, coordinates, label, entries }.
+   * Entries come from Render.TimelineDates.prepare(), oldest first.
+   */
+  function places(items, ctx, now) {
+    const entries = Render.TimelineDates.prepare(items.filter(item => item.coordinates), now).reverse();
+    const byKey = new Map();
+
+    entries.forEach(entry => {
+      const key = Render.placeKey(entry.item.coordinates);
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          key,
+          coordinates: entry.item.coordinates,
+          label: ctx.localize(entry.item.location) || entry.item.organization,
+          entries: []
+        });
+      }
+      byKey.get(key).entries.push(entry);
+    });
+
+    return { list: [...byKey.values()], route: route(entries) };
+  }
+
+  /**
+   * Place keys in the order they were visited, without repeats in a row
+   */
+  function route(entries) {
+    return entries
+      .map(entry => Render.placeKey(entry.item.coordinates))
+      .filter((key, index, keys) => key !== keys[index - 1]);
+  }
+
+  /**
+   * Equirectangular projection fitted around the places, true to scale at
+   * their middle latitude: { x, y, width, height, unit, project([lon, lat]) }
+   */
+  function fitView(list) {
+    const longitudes = list.map(place => place.coordinates[0]);
+    const latitudes = list.map(place => place.coordinates[1]);
+    const middle = (Math.min(...latitudes) + Math.max(...latitudes)) / 2;
+    const stretch = Math.cos(middle * Math.PI / 180);
+    const project = ([longitude, latitude]) => [longitude * stretch * SCALE, -latitude * SCALE];
+
+    const [west, north] = project([Math.min(...longitudes), Math.max(...latitudes)]);
+    const [east, south] = project([Math.max(...longitudes), Math.min(...latitudes)]);
+    let width = Math.max((east - west) * (1 + 2 * PADDING), MIN_SPAN * stretch * SCALE);
+    let height = (south - north) * (1 + 2 * PADDING);
+
+    if (width / height < ASPECT) {
+      width = height * ASPECT;
+    } else {
+      height = width / ASPECT;
+    }
+
+    return {
+      x: (west + east - width) / 2,
+      y: (north + south - height) / 2,
+      width,
+      height,
+      // Marker and label sizes, so they look the same at every zoom
+      unit: width / 100,
+      project
+    };
+  }
+
+  function round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  /**
+   * One path for all land, skipping polygons outside the view. Holes like
+   * inland seas rely on fill-rule="evenodd".
+   */
+  function landPath(land, view) {
+    const inView = points => points.some(([x, y]) =>
+      x >= view.x && x <= view.x + view.width && y >= view.y && y <= view.y + view.height);
+
+    return land.features
+      .flatMap(feature => (feature.geometry.type === 'MultiPolygon' ? feature.geometry.coordinates : [feature.geometry.coordinates]))
+      .map(polygon => polygon.map(ring => ring.map(view.project)))
+      .filter(polygon => inView(polygon[0]) || polygonCovers(polygon[0], view))
+      .flatMap(polygon => polygon.map(ring => `M${ring.map(([x, y]) => `${round(x)} ${round(y)}`).join('L')}Z`))
+      .join('');
+  }
+
+  /**
+   * Whether a ring has the view's middle inside, for land larger than the view
+   */
+  function polygonCovers(ring, view) {
+    const cx = view.x + view.width / 2;
+    const cy = view.y + view.height / 2;
+    let inside = false;
+    ring.forEach(([x, y], index) => {
+      const [px, py] = ring[(index || ring.length) - 1];
+      if ((y > cy) !== (py > cy) && cx < x + (cy - y) / (py - y) * (px - x)) inside = !inside;
+    });
+    return inside;
+  }
+
+  /**
+   * Arc between two points, bending to the left of the direction of travel
+   * so trips there and back don't overlap. It's split in the middle, where
+   * the arrow marker goes.
+   */
+  function arcPath([x1, y1], [x2, y2]) {
+    const bend = 0.2;
+    const cx = (x1 + x2) / 2 + (y2 - y1) * bend;
+    const cy = (y1 + y2) / 2 - (x2 - x1) * bend;
+
+    // De Casteljau at t = 0.5
+    const [ax, ay] = [(x1 + cx) / 2, (y1 + cy) / 2];
+    const [bx, by] = [(cx + x2) / 2, (cy + y2) / 2];
+    const [mx, my] = [(ax + bx) / 2, (ay + by) / 2];
+
+    return [[x1, y1], [ax, ay], [mx, my], [bx, by], [x2, y2]]
+      .map(([x, y], index) => `${['M', 'Q', '', 'Q', ''][index]}${round(x)} ${round(y)}`)
+      .join(' ');
+  }
+
+  function placeMarker(place, view, ctx) {
+    const [x, y] = view.project(place.coordinates);
+    const { unit } = view;
+    const titles = place.entries.map(entry => ctx.localize(entry.item.title));
+    // Labels point inwards so they stay inside the map
+    const leftHalf = x < view.x + view.width / 2;
+
+    return html`
+      <g class="timeline-map__place" data-place="${place.key}" tabindex="0" role="button"
+         aria-label="${ctx.t('timeline.mapPlace', { place: place.label, entries: titles.join(', ') })}">
+        <circle class="timeline-map__halo" cx="${round(x)}" cy="${round(y)}" r="${round(unit * 2.4)}"></circle>
+        <circle class="timeline-map__dot" cx="${round(x)}" cy="${round(y)}" r="${round(unit * 1.1)}"></circle>
+        <text class="timeline-map__label" x="${round(x + (leftHalf ? 1 : -1) * unit * 2.8)}" y="${round(y + unit * 0.9)}"
+              text-anchor="${leftHalf ? 'start' : 'end'}" font-size="${round(unit * 2.6)}">${place.label}</text>
+      </g>
+    `;
+  }
+
+  return {
+    places,
+
+    /**
+     * The map for the given timeline entries, or '' when none has coordinates
+     */
+    render(land, items, ctx, now) {
+      const { list, route: keys } = places(items, ctx, now);
+      if (list.length === 0) return '';
+
+      const view = fitView(list);
+      const byKey = new Map(list.map(place => [place.key, place]));
+      const arcs = keys.slice(1).map((key, index) =>
+        arcPath(view.project(byKey.get(keys[index]).coordinates), view.project(byKey.get(key).coordinates)));
+      const arrow = view.unit * 1.2;
+
+      return html`
+        <svg class="timeline-map__svg" viewBox="${[view.x, view.y, view.width, view.height].map(round).join(' ')}" focusable="false">
+          <defs>
+            <marker id="timeline-map-arrow" class="timeline-map__arrow" viewBox="0 0 10 10" refX="5" refY="5"
+                    markerUnits="userSpaceOnUse" markerWidth="${round(arrow * 2)}" markerHeight="${round(arrow * 2)}" orient="auto">
+              <path d="M2 1L8 5L2 9Z"></path>
+            </marker>
+          </defs>
+          <rect class="timeline-map__sea" x="${round(view.x)}" y="${round(view.y)}" width="${round(view.width)}" height="${round(view.height)}"></rect>
+          <path class="timeline-map__land" fill-rule="evenodd" d="${landPath(land, view)}" aria-hidden="true"></path>
+          <g class="timeline-map__route" aria-hidden="true">
+            ${arcs.map(d => html`<path d="${d}" marker-mid="url(#timeline-map-arrow)"></path>`)}
+          </g>
+          ${list.map(place => placeMarker(place, view, ctx))}
+        </svg>
+      `;
+    }
+  };
+});
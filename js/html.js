@@ -0,0 +1,136 @@
+/**
+ * Sebastian Gerken Portfolio - HTML Templates
+ * Escape-by-default tagged template for building markup from content:
+ *
+ *   html`<a href="${url}" title="${title}">${text}</a>`
+ *
+ * Each interpolation is escaped for where it sits in the template: text,
+ * a quoted attribute value, or a URL attribute (href, src, ...) where
+ * schemes other than http(s), mailto and tel become "#". Values inside a
+ * tag must be quoted, and event handler attributes take no values at all.
+ *
+ * Results of html`` and raw() pass through unchanged, so templates nest;
+ * arrays are joined, and null, undefined and false render nothing outside
+ * attribute values. raw() is for trusted markup only, e.g. SVG icons or
+ * the Markdown renderer's output.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Html = factory();
+  }
+})(this, function() {
+  'use strict';
+
+  const SAFE = Symbol('safeHTML');
+
+  const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+  const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href'];
+
+  const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+  // Interpolation contexts, cached per template
+  const contextCache = new WeakMap();
+
+  function raw(markup) {
+    return { [SAFE]: true, markup: String(markup), toString() { return this.markup; } };
+  }
+
+  function isSafe(value) {
+    return Boolean(value && value[SAFE]);
+  }
+
+  function escape(value) {
+    return String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+  }
+
+  /**
+   * The URL, or "#" when its scheme could run script (javascript:, data:, ...)
+   */
+  function safeUrl(value) {
+    const url = String(value).trim();
+
+    // Browsers skip control characters and whitespace inside the scheme
+    const scheme = url.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z\d+.-]*):/i);
+    return scheme && !SAFE_SCHEMES.includes(scheme[1].toLowerCase()) ? '#' : url;
+  }
+
+  /**
+   * Where an interpolation lands, judging by the template markup before it:
+   * { type: 'text' }, { type: 'tag' } or { type: 'attribute', name, start }
+   */
+  function contextAt(markup) {
+    const tagStart = markup.lastIndexOf('<');
+    if (tagStart === -1 || tagStart < markup.lastIndexOf('>')) return { type: 'text' };
+
+    // Drop complete quoted values; an open one is left at the end
+    const tag = markup.slice(tagStart).replace(/"[^"]*"|'[^']*'/g, '""');
+    const open = tag.match(/([^\s"'<>/=]+)\s*=\s*["']([^"']*)$/);
+    if (!open) return { type: 'tag' };
+
+    return { type: 'attribute', name: open[1].toLowerCase(), start: open[2] === '' };
+  }
+
+  function contextsFor(strings) {
+    if (!contextCache.has(strings)) {
+      let markup = '';
+      const contexts = strings.slice(0, -1).map(part => {
+        markup += `${part}x`;
+        return contextAt(markup.slice(0, -1));
+      });
+      contextCache.set(strings, contexts);
+    }
+    return contextCache.get(strings);
+  }
+
+  function render(value, context) {
+    // Booleans are written out in attribute values, e.g. aria-pressed="${pressed}"
+    if (typeof value === 'boolean' && context.type === 'attribute') return String(value);
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(item => render(item, context)).join('');
+    if (isSafe(value)) return value.markup;
+
+    const text = String(value);
+
+    if (context.type === 'tag') {
+      // Bare boolean attributes like "hidden" are fine, anything else must be quoted
+      if (text === '' || /^[a-z][a-z-]*$/i.test(text)) return text;
+      throw new TypeError(`html: unquoted value inside a tag: ${text}`);
+    }
+
+    if (context.type === 'attribute') {
+      if (context.name.startsWith('on')) {
+        throw new TypeError(`html: values can't go into the event handler ${context.name}`);
+      }
+      const isUrl = URL_ATTRIBUTES.includes(context.name) && context.start;
+      return escape(isUrl ? safeUrl(text) : text);
+    }
+
+    return escape(text);
+  }
+
+  /**
+   * Tagged template that escapes every interpolation for its context
+   */
+  function html(strings, ...values) {
+    const contexts = contextsFor(strings);
+    let markup = strings[0];
+
+    values.forEach((value, index) => {
+      markup += render(value, contexts[index]) + strings[index + 1];
+    });
+
+    return raw(markup);
+  }
+
+  return {
+    html,
+    raw,
+    escape,
+    safeUrl,
+    isSafe
+  };
+});
@@ -0,0 +1,537 @@
+/**
+ * Sebastian Gerken Portfolio - Translations
+ * UI strings for the EN/DE language toggle, keyed by data-i18n attributes.
+ * Loaded as window.I18N in the browser and via require() by the build scripts.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.I18N = factory();
+  }
+})(this, function() {
+  'use strict';
+
+  const translations = {
+    en: {
+      // Shared
+      'meta.skipLink': 'Skip to main content',
+      'meta.menuToggle': 'Toggle navigation menu',
+      'meta.mainNav': 'Main navigation',
+      'meta.languageSelection': 'Language selection',
+      'meta.legalLinks': 'Legal links',
+      'meta.themeSelection': 'Color theme',
+      'theme.light': 'Light theme',
+      'theme.dark': 'Dark theme',
+      'theme.system': 'System theme',
+      'nav.home': 'Home',
+      'nav.about': 'About',
+      'nav.projects': 'Projects',
+      'nav.experience': 'Experience',
+      'nav.notes': 'Notes',
+      'nav.contact': 'Contact',
+      'footer.rights': 'All rights reserved.',
+      'cta.getInTouch': 'Get in Touch',
+
+      // Index
+      'index.title': 'Sebastian Gerken - Traffic Engineer & Software Developer',
+      'hero.greeting': 'Hello, I\'m',
+      'hero.skills': 'Current skills',
+      'hero.previousRole': 'Previous role',
+      'hero.nextRole': 'Next role',
+      'updates.available': 'Updated content available',
+      'updates.refresh': 'Refresh',
+      'updates.dismiss': 'Dismiss',
+      'palette.label': 'Command palette',
+      'palette.search': 'Search the site',
+      'palette.placeholder': 'Search pages, projects, experience and actions…',
+      'palette.hint': '↑ ↓ to move · Enter to open · Esc to close',
+      'palette.empty': 'No matches',
+      'palette.results': '{count} results',
+      'palette.resultsOne': '1 result',
+      'palette.group.recent': 'Recent',
+      'palette.group.section': 'On this page',
+      'palette.group.page': 'Pages',
+      'palette.group.project': 'Projects',
+      'palette.group.experience': 'Experience',
+      'palette.group.action': 'Actions',
+      'palette.type.section': 'Section',
+      'palette.type.page': 'Page',
+      'palette.type.project': 'Project',
+      'palette.type.experience': 'Experience',
+      'palette.type.action': 'Action',
+      'palette.page.cv': 'CV',
+      'palette.page.impressum': 'Legal notice (Impressum)',
+      'palette.page.privacy': 'Privacy policy',
+      'palette.action.language.en': 'Switch to English',
+      'palette.action.language.de': 'Switch to German',
+      'palette.action.copyEmail': 'Copy email address',
+      'palette.action.reduceMotion': 'Reduce motion',
+      'palette.action.allowMotion': 'Turn animations back on',
+      'palette.emailCopied': 'Email address copied',
+      'palette.copyFailed': 'The email address couldn\'t be copied',
+      'palette.motionReduced': 'Motion reduced on this site',
+      'palette.motionAllowed': 'Animations are back on',
+      'hero.viewProjects': 'View Projects',
+      'hero.scroll': 'Scroll',
+      'about.kicker': 'About',
+      'about.title': 'Traffic engineer & computer vision specialist.',
+      'about.text1': 'I\'m a multidisciplinary professional bridging the gap between traffic engineering, computer vision, and software development. With a passion for solving complex urban mobility challenges through data-driven solutions.',
+      'about.text2': 'My work combines traditional traffic engineering principles with cutting-edge machine learning and geospatial analysis to create innovative solutions for modern transportation systems.',
+      'about.learnMore': 'Learn More',
+      'stats.experience': 'Years Experience',
+      'stats.specializations': 'Specializations',
+      'stats.diploma': 'Dresden Diploma',
+      'stats.cv': 'Computer Vision',
+      'projects.kicker': 'Projects',
+      'projects.title': 'Featured Work',
+      'projects.subtitle': 'A selection of my recent projects in traffic engineering, computer vision, and software development.',
+      'projects.demo': 'Demo',
+      'projects.code': 'Code',
+      'projects.details': 'Details',
+      'projects.viewAll': 'View All Projects',
+      'filters.label': 'Filter projects',
+      'filters.search': 'Search projects',
+      'filters.tags': 'Tags',
+      'filters.status': 'Status',
+      'filters.year': 'Year',
+      'filters.clear': 'Clear filters',
+      'filters.byTag': 'Show projects tagged {tag}',
+      'filters.count': '{count} projects found',
+      'filters.countOne': '1 project found',
+      'filters.empty': 'No projects match these filters.',
+      'projectDetail.allProjects': 'All Projects',
+      'projectDetail.close': 'Close project details',
+      'projectDetail.role': 'Role',
+      'projectDetail.gallery': 'Project images',
+      'projectDetail.techStack': 'Tech Stack',
+      'projectDetail.outcomes': 'Outcomes',
+      'projectDetail.notFound': 'Project not found',
+      'projectDetail.enlarge': 'Enlarge image',
+      'lightbox.label': 'Image viewer',
+      'lightbox.close': 'Close image viewer',
+      'lightbox.previous': 'Previous image',
+      'lightbox.next': 'Next image',
+      'lightbox.counter': '{index} / {count}',
+      'demo.loading': 'Loading demo…',
+      'demo.loaded': '{title} loaded',
+      'demo.error': 'The demo couldn\'t be loaded. Please try again later.',
+      'demo.notFound': 'Demo not found',
+      'demo.project': 'About the project',
+      'demo.close': 'Close demo',
+      'demo.play': 'Play',
+      'demo.pause': 'Pause',
+      'demo.time': 'Playback position',
+      'demo.clock': '{time} s / {duration} s',
+      'demo.speed': 'Speed',
+      'trajectoryFusion.canvas': 'Road seen from above with the camera fields of view, the tracks of each camera and the fused vehicle trajectories',
+      'trajectoryFusion.layers': 'Layers',
+      'trajectoryFusion.fused': 'Fused trajectories',
+      'trajectoryFusion.summary': '{tracks} tracks from {cameras} cameras fused into {vehicles} vehicles',
+      'trajectoryFusion.tooltipFused': 'Vehicle {id}, fused from tracks {tracks}',
+      'trajectoryFusion.tooltipTrack': '{camera}, track {id}',
+      'load.projectsLoaded': 'Projects loaded',
+      'load.projectsError': 'The projects couldn\'t be loaded.',
+      'load.timelineLoaded': 'Experience timeline loaded',
+      'load.timelineError': 'The experience timeline couldn\'t be loaded.',
+      'load.retry': 'Try again',
+      'status.completed': 'Completed',
+      'status.in-progress': 'In Progress',
+      'status.coming-soon': 'Coming Soon',
+      'experience.kicker': 'Experience',
+      'experience.title': 'My Journey',
+      'experience.subtitle': 'A timeline of my education and professional experience.',
+      'timeline.education': 'Education',
+      'timeline.work': 'Work',
+      'timeline.current': 'Current',
+      'timeline.present': 'Present',
+      'timeline.filter': 'Filter timeline by type',
+      'timeline.all': 'All',
+      'timeline.mapCaption': 'Where it happened, in order. Point at a place to find its entries, or at an entry to find its place.',
+      'timeline.mapPlace': '{place}: {entries}',
+      'duration.year': '1 yr',
+      'duration.years': '{count} yrs',
+      'duration.month': '1 mo',
+      'duration.months': '{count} mos',
+      'contact.title': 'Let\'s Connect',
+      'contact.text': 'Have a project in mind or want to discuss opportunities? I\'d love to hear from you.',
+      'contact.emailMe': 'Email Me',
+
+      // About page
+      'aboutPage.title': 'About - Sebastian Gerken',
+      'aboutPage.kicker': 'About Me',
+      'aboutPage.heading': 'Traffic Engineer & Computer Vision Specialist',
+      'aboutPage.subtitle': 'Bridging the gap between traditional traffic engineering and modern AI-powered solutions.',
+      'aboutPage.background': 'Background',
+      'aboutPage.background1': 'I\'m a multidisciplinary professional with a Diploma in Traffic Engineering from TU Dresden, one of Germany\'s leading technical universities. My academic journey specialized in traffic planning and technology, with a focus on intelligent transportation systems.',
+      'aboutPage.background2': 'My diploma thesis focused on <strong>Multi-Camera Trajectory Fusion</strong>, developing algorithms to merge vehicle trajectories from multiple overlapping camera views into unified traffic flow representations.',
+      'aboutPage.background3': 'I also had the opportunity to spend an exchange semester at Dankook University in South Korea, expanding my perspective on software engineering and international collaboration.',
+      'aboutPage.skills': 'Skills & Expertise',
+      'skills.indexTitle': 'Skills in Context',
+      'skills.indexIntro': 'The projects, roles, experience and notes behind each skill.',
+      'skills.level.basic': 'Basic',
+      'skills.level.intermediate': 'Intermediate',
+      'skills.level.advanced': 'Advanced',
+      'skills.level.expert': 'Expert',
+      'skills.sources': '{count} sources',
+      'skills.sourcesOne': '1 source',
+      'skills.unbacked': 'Nothing on this site shows it yet.',
+      'skills.projects': 'Projects',
+      'skills.roles': 'Roles',
+      'skills.experience': 'Experience',
+      'skills.notes': 'Notes',
+      'skills.error': 'The skill index couldn\'t be loaded. Please try again later.',
+      'aboutPage.currentPosition': 'Current Position',
+      'aboutPage.currentTitle': 'Traffic Engineer',
+      'aboutPage.currentDescription': 'Specializing in video-based traffic analysis and multi-camera computer vision solutions. Building scalable systems for automated traffic data collection and safety analysis.',
+      'aboutPage.viewTimeline': 'View Full Timeline',
+      'aboutPage.viewCv': 'View CV',
+
+      // Notes page
+      'notesPage.title': 'Notes - Sebastian Gerken',
+      'notesPage.kicker': 'Notes',
+      'notesPage.heading': 'Notes & Write-ups',
+      'notesPage.subtitle': 'Thesis notes, traffic analyses and other things worth writing down.',
+      'notes.all': 'All notes',
+      'notes.empty': 'No notes published yet.',
+      'notes.notFound': 'This note doesn\'t exist (anymore).',
+      'notes.error': 'Notes could not be loaded. Please try again later.',
+      'notes.relatedProject': 'Related project',
+      'notes.footnotes': 'Footnotes',
+      'notes.backToReference': 'Back to reference',
+      'notes.language.en': 'English',
+      'notes.language.de': 'German',
+
+      // CV page
+      'cvPage.title': 'CV - Sebastian Gerken',
+      'cv.headline': 'Traffic Engineer · Computer Vision · GeoSpatial Data',
+      'cv.variant': 'CV version',
+      'cv.compact': 'Compact',
+      'cv.full': 'Full',
+      'cv.print': 'Print / Save as PDF',
+      'cv.downloadResume': 'Download resume.json',
+      'cv.contact': 'Contact details',
+      'cv.email': 'Email',
+      'cv.phone': 'Phone',
+      'cv.experience': 'Work Experience',
+      'cv.education': 'Education',
+      'cv.projects': 'Projects',
+      'cv.skills': 'Skills',
+      'cv.techStack': 'Tech stack',
+      'cv.error': 'The CV could not be loaded. Please try again later.',
+
+      // Contact page
+      'contactPage.title': 'Contact - Sebastian Gerken',
+      'contactPage.kicker': 'Contact',
+      'contactPage.subtitle': 'Have a project in mind, want to discuss opportunities, or just want to say hello? I\'d love to hear from you.',
+      'contactPage.email': 'Email',
+      'contactPage.emailSubtitle': 'Best for inquiries',
+      'contactPage.linkedinSubtitle': 'Professional network',
+      'contactPage.githubSubtitle': 'Code & projects',
+      'contactPage.location': 'Based in Germany',
+      'contactPage.availability': 'Available for remote work and on-site projects in the DACH region.',
+      'contactPage.timezone': 'Timezone: CET (Central European Time)',
+      'contactPage.saveContact': 'Save my contact',
+      'contactPage.saveContactText': 'Add me to your address book, or scan the code with your phone.',
+      'contactPage.downloadVcard': 'Download vCard',
+      'contactPage.showQr': 'Show QR code',
+      'contactPage.qrLabel': 'QR code with my contact details',
+
+      // Contact form
+      'contactForm.title': 'Send a message',
+      'contactForm.name': 'Name',
+      'contactForm.email': 'Email',
+      'contactForm.subject': 'Subject (optional)',
+      'contactForm.message': 'Message',
+      'contactForm.consent': 'I agree that my details are used to answer my request, see the <a href="datenschutz.html">privacy policy</a>.',
+      'contactForm.send': 'Send message',
+      'contactForm.sending': 'Sending…',
+      'contactForm.defaultSubject': 'Message from {name}',
+      'contactForm.error.required': 'Please fill in this field.',
+      'contactForm.error.email': 'Please enter a valid email address.',
+      'contactForm.error.messageShort': 'Please write at least 10 characters.',
+      'contactForm.error.consent': 'Please agree to the privacy policy so I can answer you.',
+      'contactForm.status.invalid': 'Please correct the highlighted fields.',
+      'contactForm.status.tooFast': 'That was quick! Please check your message and send it again.',
+      'contactForm.status.rateLimited': 'You have sent several messages already. Please try again in {minutes} minutes.',
+      'contactForm.status.sent': 'Thank you! Your message has been sent.',
+      'contactForm.status.composed': 'Your email app should open with the message ready to send.',
+      'contactForm.status.failed': 'Your message could not be sent. Please try again later or write me an email.'
+    },
+
+    de: {
+      // Shared
+      'meta.skipLink': 'Zum Hauptinhalt springen',
+      'meta.menuToggle': 'Navigationsmenü umschalten',
+      'meta.mainNav': 'Hauptnavigation',
+      'meta.languageSelection': 'Sprachauswahl',
+      'meta.legalLinks': 'Rechtliche Hinweise',
+      'meta.themeSelection': 'Farbschema',
+      'theme.light': 'Helles Design',
+      'theme.dark': 'Dunkles Design',
+      'theme.system': 'Systemeinstellung',
+      'nav.home': 'Start',
+      'nav.about': 'Über mich',
+      'nav.projects': 'Projekte',
+      'nav.experience': 'Werdegang',
+      'nav.notes': 'Notizen',
+      'nav.contact': 'Kontakt',
+      'footer.rights': 'Alle Rechte vorbehalten.',
+      'cta.getInTouch': 'Kontakt aufnehmen',
+
+      // Index
+      'index.title': 'Sebastian Gerken - Verkehrsingenieur & Softwareentwickler',
+      'hero.greeting': 'Hallo, ich bin',
+      'hero.skills': 'Aktuelle Kompetenzen',
+      'hero.previousRole': 'Vorherige Rolle',
+      'hero.nextRole': 'Nächste Rolle',
+      'updates.available': 'Neue Inhalte verfügbar',
+      'updates.refresh': 'Aktualisieren',
+      'updates.dismiss': 'Schließen',
+      'palette.label': 'Befehlspalette',
+      'palette.search': 'Website durchsuchen',
+      'palette.placeholder': 'Seiten, Projekte, Werdegang und Aktionen durchsuchen …',
+      'palette.hint': '↑ ↓ zum Wählen · Enter zum Öffnen · Esc zum Schließen',
+      'palette.empty': 'Keine Treffer',
+      'palette.results': '{count} Treffer',
+      'palette.resultsOne': '1 Treffer',
+      'palette.group.recent': 'Zuletzt verwendet',
+      'palette.group.section': 'Auf dieser Seite',
+      'palette.group.page': 'Seiten',
+      'palette.group.project': 'Projekte',
+      'palette.group.experience': 'Werdegang',
+      'palette.group.action': 'Aktionen',
+      'palette.type.section': 'Abschnitt',
+      'palette.type.page': 'Seite',
+      'palette.type.project': 'Projekt',
+      'palette.type.experience': 'Werdegang',
+      'palette.type.action': 'Aktion',
+      'palette.page.cv': 'Lebenslauf',
+      'palette.page.impressum': 'Impressum',
+      'palette.page.privacy': 'Datenschutzerklärung',
+      'palette.action.language.en': 'Auf Englisch umschalten',
+      'palette.action.language.de': 'Auf Deutsch umschalten',
+      'palette.action.copyEmail': 'E-Mail-Adresse kopieren',
+      'palette.action.reduceMotion': 'Bewegungen reduzieren',
+      'palette.action.allowMotion': 'Animationen wieder einschalten',
+      'palette.emailCopied': 'E-Mail-Adresse kopiert',
+      'palette.copyFailed': 'Die E-Mail-Adresse konnte nicht kopiert werden',
+      'palette.motionReduced': 'Bewegungen auf dieser Website reduziert',
+      'palette.motionAllowed': 'Animationen sind wieder eingeschaltet',
+      'hero.viewProjects': 'Projekte ansehen',
+      'hero.scroll': 'Scrollen',
+      'about.kicker': 'Über mich',
+      'about.title': 'Verkehrsingenieur & Computer-Vision-Spezialist.',
+      'about.text1': 'Als interdisziplinärer Fachmann verbinde ich Verkehrsingenieurwesen, Computer Vision und Softwareentwicklung – mit einer Leidenschaft dafür, komplexe Herausforderungen der urbanen Mobilität datengetrieben zu lösen.',
+      'about.text2': 'Meine Arbeit verbindet klassische Grundlagen des Verkehrsingenieurwesens mit modernem maschinellem Lernen und Geodatenanalyse, um innovative Lösungen für moderne Verkehrssysteme zu schaffen.',
+      'about.learnMore': 'Mehr erfahren',
+      'stats.experience': 'Jahre Erfahrung',
+      'stats.specializations': 'Spezialisierungen',
+      'stats.diploma': 'Diplom Dresden',
+      'stats.cv': 'Computer Vision',
+      'projects.kicker': 'Projekte',
+      'projects.title': 'Ausgewählte Arbeiten',
+      'projects.subtitle': 'Eine Auswahl meiner aktuellen Projekte aus Verkehrsingenieurwesen, Computer Vision und Softwareentwicklung.',
+      'projects.demo': 'Demo',
+      'projects.code': 'Code',
+      'projects.details': 'Details',
+      'projects.viewAll': 'Alle Projekte ansehen',
+      'filters.label': 'Projekte filtern',
+      'filters.search': 'Projekte durchsuchen',
+      'filters.tags': 'Tags',
+      'filters.status': 'Status',
+      'filters.year': 'Jahr',
+      'filters.clear': 'Filter zurücksetzen',
+      'filters.byTag': 'Projekte mit dem Tag {tag} anzeigen',
+      'filters.count': '{count} Projekte gefunden',
+      'filters.countOne': '1 Projekt gefunden',
+      'filters.empty': 'Keine Projekte entsprechen diesen Filtern.',
+      'projectDetail.allProjects': 'Alle Projekte',
+      'projectDetail.close': 'Projektdetails schließen',
+      'projectDetail.role': 'Rolle',
+      'projectDetail.gallery': 'Projektbilder',
+      'projectDetail.techStack': 'Technologien',
+      'projectDetail.outcomes': 'Ergebnisse',
+      'projectDetail.notFound': 'Projekt nicht gefunden',
+      'projectDetail.enlarge': 'Bild vergrößern',
+      'lightbox.label': 'Bildansicht',
+      'lightbox.close': 'Bildansicht schließen',
+      'lightbox.previous': 'Vorheriges Bild',
+      'lightbox.next': 'Nächstes Bild',
+      'lightbox.counter': '{index} / {count}',
+      'demo.loading': 'Demo wird geladen…',
+      'demo.loaded': '{title} geladen',
+      'demo.error': 'Die Demo konnte nicht geladen werden. Bitte später erneut versuchen.',
+      'demo.notFound': 'Demo nicht gefunden',
+      'demo.project': 'Zum Projekt',
+      'demo.close': 'Demo schließen',
+      'demo.play': 'Abspielen',
+      'demo.pause': 'Pause',
+      'demo.time': 'Wiedergabeposition',
+      'demo.clock': '{time} s / {duration} s',
+      'demo.speed': 'Tempo',
+      'trajectoryFusion.canvas': 'Straße von oben mit den Sichtfeldern der Kameras, den Tracks jeder Kamera und den fusionierten Fahrzeugtrajektorien',
+      'trajectoryFusion.layers': 'Ebenen',
+      'trajectoryFusion.fused': 'Fusionierte Trajektorien',
+      'trajectoryFusion.summary': '{tracks} Tracks von {cameras} Kameras zu {vehicles} Fahrzeugen fusioniert',
+      'trajectoryFusion.tooltipFused': 'Fahrzeug {id}, fusioniert aus den Tracks {tracks}',
+      'trajectoryFusion.tooltipTrack': '{camera}, Track {id}',
+      'load.projectsLoaded': 'Projekte geladen',
+      'load.projectsError': 'Die Projekte konnten nicht geladen werden.',
+      'load.timelineLoaded': 'Werdegang geladen',
+      'load.timelineError': 'Der Werdegang konnte nicht geladen werden.',
+      'load.retry': 'Erneut versuchen',
+      'status.completed': 'Abgeschlossen',
+      'status.in-progress': 'In Arbeit',
+      'status.coming-soon': 'Demnächst',
+      'experience.kicker': 'Werdegang',
+      'experience.title': 'Mein Weg',
+      'experience.subtitle': 'Eine Zeitleiste meiner Ausbildung und Berufserfahrung.',
+      'timeline.education': 'Ausbildung',
+      'timeline.work': 'Beruf',
+      'timeline.current': 'Aktuell',
+      'timeline.present': 'heute',
+      'timeline.filter': 'Werdegang nach Art filtern',
+      'timeline.all': 'Alle',
+      'timeline.mapCaption': 'Wo alles stattfand, der Reihe nach. Zeigen Sie auf einen Ort, um seine Einträge zu finden, oder auf einen Eintrag, um seinen Ort zu finden.',
+      'timeline.mapPlace': '{place}: {entries}',
+      'duration.year': '1 Jahr',
+      'duration.years': '{count} Jahre',
+      'duration.month': '1 Monat',
+      'duration.months': '{count} Monate',
+      'contact.title': 'Lassen Sie uns sprechen',
+      'contact.text': 'Sie haben ein Projekt im Kopf oder möchten über Möglichkeiten sprechen? Ich freue mich auf Ihre Nachricht.',
+      'contact.emailMe': 'E-Mail schreiben',
+
+      // About page
+      'aboutPage.title': 'Über mich - Sebastian Gerken',
+      'aboutPage.kicker': 'Über mich',
+      'aboutPage.heading': 'Verkehrsingenieur & Computer-Vision-Spezialist',
+      'aboutPage.subtitle': 'Die Brücke zwischen klassischem Verkehrsingenieurwesen und modernen KI-gestützten Lösungen.',
+      'aboutPage.background': 'Hintergrund',
+      'aboutPage.background1': 'Ich bin Diplom-Verkehrsingenieur der TU Dresden, einer der führenden technischen Universitäten Deutschlands. Mein Studium hatte den Schwerpunkt Verkehrsplanung und Verkehrstechnik mit Fokus auf intelligente Verkehrssysteme.',
+      'aboutPage.background2': 'Meine Diplomarbeit befasste sich mit der <strong>Multi-Kamera-Trajektorienfusion</strong>: der Entwicklung von Algorithmen, die Fahrzeugtrajektorien aus mehreren überlappenden Kameraansichten zu einer einheitlichen Darstellung des Verkehrsflusses zusammenführen.',
+      'aboutPage.background3': 'Außerdem habe ich ein Auslandssemester an der Dankook University in Südkorea verbracht und dort meinen Blick auf Softwareentwicklung und internationale Zusammenarbeit erweitert.',
+      'aboutPage.skills': 'Kompetenzen & Expertise',
+      'skills.indexTitle': 'Kompetenzen im Kontext',
+      'skills.indexIntro': 'Die Projekte, Rollen, Stationen und Notizen hinter jeder Kompetenz.',
+      'skills.level.basic': 'Grundkenntnisse',
+      'skills.level.intermediate': 'Gute Kenntnisse',
+      'skills.level.advanced': 'Sehr gute Kenntnisse',
+      'skills.level.expert': 'Expertenwissen',
+      'skills.sources': '{count} Belege',
+      'skills.sourcesOne': '1 Beleg',
+      'skills.unbacked': 'Auf dieser Website noch nicht belegt.',
+      'skills.projects': 'Projekte',
+      'skills.roles': 'Rollen',
+      'skills.experience': 'Werdegang',
+      'skills.notes': 'Notizen',
+      'skills.error': 'Die Kompetenzübersicht konnte nicht geladen werden. Bitte später erneut versuchen.',
+      'aboutPage.currentPosition': 'Aktuelle Position',
+      'aboutPage.currentTitle': 'Verkehrsingenieur',
+      'aboutPage.currentDescription': 'Spezialisiert auf videobasierte Verkehrsanalyse und Multi-Kamera-Computer-Vision-Lösungen. Entwicklung skalierbarer Systeme für automatisierte Verkehrsdatenerfassung und Sicherheitsanalysen.',
+      'aboutPage.viewTimeline': 'Gesamten Werdegang ansehen',
+      'aboutPage.viewCv': 'Lebenslauf ansehen',
+
+      // Notes page
+      'notesPage.title': 'Notizen - Sebastian Gerken',
+      'notesPage.kicker': 'Notizen',
+      'notesPage.heading': 'Notizen & Beiträge',
+      'notesPage.subtitle': 'Notizen zur Diplomarbeit, Verkehrsanalysen und was sonst festgehalten werden will.',
+      'notes.all': 'Alle Notizen',
+      'notes.empty': 'Noch keine Notizen veröffentlicht.',
+      'notes.notFound': 'Diese Notiz gibt es nicht (mehr).',
+      'notes.error': 'Die Notizen konnten nicht geladen werden. Bitte später erneut versuchen.',
+      'notes.relatedProject': 'Zugehöriges Projekt',
+      'notes.footnotes': 'Fußnoten',
+      'notes.backToReference': 'Zurück zum Verweis',
+      'notes.language.en': 'Englisch',
+      'notes.language.de': 'Deutsch',
+
+      // CV page
+      'cvPage.title': 'Lebenslauf - Sebastian Gerken',
+      'cv.headline': 'Verkehrsingenieur · Computer Vision · Geodaten',
+      'cv.variant': 'Version des Lebenslaufs',
+      'cv.compact': 'Kompakt',
+      'cv.full': 'Ausführlich',
+      'cv.print': 'Drucken / Als PDF speichern',
+      'cv.downloadResume': 'resume.json herunterladen',
+      'cv.contact': 'Kontaktdaten',
+      'cv.email': 'E-Mail',
+      'cv.phone': 'Telefon',
+      'cv.experience': 'Berufserfahrung',
+      'cv.education': 'Ausbildung',
+      'cv.projects': 'Projekte',
+      'cv.skills': 'Kenntnisse',
+      'cv.techStack': 'Technologien',
+      'cv.error': 'Der Lebenslauf konnte nicht geladen werden. Bitte später erneut versuchen.',
+
+      // Contact page
+      'contactPage.title': 'Kontakt - Sebastian Gerken',
+      'contactPage.kicker': 'Kontakt',
+      'contactPage.subtitle': 'Sie haben ein Projekt im Kopf, möchten über Möglichkeiten sprechen oder einfach Hallo sagen? Ich freue mich auf Ihre Nachricht.',
+      'contactPage.email': 'E-Mail',
+      'contactPage.emailSubtitle': 'Ideal für Anfragen',
+      'contactPage.linkedinSubtitle': 'Berufliches Netzwerk',
+      'contactPage.githubSubtitle': 'Code & Projekte',
+      'contactPage.location': 'Ansässig in Deutschland',
+      'contactPage.availability': 'Verfügbar für Remote-Arbeit und Projekte vor Ort in der DACH-Region.',
+      'contactPage.timezone': 'Zeitzone: MEZ (Mitteleuropäische Zeit)',
+      'contactPage.saveContact': 'Kontakt speichern',
+      'contactPage.saveContactText': 'Fügen Sie mich zu Ihrem Adressbuch hinzu oder scannen Sie den Code mit Ihrem Smartphone.',
+      'contactPage.downloadVcard': 'vCard herunterladen',
+      'contactPage.showQr': 'QR-Code anzeigen',
+      'contactPage.qrLabel': 'QR-Code mit meinen Kontaktdaten',
+
+      // Contact form
+      'contactForm.title': 'Nachricht senden',
+      'contactForm.name': 'Name',
+      'contactForm.email': 'E-Mail',
+      'contactForm.subject': 'Betreff (optional)',
+      'contactForm.message': 'Nachricht',
+      'contactForm.consent': 'Ich bin einverstanden, dass meine Angaben zur Beantwortung meiner Anfrage verwendet werden, siehe <a href="datenschutz.html">Datenschutzerklärung</a>.',
+      'contactForm.send': 'Nachricht senden',
+      'contactForm.sending': 'Wird gesendet…',
+      'contactForm.defaultSubject': 'Nachricht von {name}',
+      'contactForm.error.required': 'Bitte füllen Sie dieses Feld aus.',
+      'contactForm.error.email': 'Bitte geben Sie eine gültige E-Mail-Adresse ein.',
+      'contactForm.error.messageShort': 'Bitte schreiben Sie mindestens 10 Zeichen.',
+      'contactForm.error.consent': 'Bitte stimmen Sie der Datenschutzerklärung zu, damit ich Ihnen antworten kann.',
+      'contactForm.status.invalid': 'Bitte korrigieren Sie die markierten Felder.',
+      'contactForm.status.tooFast': 'Das ging schnell! Bitte prüfen Sie Ihre Nachricht und senden Sie sie erneut.',
+      'contactForm.status.rateLimited': 'Sie haben bereits mehrere Nachrichten gesendet. Bitte versuchen Sie es in {minutes} Minuten erneut.',
+      'contactForm.status.sent': 'Vielen Dank! Ihre Nachricht wurde gesendet.',
+      'contactForm.status.composed': 'Ihr E-Mail-Programm sollte sich mit der fertigen Nachricht öffnen.',
+      'contactForm.status.failed': 'Ihre Nachricht konnte nicht gesendet werden. Bitte versuchen Sie es später erneut oder schreiben Sie mir eine E-Mail.'
+    }
+  };
+
+  return {
+    languages: ['en', 'de'],
+    defaultLanguage: 'en',
+    translations,
+
+    /**
+     * Look up a UI string, falling back to English.
+     * {name} placeholders are filled from params.
+     */
+    t(language, key, params) {
+      const strings = translations[language] || {};
+      const fallback = translations[this.defaultLanguage];
+      const text = strings[key] || fallback[key] || key;
+      if (!params) return text;
+      return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    /**
+     * Resolve a content field that is either a plain value or an { en, de } map
+     */
+    localize(language, value) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value[language] !== undefined ? value[language] : value[this.defaultLanguage];
+      }
+      return value;
+    }
+  };
+});
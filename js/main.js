@@ -8,84 +8,218 @@
 
   // ==================== CONFIGURATION ====================
   const CONFIG = {
-    roles: [
-      {
-        title: 'Traffic Engineer',
-        tags: ['Traffic Flow', 'Signal Timing', 'Safety Analysis', 'Simulation']
-      },
-      {
-        title: 'Computer Vision Specialist',
-        tags: ['OpenCV', 'YOLO', 'Object Tracking', 'Calibration']
-      },
-      {
-        title: 'GeoSpatial Data Scientist',
-        tags: ['QGIS', 'Spatial Analysis', 'Mapping', 'GeoPandas']
-      },
-      {
-        title: 'Software Developer',
-        tags: ['Python', 'R', 'Agentic Coding', 'Data Pipelines']
-      }
-    ],
+    languages: ['en', 'de'],
+    defaultLanguage: 'en',
+    siteUrl: 'https://sebastian-gerken.com/',
+    serviceWorker: 'sw.js',
     typeSpeed: 70,
     deleteSpeed: 35,
     pauseBetweenRoles: 2500,
     scrollThreshold: 0.15,
-    parallaxStrength: 0.3
+    parallaxStrength: 0.3,
+    contactForm: {
+      minFillTime: 3000,
+      rateLimit: { max: 3, window: 60 * 60 * 1000 },
+      retries: 2,
+      timeout: 10000
+    },
+    // Content files (ContentCache): per attempt timeout, retries, and how
+    // long a stored copy is used without asking the server
+    content: {
+      timeout: 8000,
+      retries: 2,
+      maxAge: 10 * 60 * 1000
+    }
   };
 
-  // Obfuscated contact data (Base64 encoded)
-  const CONTACT = {
-    name: 'U2ViYXN0aWFuIEdlcmtlbg==',
-    street: 'TmV1ZXIgV2VnIDI5',
-    city: 'Njk0MTIgRWJlcmJhY2g=',
-    country: 'RGV1dHNjaGxhbmQ=',
-    email: 'c2ViYXN0aWFuLWdlcmtlbkBob3RtYWlsLmNvbQ==',
-    phone: 'KzQ5IDE3NiAzNDIwODgyMw=='
-  };
+  // Obfuscated contact data (js/contact.js)
+  const ContactData = window.ContactData;
+
+  // Translation dictionaries (js/i18n.js)
+  const I18N = window.I18N || null;
+
+  // Escape-by-default templates (js/html.js)
+  const { html, raw } = window.Html;
+
+  // Shared markup builders (js/render.js)
+  const Render = window.Render;
+
+  // Markdown renderer for notes (js/markdown.js), only on the notes page
+  const Markdown = window.Markdown || null;
+
+  // JSON Resume converter (js/resume.js), only on the CV page
+  const Resume = window.Resume || null;
+
+  // schema.org JSON-LD builder (js/structured-data.js)
+  const StructuredData = window.StructuredData || null;
+
+  // Skills registry and index (js/skills.js), only on the about page
+  const Skills = window.Skills || null;
 
   // ==================== UTILITY FUNCTIONS ====================
 
   /**
-   * Decode Base64 string
+   * Debounce function; cancel() drops a pending call
    */
-  function decode(str) {
-    try {
-      return atob(str);
-    } catch (e) {
-      return str;
-    }
+  function debounce(func, wait) {
+    let timeout;
+    const debounced = function(...args) {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+    debounced.cancel = () => clearTimeout(timeout);
+    return debounced;
   }
 
   /**
-   * Throttle function for scroll events
+   * Collects a module's listeners, timers and frames so destroy() can undo
+   * them in one call. Once disposed, new timers and frames are ignored, which
+   * also ends any promise chain waiting on them.
    */
-  function throttle(func, limit) {
-    let inThrottle;
-    return function(...args) {
-      if (!inThrottle) {
-        func.apply(this, args);
-        inThrottle = true;
-        setTimeout(() => inThrottle = false, limit);
+  function createScope() {
+    const cleanups = [];
+    const timers = new Set();
+    const frames = new Set();
+    let disposed = false;
+
+    return {
+      /**
+       * addEventListener that is removed on dispose; returns a remover
+       */
+      listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        const remove = () => target.removeEventListener(type, handler, options);
+        cleanups.push(remove);
+        return remove;
+      },
+
+      setTimeout(callback, ms) {
+        if (disposed) return null;
+        const id = setTimeout(() => {
+          timers.delete(id);
+          callback();
+        }, ms);
+        timers.add(id);
+        return id;
+      },
+
+      clearTimeout(id) {
+        clearTimeout(id);
+        timers.delete(id);
+      },
+
+      requestAnimationFrame(callback) {
+        if (disposed) return null;
+        const id = requestAnimationFrame(time => {
+          frames.delete(id);
+          callback(time);
+        });
+        frames.add(id);
+        return id;
+      },
+
+      delay(ms) {
+        return new Promise(resolve => this.setTimeout(resolve, ms));
+      },
+
+      onDispose(cleanup) {
+        cleanups.push(cleanup);
+      },
+
+      dispose() {
+        disposed = true;
+        timers.forEach(id => clearTimeout(id));
+        frames.forEach(id => cancelAnimationFrame(id));
+        timers.clear();
+        frames.clear();
+        cleanups.splice(0).reverse().forEach(cleanup => cleanup());
       }
     };
   }
 
   /**
-   * Debounce function
+   * Look up a UI string in the active language, falling back to English.
+   * {name} placeholders are filled from params.
    */
-  function debounce(func, wait) {
-    let timeout;
-    return function(...args) {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => func.apply(this, args), wait);
+  function t(key, params) {
+    return I18N ? I18N.t(state.language, key, params) : key;
+  }
+
+  /**
+   * Resolve a content field that is either a plain value or an { en, de } map
+   */
+  function localize(value) {
+    if (I18N) return I18N.localize(state.language, value);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value[CONFIG.defaultLanguage] : value;
+  }
+
+  /**
+   * Context handed to the Render markup builders
+   */
+  function renderContext() {
+    return {
+      language: state.language,
+      t,
+      localize,
+      selectedTags: ProjectFilter.selected.tags,
+      images: DataLoader.images
     };
   }
 
   /**
-   * Check if reduced motion is preferred
+   * Check if reduced motion is preferred, in the system settings or on the
+   * site (CommandPalette)
    */
   function prefersReducedMotion() {
-    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return document.documentElement.dataset.motion === 'reduce' ||
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * fetch() with a timeout per attempt that retries network errors,
+   * timeouts, 429 and 5xx, backing off 0.5s, 1s, 2s, ... Resolves with the
+   * last response, which may still be an error; rejects if none came.
+   */
+  async function fetchWithRetry(url, init, { retries, timeout }) {
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      let response = null;
+      let failure;
+
+      try {
+        response = await fetch(url, Object.assign({}, init, { signal: controller.signal }));
+      } catch (error) {
+        failure = error.name === 'AbortError' ? new Error(`${url} timed out after ${timeout} ms`) : error;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const retryable = !response || response.status >= 500 || response.status === 429;
+      if (!retryable || attempt >= retries) {
+        if (response) return response;
+        throw failure;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 500 * 2 ** attempt));
+    }
+  }
+
+  /**
+   * Offer generated text as a file download
+   */
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
 
   // ==================== DOM ELEMENTS ====================
@@ -115,52 +249,312 @@
     isTyping: false,
     lastScrollY: 0,
     headerVisible: true,
-    roleAnimationId: null
+    language: CONFIG.defaultLanguage
+  };
+
+  // ==================== SCROLL SCHEDULER ====================
+  /**
+   * Single passive scroll/resize listener for the page. Subscribers pass
+   * { read(viewport), write(data, viewport) }; each animation frame runs every
+   * read first and every write after, so DOM writes never force layout
+   * between reads.
+   */
+  const ScrollScheduler = {
+    tasks: new Set(),
+    frameId: null,
+    listening: false,
+
+    /**
+     * Register a task and run it once; returns an unsubscribe function
+     */
+    subscribe(task) {
+      this.tasks.add(task);
+      this.start();
+      this.schedule();
+      return () => this.unsubscribe(task);
+    },
+
+    unsubscribe(task) {
+      this.tasks.delete(task);
+      if (this.tasks.size === 0) this.stop();
+    },
+
+    start() {
+      if (this.listening) return;
+      window.addEventListener('scroll', this, { passive: true });
+      window.addEventListener('resize', this, { passive: true });
+      this.listening = true;
+    },
+
+    stop() {
+      window.removeEventListener('scroll', this, { passive: true });
+      window.removeEventListener('resize', this, { passive: true });
+      if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+      this.listening = false;
+    },
+
+    // Scroll and resize events land here (the scheduler is its own listener)
+    handleEvent() {
+      this.schedule();
+    },
+
+    schedule() {
+      if (this.frameId !== null) return;
+      this.frameId = requestAnimationFrame(() => this.flush());
+    },
+
+    flush() {
+      this.frameId = null;
+
+      const viewport = { scrollY: window.scrollY, height: window.innerHeight };
+      const tasks = Array.from(this.tasks);
+      const results = tasks.map(task => (task.read ? task.read(viewport) : undefined));
+
+      tasks.forEach((task, index) => {
+        if (task.write) task.write(results[index], viewport);
+      });
+    }
   };
 
   // ==================== ROLE ROTATION ====================
+  /**
+   * Types through the roles in content/roles.json. Pauses while the tab is
+   * hidden, the hero is off-screen or the role is hovered or focused.
+   * Visitors can step through roles with the buttons, the arrow keys or a
+   * click on the title; screen readers only get the finished title.
+   */
   const RoleRotation = {
+    roles: [],
+    scope: null,
+    cycle: null,
+    pauseReasons: new Set(),
+    waiting: [],
+
     init() {
       if (!DOM.roleText || !DOM.tagsContainer) return;
-      if (prefersReducedMotion()) {
-        this.showStaticRole();
+      this.scope = createScope();
+      this.container = DOM.roleText.closest('.hero__role');
+      this.announcer = this.container.querySelector('[data-role-announce]');
+      this.load(this.scope);
+    },
+
+    async load(scope) {
+      let roles;
+      try {
+        roles = await DataLoader.fetchContent('roles');
+      } catch (error) {
+        console.warn('Roles data not available:', error.message);
         return;
       }
-      this.typeRole();
+
+      // Destroyed while loading
+      if (scope !== this.scope || roles.length === 0) return;
+
+      this.roles = roles;
+      this.bind();
+
+      const prerendered = DataLoader.isPrerendered(DOM.roleText);
+      delete DOM.roleText.dataset.prerendered;
+      delete DOM.tagsContainer.dataset.prerendered;
+
+      state.currentRoleIndex = 0;
+      if (prerendered || prefersReducedMotion()) {
+        this.showRole();
+        this.restart(true);
+      } else {
+        this.restart(false);
+      }
+    },
+
+    bind() {
+      const scope = this.scope;
+
+      // The visible text changes per character; the announcer carries the role
+      DOM.roleText.setAttribute('aria-hidden', 'true');
+
+      this.container.querySelectorAll('[data-role-step]').forEach(btn => {
+        btn.hidden = this.roles.length < 2;
+        scope.listen(btn, 'click', () => this.step(Number(btn.dataset.roleStep)));
+      });
+      scope.listen(DOM.roleText, 'click', () => this.step(1));
+      scope.listen(this.container, 'keydown', (e) => this.handleKeydown(e));
+
+      [this.container, DOM.tagsContainer].forEach(el => {
+        scope.listen(el, 'pointerenter', () => this.pause('hover'));
+        scope.listen(el, 'pointerleave', () => this.resume('hover'));
+        scope.listen(el, 'focusin', () => this.pause('focus'));
+        scope.listen(el, 'focusout', (e) => {
+          if (!this.contains(e.relatedTarget)) this.resume('focus');
+        });
+      });
+
+      scope.listen(document, 'visibilitychange', () => {
+        if (document.hidden) {
+          this.pause('hidden');
+        } else {
+          this.resume('hidden');
+        }
+      });
+      if (document.hidden) this.pause('hidden');
+
+      const observer = new IntersectionObserver(([entry]) => {
+        if (entry.isIntersecting) {
+          this.resume('offscreen');
+        } else {
+          this.pause('offscreen');
+        }
+      });
+      observer.observe(DOM.roleText.closest('.hero') || this.container);
+      scope.onDispose(() => observer.disconnect());
+
+      // Tags used by projects filter the project list on this page
+      scope.listen(DOM.tagsContainer, 'click', (e) => {
+        const link = e.target.closest('[data-project-tag]');
+        if (!link || !ProjectFilter.showTag(link.dataset.projectTag)) return;
+        e.preventDefault();
+        SmoothScroll.scrollTo(document.getElementById('projects'));
+      });
+    },
+
+    contains(node) {
+      return !!node && (this.container.contains(node) || DOM.tagsContainer.contains(node));
+    },
+
+    handleKeydown(e) {
+      const steps = { ArrowLeft: -1, ArrowRight: 1 };
+      if (!(e.key in steps)) return;
+      e.preventDefault();
+      this.step(steps[e.key]);
+    },
+
+    /**
+     * Jump to the previous (-1) or next (1) role and rest there
+     */
+    step(delta) {
+      const count = this.roles.length;
+      if (count < 2) return;
+
+      state.currentRoleIndex = (state.currentRoleIndex + delta + count) % count;
+      this.showRole();
+      this.restart(true);
+    },
+
+    /**
+     * Show the current role at once, without typing
+     */
+    showRole() {
+      const role = this.roles[state.currentRoleIndex];
+      DOM.roleText.textContent = localize(role.title);
+      DOM.tagsContainer.innerHTML = this.tagsMarkup(role.tags);
+      this.announce(role);
+    },
+
+    /**
+     * Re-render the current role after a language or motion setting change;
+     * with reduced motion the role stays, otherwise it rests and rotates on
+     */
+    refresh() {
+      if (!this.scope || this.roles.length === 0) return;
+      this.showRole();
+      this.restart(true);
+    },
+
+    /**
+     * Re-render fully shown tags once project data is known, so the
+     * matching ones link to projects
+     */
+    linkTags() {
+      const role = this.roles[state.currentRoleIndex];
+      if (!role || DOM.tagsContainer.children.length !== role.tags.length) return;
+      DOM.tagsContainer.innerHTML = this.tagsMarkup(role.tags);
     },
 
-    showStaticRole() {
-      const role = CONFIG.roles[0];
-      DOM.roleText.textContent = role.title;
-      this.showTags(role.tags);
+    /**
+     * Start a new cycle from the current role, cancelling the running one.
+     * A role that is already shown rests first instead of being retyped.
+     */
+    restart(shown) {
+      if (this.cycle) this.cycle.dispose();
+      this.cycle = null;
+      if (prefersReducedMotion()) return;
+
+      this.cycle = createScope();
+      if (shown) {
+        this.advance(this.cycle);
+      } else {
+        this.typeRole(this.cycle);
+      }
     },
 
-    async typeRole() {
-      const role = CONFIG.roles[state.currentRoleIndex];
+    /**
+     * Type the current role, then move on. All waits go through the cycle
+     * scope, so a restarted or destroyed cycle simply stops.
+     */
+    async typeRole(cycle) {
+      const role = this.roles[state.currentRoleIndex];
 
       // Clear existing tags
       this.clearTags();
 
       // Type the role title
-      await this.typeText(role.title);
+      await this.typeText(localize(role.title), cycle);
+      this.announce(role);
 
       // Show tags with stagger
-      await this.showTags(role.tags);
+      await this.showTags(role.tags, cycle);
+
+      await this.advance(cycle);
+    },
+
+    /**
+     * Rest on the shown role, delete it and type the next one
+     */
+    async advance(cycle) {
+      await this.hold(CONFIG.pauseBetweenRoles, cycle);
+      await this.deleteText(cycle);
+
+      state.currentRoleIndex = (state.currentRoleIndex + 1) % this.roles.length;
+      cycle.requestAnimationFrame(() => this.typeRole(cycle));
+    },
 
-      // Wait before deleting
-      await this.wait(CONFIG.pauseBetweenRoles);
+    pause(reason) {
+      this.pauseReasons.add(reason);
+    },
+
+    resume(reason) {
+      this.pauseReasons.delete(reason);
+      if (this.pauseReasons.size === 0) {
+        this.waiting.splice(0).forEach(wake => wake());
+      }
+    },
 
-      // Delete the text
-      await this.deleteText();
+    /**
+     * Resolves right away, or once nothing pauses the rotation any more
+     */
+    running(cycle) {
+      if (this.pauseReasons.size === 0) return Promise.resolve();
+      return new Promise(resolve => {
+        this.waiting.push(() => cycle.setTimeout(resolve, 0));
+      });
+    },
 
-      // Move to next role
-      state.currentRoleIndex = (state.currentRoleIndex + 1) % CONFIG.roles.length;
+    /**
+     * Wait for `ms` of unpaused time
+     */
+    async hold(ms, cycle) {
+      const tick = 100;
+      for (let elapsed = 0; elapsed < ms; elapsed += tick) {
+        await this.running(cycle);
+        await cycle.delay(tick);
+      }
+    },
 
-      // Continue the loop
-      state.roleAnimationId = requestAnimationFrame(() => this.typeRole());
+    announce(role) {
+      if (this.announcer) this.announcer.textContent = localize(role.title);
     },
 
-    typeText(text) {
+    typeText(text, cycle) {
       return new Promise(resolve => {
         let i = 0;
         DOM.roleText.textContent = '';
@@ -169,7 +563,7 @@
           if (i < text.length) {
             DOM.roleText.textContent += text.charAt(i);
             i++;
-            setTimeout(type, CONFIG.typeSpeed);
+            cycle.setTimeout(() => this.running(cycle).then(type), CONFIG.typeSpeed);
           } else {
             resolve();
           }
@@ -178,13 +572,13 @@
       });
     },
 
-    deleteText() {
+    deleteText(cycle) {
       return new Promise(resolve => {
         const deleteChar = () => {
           const text = DOM.roleText.textContent;
           if (text.length > 0) {
             DOM.roleText.textContent = text.slice(0, -1);
-            setTimeout(deleteChar, CONFIG.deleteSpeed);
+            cycle.setTimeout(() => this.running(cycle).then(deleteChar), CONFIG.deleteSpeed);
           } else {
             resolve();
           }
@@ -193,7 +587,19 @@
       });
     },
 
-    showTags(tags) {
+    /**
+     * Render context for role tags, linking those that projects use
+     */
+    tagContext() {
+      return Object.assign(renderContext(), { projectTags: Render.projectTags(DataLoader.projects || []) });
+    },
+
+    tagsMarkup(tags) {
+      const ctx = this.tagContext();
+      return html`${tags.map((tag, index) => Render.linkedTag(tag, ctx, index === 0))}`;
+    },
+
+    showTags(tags, cycle) {
       return new Promise(resolve => {
         DOM.tagsContainer.innerHTML = '';
 
@@ -202,17 +608,10 @@
           return;
         }
 
+        const ctx = this.tagContext();
         tags.forEach((tag, index) => {
-          setTimeout(() => {
-            const span = document.createElement('span');
-            span.className = 'tag';
-            span.textContent = tag;
-
-            if (index === 0) {
-              span.classList.add('tag--highlight');
-            }
-
-            DOM.tagsContainer.appendChild(span);
+          cycle.setTimeout(() => {
+            DOM.tagsContainer.insertAdjacentHTML('beforeend', Render.linkedTag(tag, ctx, index === 0));
 
             if (index === tags.length - 1) {
               resolve();
@@ -230,14 +629,14 @@
       });
     },
 
-    wait(ms) {
-      return new Promise(resolve => setTimeout(resolve, ms));
-    },
-
     destroy() {
-      if (state.roleAnimationId) {
-        cancelAnimationFrame(state.roleAnimationId);
-      }
+      if (!this.scope) return;
+      if (this.cycle) this.cycle.dispose();
+      this.scope.dispose();
+      this.scope = null;
+      this.cycle = null;
+      this.pauseReasons.clear();
+      this.waiting = [];
     }
   };
 
@@ -267,6 +666,12 @@
       DOM.timelineItems.forEach(el => this.observer.observe(el));
     },
 
+    destroy() {
+      if (!this.observer) return;
+      this.observer.disconnect();
+      this.observer = null;
+    },
+
     showAll() {
       DOM.reveals.forEach(el => el.classList.add('is-visible'));
       DOM.timelineItems.forEach(el => el.classList.add('is-visible'));
@@ -306,13 +711,22 @@
 
   // ==================== HEADER BEHAVIOR ====================
   const Header = {
+    unsubscribe: null,
+
     init() {
-      window.addEventListener('scroll', throttle(this.handleScroll.bind(this), 100));
+      if (!DOM.header) return;
+      this.unsubscribe = ScrollScheduler.subscribe({
+        write: (data, viewport) => this.update(viewport.scrollY)
+      });
     },
 
-    handleScroll() {
-      const currentScrollY = window.scrollY;
+    destroy() {
+      if (!this.unsubscribe) return;
+      this.unsubscribe();
+      this.unsubscribe = null;
+    },
 
+    update(currentScrollY) {
       // Add scrolled class for background change
       if (currentScrollY > 50) {
         DOM.header.classList.add('header--scrolled');
@@ -339,64 +753,172 @@
 
   // ==================== MOBILE NAVIGATION ====================
   const MobileNav = {
+    // Above this width the nav is always shown (css/responsive.css)
+    desktop: '(min-width: 768px)',
+    inertElements: [],
+    scope: null,
+
     init() {
       if (!DOM.menuToggle || !DOM.nav) return;
+      this.scope = createScope();
 
-      DOM.menuToggle.addEventListener('click', this.toggle.bind(this));
+      this.scope.listen(DOM.menuToggle, 'click', () => this.toggle());
 
-      // Close on nav link click
+      // Close on nav link click; focus follows the link
       DOM.nav.querySelectorAll('.nav__link').forEach(link => {
-        link.addEventListener('click', this.close.bind(this));
+        this.scope.listen(link, 'click', () => this.close());
       });
 
-      // Close on escape key
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') this.close();
-      });
+      this.scope.listen(document, 'keydown', (e) => this.handleKeydown(e));
 
       // Close on outside click
-      document.addEventListener('click', (e) => {
-        if (DOM.nav.classList.contains('is-open') &&
-            !DOM.header.contains(e.target)) {
+      this.scope.listen(document, 'click', (e) => {
+        if (this.isOpen() && !DOM.header.contains(e.target)) {
           this.close();
         }
       });
+
+      // Growing into the desktop layout leaves nothing to close
+      this.scope.listen(window.matchMedia(this.desktop), 'change', (e) => {
+        if (e.matches) this.close();
+      });
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.close();
+      this.scope.dispose();
+      this.scope = null;
+    },
+
+    isOpen() {
+      return DOM.nav.classList.contains('is-open');
     },
 
     toggle() {
-      const isOpen = DOM.nav.classList.toggle('is-open');
-      DOM.menuToggle.classList.toggle('is-active');
-      DOM.menuToggle.setAttribute('aria-expanded', isOpen);
+      if (this.isOpen()) {
+        this.close({ returnFocus: true });
+      } else {
+        this.open();
+      }
+    },
+
+    /**
+     * Open the menu as a modal: the rest of the page is inert, so focus
+     * and screen readers stay in the header until it closes
+     */
+    open() {
+      DOM.nav.classList.add('is-open');
+      DOM.menuToggle.classList.add('is-active');
+      DOM.menuToggle.setAttribute('aria-expanded', 'true');
 
       // Prevent body scroll when menu is open
-      document.body.style.overflow = isOpen ? 'hidden' : '';
+      document.body.style.overflow = 'hidden';
+
+      // Leave live regions readable, and elements inert for other reasons alone
+      const liveRegions = Announcer.regions ? Object.values(Announcer.regions) : [];
+      this.inertElements = Array.from(document.body.children)
+        .filter(el => !el.contains(DOM.header) && !liveRegions.includes(el) && !el.hasAttribute('inert') && el.tagName !== 'SCRIPT');
+      this.inertElements.forEach(el => el.setAttribute('inert', ''));
+
+      const firstLink = DOM.nav.querySelector('.nav__link');
+      if (firstLink) firstLink.focus();
     },
 
-    close() {
+    /**
+     * Close the menu; `returnFocus` moves focus back to the toggle, e.g. on
+     * Escape, where it would otherwise be left on a hidden link
+     */
+    close({ returnFocus = false } = {}) {
+      const wasOpen = this.isOpen();
+
       DOM.nav.classList.remove('is-open');
       DOM.menuToggle.classList.remove('is-active');
       DOM.menuToggle.setAttribute('aria-expanded', 'false');
       document.body.style.overflow = '';
+
+      this.inertElements.forEach(el => el.removeAttribute('inert'));
+      this.inertElements = [];
+
+      if (wasOpen && returnFocus) DOM.menuToggle.focus();
+    },
+
+    handleKeydown(e) {
+      if (!this.isOpen()) return;
+
+      if (e.key === 'Escape') {
+        this.close({ returnFocus: true });
+        return;
+      }
+
+      if (e.key !== 'Tab') return;
+
+      // Keep focus inside the header while the menu is open
+      const focusable = Array.from(DOM.header.querySelectorAll('a[href], button:not([disabled])'))
+        .filter(el => el.getClientRects().length > 0);
+      if (focusable.length === 0) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
     }
   };
 
   // ==================== SMOOTH SCROLL ====================
   const SmoothScroll = {
+    scope: null,
+
     init() {
-      document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', this.handleClick.bind(this));
+      this.scope = createScope();
+
+      // Delegated, so anchors rendered later are covered too
+      this.scope.listen(document, 'click', (e) => {
+        const anchor = e.target.closest('a[href^="#"]');
+        if (anchor) this.handleClick(e, anchor);
       });
     },
 
-    handleClick(e) {
-      const href = e.currentTarget.getAttribute('href');
-      if (href === '#' || href === '') return;
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    },
+
+    handleClick(e, anchor) {
+      const href = anchor.getAttribute('href');
+      // '#/...' hashes are routes handled by ProjectDetail and ProjectDemo
+      if (href === '#' || href === '' || href.startsWith('#/')) return;
 
       const target = document.querySelector(href);
       if (!target) return;
 
       e.preventDefault();
+      this.scrollTo(target);
 
+      // Update URL without scrolling
+      history.pushState(null, '', href);
+    },
+
+    /**
+     * Scroll to the URL's fragment if it lies inside `container`, for content
+     * rendered after the browser looked for it
+     */
+    revealHashTarget(container) {
+      const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+      if (target && container.contains(target)) this.scrollTo(target);
+    },
+
+    /**
+     * Scroll an element into view below the fixed header
+     */
+    scrollTo(target) {
       const headerHeight = DOM.header ? DOM.header.offsetHeight : 0;
       const targetPosition = target.getBoundingClientRect().top + window.scrollY - headerHeight - 20;
 
@@ -404,24 +926,32 @@
         top: targetPosition,
         behavior: prefersReducedMotion() ? 'auto' : 'smooth'
       });
-
-      // Update URL without scrolling
-      history.pushState(null, '', href);
     }
   };
 
   // ==================== PARALLAX ====================
   const Parallax = {
+    unsubscribe: null,
+
     init() {
       if (prefersReducedMotion()) return;
       if (!DOM.parallaxElements.length) return;
 
-      window.addEventListener('scroll', throttle(this.update.bind(this), 16));
+      this.unsubscribe = ScrollScheduler.subscribe({
+        write: (data, viewport) => this.update(viewport.scrollY)
+      });
     },
 
-    update() {
-      const scrollY = window.scrollY;
+    destroy() {
+      if (!this.unsubscribe) return;
+      this.unsubscribe();
+      this.unsubscribe = null;
+      DOM.parallaxElements.forEach(el => {
+        el.style.transform = '';
+      });
+    },
 
+    update(scrollY) {
       DOM.parallaxElements.forEach(el => {
         const speed = parseFloat(el.dataset.parallax) || CONFIG.parallaxStrength;
         const yPos = -(scrollY * speed);
@@ -432,9 +962,50 @@
 
   // ==================== CONTACT OBFUSCATION ====================
   const ContactProtection = {
+    // Events that only a visitor produces; synthetic ones are ignored
+    interactionEvents: ['pointerdown', 'pointermove', 'touchstart', 'keydown', 'focusin'],
+    revealed: false,
+    scope: null,
+
     init() {
+      if (!ContactData) return;
+      this.scope = createScope();
+
+      if (DOM.contactElements.length > 0 || DOM.addressElements.length > 0) {
+        this.waitForInteraction();
+      }
+      this.initSaveContact();
+    },
+
+    /**
+     * Decode contact data on the first genuine interaction, not on load.
+     * pointerdown and focusin fire before click and Enter, so links
+     * already point to the right place when they're activated.
+     */
+    waitForInteraction() {
+      const handleInteraction = (e) => {
+        if (!e.isTrusted) return;
+        removers.forEach(remove => remove());
+        this.reveal();
+      };
+
+      const removers = this.interactionEvents.map(type => {
+        return this.scope.listen(document, type, handleInteraction, { capture: true, passive: true });
+      });
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    },
+
+    reveal() {
+      if (this.revealed) return;
+      this.revealed = true;
       this.decodeContactLinks();
       this.decodeAddressElements();
+      JsonLd.render();
     },
 
     decodeContactLinks() {
@@ -442,13 +1013,14 @@
         const type = el.dataset.contact;
 
         if (type === 'email') {
-          const email = decode(CONTACT.email);
-          el.href = `mailto:${email}`;
+          const email = ContactData.decode('email');
+          const subject = el.dataset.subject ? `?subject=${encodeURIComponent(el.dataset.subject)}` : '';
+          el.href = `mailto:${email}${subject}`;
           if (el.dataset.showText !== 'false') {
             el.textContent = el.dataset.text || email;
           }
         } else if (type === 'phone') {
-          const phone = decode(CONTACT.phone);
+          const phone = ContactData.decode('phone');
           el.href = `tel:${phone.replace(/\s/g, '')}`;
           if (el.dataset.showText !== 'false') {
             el.textContent = el.dataset.text || phone;
@@ -458,305 +1030,3190 @@
     },
 
     decodeAddressElements() {
+      if (DOM.addressElements.length === 0) return;
+
+      const contact = {
+        name: ContactData.decode('name'),
+        street: ContactData.decode('street'),
+        city: ContactData.decode('city'),
+        country: ContactData.decode('country')
+      };
+
       DOM.addressElements.forEach(el => {
         const format = el.dataset.address;
 
         if (format === 'full') {
-          el.innerHTML = `
-            ${decode(CONTACT.name)}<br>
-            ${decode(CONTACT.street)}<br>
-            ${decode(CONTACT.city)}<br>
-            ${decode(CONTACT.country)}
+          el.innerHTML = html`
+            ${contact.name}<br>
+            ${contact.street}<br>
+            ${contact.city}<br>
+            ${contact.country}
           `;
         } else if (format === 'inline') {
-          el.textContent = `${decode(CONTACT.name)}, ${decode(CONTACT.street)}, ${decode(CONTACT.city)}, ${decode(CONTACT.country)}`;
+          el.textContent = `${contact.name}, ${contact.street}, ${contact.city}, ${contact.country}`;
         } else if (format === 'name') {
-          el.textContent = decode(CONTACT.name);
+          el.textContent = contact.name;
         }
       });
     },
 
-    getDecodedContact() {
-      return {
-        name: decode(CONTACT.name),
-        street: decode(CONTACT.street),
-        city: decode(CONTACT.city),
-        country: decode(CONTACT.country),
-        email: decode(CONTACT.email),
-        phone: decode(CONTACT.phone)
-      };
-    }
-  };
+    /**
+     * vCard download and QR code actions. The contact data is only decoded
+     * once the visitor asks for it, so it stays obfuscated until then.
+     */
+    initSaveContact() {
+      DOM.contactElements.forEach(el => {
+        const type = el.dataset.contact;
 
-  // ==================== DATA LOADING ====================
-  const DataLoader = {
-    async loadProjects() {
-      if (!DOM.projectsGrid) return;
+        if (type === 'vcard') {
+          this.scope.listen(el, 'click', () => this.downloadVCard());
+        } else if (type === 'qr') {
+          if (!window.QRCode) {
+            el.hidden = true;
+            return;
+          }
+          this.scope.listen(el, 'click', () => this.showQRCode(el));
+        }
+      });
 
-      try {
-        const response = await fetch('content/projects.json');
-        if (!response.ok) throw new Error('Failed to load projects');
-        const data = await response.json();
-        this.renderProjects(data.projects.filter(p => p.featured));
-      } catch (error) {
-        console.warn('Projects data not available:', error.message);
-        this.renderProjectsFallback();
-      }
+      // The save card is useless without JavaScript, so it ships hidden
+      const saveCard = document.querySelector('[data-contact-save]');
+      if (saveCard) saveCard.hidden = false;
     },
 
-    renderProjects(projects) {
-      DOM.projectsGrid.innerHTML = projects.map(project => {
-        const isComingSoon = project.status === 'coming-soon';
-        const cardClass = isComingSoon ? 'card project-card project-card--coming-soon' : 'card project-card';
-
-        return `
-          <article class="${cardClass} reveal">
-            <div class="project-card__image">
-              ${project.image
-                ? `<img src="${project.image}" alt="${project.title}" loading="lazy" width="400" height="225">`
-                : `<div class="project-card__placeholder">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                      <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
-                      <circle cx="8.5" cy="8.5" r="1.5"/>
-                      <polyline points="21 15 16 10 5 21"/>
-                    </svg>
-                  </div>`
-              }
-            </div>
-            <div class="project-card__body">
-              <h3 class="project-card__title">${project.title}</h3>
-              <p class="project-card__description">${project.description}</p>
-              ${project.tags.length > 0
-                ? `<div class="project-card__tags">
-                    ${project.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-                  </div>`
-                : ''
-              }
-              ${!isComingSoon && (project.links.github || project.links.demo)
-                ? `<div class="project-card__links">
-                    ${project.links.demo
-                      ? `<a href="${project.links.demo}" class="project-card__link" target="_blank" rel="noopener noreferrer">
-                          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
-                            <polyline points="15 3 21 3 21 9"/>
-                            <line x1="10" y1="14" x2="21" y2="3"/>
-                          </svg>
-                          Demo
-                        </a>`
-                      : ''
-                    }
-                    ${project.links.github
-                      ? `<a href="${project.links.github}" class="project-card__link" target="_blank" rel="noopener noreferrer">
-                          <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M12 0C5.37 0 0 5.37 0 12c0 5.31 3.435 9.795 8.205 11.385.6.105.825-.255.825-.57 0-.285-.015-1.23-.015-2.235-3.015.555-3.795-.735-4.035-1.41-.135-.345-.72-1.41-1.23-1.695-.42-.225-1.02-.78-.015-.795.945-.015 1.62.87 1.845 1.23 1.08 1.815 2.805 1.305 3.495.99.105-.78.42-1.305.765-1.605-2.67-.3-5.46-1.335-5.46-5.925 0-1.305.465-2.385 1.23-3.225-.12-.3-.54-1.53.12-3.18 0 0 1.005-.315 3.3 1.23.96-.27 1.98-.405 3-.405s2.04.135 3 .405c2.295-1.56 3.3-1.23 3.3-1.23.66 1.65.24 2.88.12 3.18.765.84 1.23 1.905 1.23 3.225 0 4.605-2.805 5.625-5.475 5.925.435.375.81 1.095.81 2.22 0 1.605-.015 2.895-.015 3.3 0 .315.225.69.825.57A12.02 12.02 0 0024 12c0-6.63-5.37-12-12-12z"/>
-                          </svg>
-                          Code
-                        </a>`
-                      : ''
-                    }
-                  </div>`
-                : ''
-              }
-            </div>
-          </article>
-        `;
-      }).join('');
+    getDecodedContact() {
+      return ContactData.decodeAll();
+    },
 
-      // Observe new elements for scroll animations
-      DOM.projectsGrid.querySelectorAll('.reveal').forEach(el => {
+    /**
+     * vCard 4.0 (RFC 6350) built from the decoded contact data
+     */
+    buildVCard() {
+      const contact = this.getDecodedContact();
+      const escape = value => value.replace(/[\\,;]/g, '\\$&');
+      const names = contact.name.split(' ');
+      const familyName = names.pop();
+
+      // "12345 Town" -> postal code and locality
+      const cityMatch = contact.city.match(/^(\d{4,5})\s+(.+)$/);
+      const postalCode = cityMatch ? cityMatch[1] : '';
+      const locality = cityMatch ? cityMatch[2] : contact.city;
+
+      return [
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        `FN:${escape(contact.name)}`,
+        `N:${escape(familyName)};${escape(names.join(' '))};;;`,
+        `EMAIL:${contact.email}`,
+        `TEL;VALUE=uri:tel:${contact.phone.replace(/\s/g, '')}`,
+        `ADR:;;${escape(contact.street)};${escape(locality)};;${postalCode};${escape(contact.country)}`,
+        `URL:${CONFIG.siteUrl}`,
+        'END:VCARD',
+        ''
+      ].join('\r\n');
+    },
+
+    downloadVCard() {
+      const contact = this.getDecodedContact();
+      downloadFile(`${contact.name.toLowerCase().replace(/\s+/g, '-')}.vcf`, this.buildVCard(), 'text/vcard;charset=utf-8');
+    },
+
+    /**
+     * Render the vCard as a QR code into the element the button controls
+     */
+    showQRCode(button) {
+      const target = document.getElementById(button.getAttribute('aria-controls'));
+      if (!target) return;
+
+      target.innerHTML = window.QRCode.toSVG(this.buildVCard());
+      target.hidden = false;
+      target.tabIndex = -1;
+      button.hidden = true;
+      target.focus();
+    }
+  };
+
+  // ==================== CONTACT FORM ====================
+
+  /**
+   * Delivery strategies for ContactForm. send(message, options) resolves with
+   * the i18n key of the success message and rejects when delivery failed.
+   */
+  const ContactTransports = {
+    /**
+     * Open the visitor's mail app with the message filled in
+     */
+    mailto: {
+      async send(message) {
+        const subject = message.subject || t('contactForm.defaultSubject', { name: message.name });
+        const body = `${message.message}\n\n${message.name} <${message.email}>`;
+        const params = `subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        window.location.href = `mailto:${ContactData.decode('email')}?${params}`;
+        return 'contactForm.status.composed';
+      }
+    },
+
+    /**
+     * POST the message as JSON, retrying network errors, timeouts, 429 and 5xx
+     */
+    post: {
+      async send(message, { endpoint, retries, timeout }) {
+        const response = await fetchWithRetry(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(message)
+        }, { retries, timeout });
+
+        if (!response.ok) throw new Error(`Contact endpoint responded with ${response.status}`);
+        return 'contactForm.status.sent';
+      }
+    }
+  };
+
+  const ContactForm = {
+    form: null,
+    status: null,
+    submitButton: null,
+    startedAt: 0,
+    sending: false,
+    storageKey: 'contactFormSubmissions',
+    scope: null,
+
+    /**
+     * Each validator returns the i18n key of its error, or null
+     */
+    validators: {
+      name: field => (field.value.trim() ? null : 'contactForm.error.required'),
+      email: field => {
+        if (!field.value.trim()) return 'contactForm.error.required';
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(field.value.trim()) ? null : 'contactForm.error.email';
+      },
+      message: field => {
+        if (!field.value.trim()) return 'contactForm.error.required';
+        return field.value.trim().length >= 10 ? null : 'contactForm.error.messageShort';
+      },
+      consent: field => (field.checked ? null : 'contactForm.error.consent')
+    },
+
+    init() {
+      this.form = document.querySelector('[data-contact-form]');
+      if (!this.form) return;
+
+      // Without JavaScript the mailto: cards remain, so the form ships hidden
+      this.form.hidden = false;
+      this.status = this.form.querySelector('.contact-form__status');
+      this.submitButton = this.form.querySelector('.contact-form__submit');
+      this.startedAt = Date.now();
+      this.scope = createScope();
+
+      this.scope.listen(this.form, 'submit', (e) => {
+        e.preventDefault();
+        this.submit();
+      });
+
+      // Validate when leaving a field, then live while an error is shown
+      this.scope.listen(this.form, 'focusout', (e) => {
+        const field = e.target;
+        if (this.validators[field.name] && field.type !== 'checkbox' && field.value) this.validateField(field);
+      });
+      this.scope.listen(this.form, 'input', (e) => {
+        if (e.target.getAttribute('aria-invalid') === 'true') this.validateField(e.target);
+      });
+      this.scope.listen(this.form, 'change', (e) => {
+        if (e.target.type === 'checkbox') this.validateField(e.target);
+      });
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    },
+
+    validateField(field) {
+      const validator = this.validators[field.name];
+      const errorKey = validator ? validator(field) : null;
+      const error = document.getElementById(`${field.id}-error`);
+
+      if (errorKey) {
+        field.setAttribute('aria-invalid', 'true');
+      } else {
+        field.removeAttribute('aria-invalid');
+      }
+
+      if (error) {
+        error.hidden = !errorKey;
+        error.textContent = errorKey ? t(errorKey) : '';
+        if (errorKey) {
+          error.dataset.i18n = errorKey;
+        } else {
+          delete error.dataset.i18n;
+        }
+      }
+
+      return !errorKey;
+    },
+
+    /**
+     * Validate every field and focus the first invalid one
+     */
+    validate() {
+      const fields = Array.from(this.form.elements).filter(field => this.validators[field.name]);
+      const invalid = fields.filter(field => !this.validateField(field));
+      if (invalid.length > 0) invalid[0].focus();
+      return invalid.length === 0;
+    },
+
+    /**
+     * Timestamps of submissions still inside the rate limit window
+     */
+    recentSubmissions() {
+      const { window: span } = CONFIG.contactForm.rateLimit;
+      let stored;
+      try {
+        stored = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+      } catch (e) {
+        stored = [];
+      }
+      return (Array.isArray(stored) ? stored : []).filter(time => Date.now() - time < span);
+    },
+
+    recordSubmission() {
+      const submissions = this.recentSubmissions();
+      submissions.push(Date.now());
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(submissions));
+      } catch (e) {
+        // Storage blocked or full; the message went out, it just isn't counted
+      }
+    },
+
+    async submit() {
+      if (this.sending) return;
+
+      const elements = this.form.elements;
+
+      // Bots fill the honeypot; pretend it worked and drop the message
+      if (elements.website.value) {
+        this.form.reset();
+        this.showStatus('contactForm.status.sent', 'success');
+        return;
+      }
+
+      if (!this.validate()) {
+        this.showStatus('contactForm.status.invalid', 'error');
+        return;
+      }
+
+      if (Date.now() - this.startedAt < CONFIG.contactForm.minFillTime) {
+        this.showStatus('contactForm.status.tooFast', 'error');
+        return;
+      }
+
+      const { max, window: span } = CONFIG.contactForm.rateLimit;
+      const submissions = this.recentSubmissions();
+      if (submissions.length >= max) {
+        const minutes = Math.ceil((submissions[0] + span - Date.now()) / 60000);
+        this.showStatus('contactForm.status.rateLimited', 'error', { minutes });
+        return;
+      }
+
+      const message = {
+        name: elements.name.value.trim(),
+        email: elements.email.value.trim(),
+        subject: elements.subject.value.trim(),
+        message: elements.message.value.trim(),
+        language: state.language
+      };
+
+      const endpoint = this.form.dataset.endpoint;
+      const transport = endpoint ? ContactTransports.post : ContactTransports.mailto;
+
+      this.setSending(true);
+      try {
+        const statusKey = await transport.send(message, {
+          endpoint,
+          retries: CONFIG.contactForm.retries,
+          timeout: CONFIG.contactForm.timeout
+        });
+        this.recordSubmission();
+        this.showStatus(statusKey, 'success');
+
+        // A composed mail isn't sent yet, so keep the text around
+        if (endpoint) {
+          this.form.reset();
+          this.startedAt = Date.now();
+        }
+      } catch (error) {
+        console.warn('Contact form delivery failed:', error.message);
+        this.showStatus('contactForm.status.failed', 'error');
+      } finally {
+        this.setSending(false);
+      }
+    },
+
+    setSending(sending) {
+      this.sending = sending;
+      this.submitButton.disabled = sending;
+      this.submitButton.textContent = t(sending ? 'contactForm.sending' : 'contactForm.send');
+      this.form.setAttribute('aria-busy', String(sending));
+    },
+
+    showStatus(key, type, params) {
+      this.status.hidden = false;
+      this.status.className = `contact-form__status contact-form__status--${type}`;
+      this.status.textContent = t(key, params);
+
+      // Messages without parameters follow later language changes
+      if (params) {
+        delete this.status.dataset.i18n;
+      } else {
+        this.status.dataset.i18n = key;
+      }
+    }
+  };
+
+  // ==================== LIVE ANNOUNCEMENTS ====================
+  /**
+   * Screen reader announcements for changes that happen without focus
+   * moving, e.g. content finishing or failing to load. Polite messages wait
+   * for the reader to finish; assertive ones (errors) interrupt it.
+   */
+  const Announcer = {
+    regions: null,
+    pending: { polite: [], assertive: [] },
+    scope: null,
+
+    init() {
+      this.scope = createScope();
+      this.regions = {
+        polite: this.createRegion('status'),
+        assertive: this.createRegion('alert')
+      };
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+      Object.values(this.regions).forEach(region => region.remove());
+      this.regions = null;
+      this.pending = { polite: [], assertive: [] };
+    },
+
+    createRegion(role) {
+      const region = document.createElement('div');
+      region.className = 'sr-only';
+      region.setAttribute('role', role);
+      document.body.appendChild(region);
+      return region;
+    },
+
+    announce(message, assertive = false) {
+      if (!this.regions) return;
+      const politeness = assertive ? 'assertive' : 'polite';
+      const region = this.regions[politeness];
+      const pending = this.pending[politeness];
+
+      // Messages arriving together are read together; clearing the region
+      // first makes a repeated message count as a change
+      if (pending.length === 0) {
+        region.textContent = '';
+        this.scope.setTimeout(() => {
+          region.textContent = pending.splice(0).join(' ');
+        }, 100);
+      }
+      pending.push(message);
+    }
+  };
+
+  // ==================== CONTENT CACHE ====================
+  /**
+   * Content files fetched through fetchWithRetry and kept in localStorage
+   * with their ETag and Last-Modified. A copy younger than
+   * CONFIG.content.maxAge is used as is; an older one is revalidated, and
+   * still used when the network fails.
+   */
+  const ContentCache = {
+    prefix: 'contentCache:',
+
+    /**
+     * Text of a file; `revalidate` asks the server even for a fresh copy
+     */
+    async getText(url, { revalidate = false } = {}) {
+      const entry = this.read(url);
+      if (entry && !revalidate && Date.now() - entry.storedAt < CONFIG.content.maxAge) return entry.body;
+
+      const headers = {};
+      if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+      if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+      let response;
+      try {
+        response = await fetchWithRetry(url, { headers }, CONFIG.content);
+      } catch (error) {
+        if (!entry) throw error;
+        console.warn(`Using the stored copy of ${url}:`, error.message);
+        return entry.body;
+      }
+
+      if (response.status === 304 && entry) {
+        this.write(url, Object.assign(entry, { storedAt: Date.now() }));
+        return entry.body;
+      }
+
+      if (!response.ok) {
+        // A server error is temporary, a missing file is not
+        if (entry && response.status >= 500) return entry.body;
+        throw new Error(`Failed to load ${url} (${response.status})`);
+      }
+
+      const body = await response.text();
+      this.write(url, {
+        body,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        storedAt: Date.now()
+      });
+      return body;
+    },
+
+    async getJSON(url, options) {
+      return JSON.parse(await this.getText(url, options));
+    },
+
+    read(url) {
+      try {
+        const entry = JSON.parse(localStorage.getItem(this.prefix + url));
+        return entry && typeof entry.body === 'string' ? entry : null;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    write(url, entry) {
+      try {
+        localStorage.setItem(this.prefix + url, JSON.stringify(entry));
+      } catch (e) {
+        // Storage full or blocked; the file just isn't kept
+      }
+    }
+  };
+
+  // ==================== DATA LOADING ====================
+  /**
+   * Projects and timeline on the home page, loaded in parallel with
+   * skeletons in place, and the content files other modules ask for.
+   * Each load ends in a 'content:loaded' ({ name, data }) or
+   * 'content:error' ({ name, error }) event on document; failed sections
+   * offer a retry.
+   */
+  const DataLoader = {
+    projects: null,
+    timeline: null,
+    images: null,
+    scope: null,
+
+    init() {
+      this.scope = createScope();
+      this.scope.listen(document, 'click', (e) => {
+        const retry = e.target.closest('[data-content-retry]');
+        if (!retry) return;
+        const load = { projects: () => this.loadProjects(), timeline: () => this.loadTimeline() }[retry.dataset.contentRetry];
+        if (load) load();
+      });
+
+      this.loadProjects();
+      this.loadTimeline();
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    },
+
+    /**
+     * Fetch content/<name>.json with its schema and return the `name` list.
+     * Invalid entries are skipped with a path-based warning, e.g.
+     * "projects[3].links: expected object", instead of failing the section.
+     * Options go to ContentCache.getText().
+     */
+    async fetchContent(name, options) {
+      const [data, schema] = await Promise.all([
+        ContentCache.getJSON(`content/${name}.json`, options),
+        ContentCache.getJSON(`content/schema/${name}.schema.json`, options).catch(() => null)
+      ]);
+
+      // Without a validator or schema, only the list itself can be checked
+      if (!schema || !window.ContentSchema) {
+        if (!Array.isArray(data[name])) throw new Error(`${name}: expected array`);
+        return data[name];
+      }
+
+      const { entries, errors } = window.ContentSchema.filterEntries(data, schema, name);
+      errors.forEach(error => {
+        console.warn(`Invalid content in ${name}.json, ${window.ContentSchema.format(error)}`);
+      });
+
+      return entries;
+    },
+
+    emit(type, detail) {
+      document.dispatchEvent(new CustomEvent(`content:${type}`, { detail }));
+    },
+
+    async loadProjects(options) {
+      if (!DOM.projectsGrid) return;
+
+      const prerendered = this.isPrerendered(DOM.projectsGrid);
+      const showing = this.hasContent(DOM.projectsGrid);
+      DOM.projectsGrid.setAttribute('aria-busy', 'true');
+      if (!showing) DOM.projectsGrid.innerHTML = this.skeletons.projects();
+
+      try {
+        const [projects, images] = await Promise.all([
+          this.fetchContent('projects', options),
+          // Without the manifest images still show, just without variants
+          this.fetchContent('images', options).catch(() => [])
+        ]);
+        this.projects = projects;
+        this.images = Render.imageIndex(images);
+        ProjectFilter.build(this.projects);
+        RoleRotation.linkTags();
+
+        // Keep the build-time markup when it already shows what we would render
+        if (!prerendered || ProjectFilter.isActive()) {
+          this.showProjects();
+          Announcer.announce(t('load.projectsLoaded'));
+        }
+        delete DOM.projectsGrid.dataset.prerendered;
+        DOM.projectsGrid.dataset.loaded = 'true';
+        this.emit('loaded', { name: 'projects', data: projects });
+      } catch (error) {
+        console.warn('Projects data not available:', error.message);
+        if (!showing) this.renderError(DOM.projectsGrid, 'projects');
+        this.emit('error', { name: 'projects', error });
+      } finally {
+        DOM.projectsGrid.removeAttribute('aria-busy');
+      }
+    },
+
+    /**
+     * Render the featured projects, or every match while filters are active
+     */
+    showProjects() {
+      if (!this.projects || !DOM.projectsGrid) return;
+
+      if (!ProjectFilter.isActive()) {
+        this.renderProjects(this.projects.filter(p => p.featured));
+        return;
+      }
+
+      const matches = this.projects.filter(project => ProjectFilter.matches(project));
+      if (matches.length === 0) {
+        DOM.projectsGrid.innerHTML = html`
+          <div class="projects__empty">
+            <p>${t('filters.empty')}</p>
+            <button type="button" class="btn btn--secondary btn--sm" data-filter-clear>${t('filters.clear')}</button>
+          </div>
+        `;
+        return;
+      }
+
+      this.renderProjects(matches);
+    },
+
+    getProject(id) {
+      return (this.projects || []).find(project => project.id === id) || null;
+    },
+
+    /**
+     * Project data for pages without the project grid, loaded once
+     */
+    async getProjects() {
+      if (!this.projects) this.projects = await this.fetchContent('projects');
+      return this.projects;
+    },
+
+    renderProjects(projects) {
+      DOM.projectsGrid.innerHTML = Render.projectCards(projects, renderContext());
+
+      // Observe new elements for scroll animations
+      DOM.projectsGrid.querySelectorAll('.reveal').forEach(el => {
+        ScrollAnimations.observe(el);
+      });
+    },
+
+    /**
+     * Placeholders shaped like the content while it loads
+     */
+    skeletons: {
+      projects: () => html`${[0, 1, 2].map(() => html`
+        <div class="card project-card skeleton" aria-hidden="true">
+          <div class="project-card__image skeleton__block"></div>
+          <div class="project-card__body">
+            <span class="skeleton__line skeleton__line--title"></span>
+            <span class="skeleton__line"></span>
+            <span class="skeleton__line skeleton__line--short"></span>
+          </div>
+        </div>
+      `)}`,
+
+      timeline: () => html`${['left', 'right', 'left'].map(side => html`
+        <div class="timeline__item timeline__item--${side} skeleton" aria-hidden="true">
+          <div class="timeline__dot"></div>
+          <div class="timeline__content">
+            <span class="skeleton__line skeleton__line--short"></span>
+            <span class="skeleton__line skeleton__line--title"></span>
+            <span class="skeleton__line"></span>
+          </div>
+        </div>
+      `)}`
+    },
+
+    /**
+     * Say so in place of a section that failed to load, with a retry button.
+     * data-i18n keeps both in the active language.
+     */
+    renderError(container, name) {
+      container.innerHTML = html`
+        <div class="load-error">
+          <p class="load-error__message" data-i18n="load.${name}Error">${t(`load.${name}Error`)}</p>
+          <button type="button" class="btn btn--secondary btn--sm" data-content-retry="${name}" data-i18n="load.retry">${t('load.retry')}</button>
+        </div>
+      `;
+      if (name === 'timeline') TimelineMap.render([]);
+      Announcer.announce(t(`load.${name}Error`), true);
+    },
+
+    async loadTimeline(options) {
+      if (!DOM.timelineContainer) return;
+
+      const prerendered = this.isPrerendered(DOM.timelineContainer);
+      const showing = this.hasContent(DOM.timelineContainer);
+      DOM.timelineContainer.setAttribute('aria-busy', 'true');
+      if (!showing) DOM.timelineContainer.innerHTML = this.skeletons.timeline();
+
+      try {
+        this.timeline = await this.fetchContent('timeline', options);
+
+        // Prerendered in an earlier month, the current badges and ongoing durations are stale
+        const stale = prerendered && DOM.timelineContainer.dataset.prerenderedMonth !== Render.TimelineDates.monthKey();
+
+        if (!prerendered || stale || TimelineFilter.type !== 'all') {
+          this.renderTimeline(this.timeline);
+          SmoothScroll.revealHashTarget(DOM.timelineContainer);
+          Announcer.announce(t('load.timelineLoaded'));
+        }
+        delete DOM.timelineContainer.dataset.prerendered;
+        delete DOM.timelineContainer.dataset.prerenderedMonth;
+        DOM.timelineContainer.dataset.loaded = 'true';
+        this.emit('loaded', { name: 'timeline', data: this.timeline });
+      } catch (error) {
+        console.warn('Timeline data not available:', error.message);
+        if (!showing) this.renderError(DOM.timelineContainer, 'timeline');
+        this.emit('error', { name: 'timeline', error });
+      } finally {
+        DOM.timelineContainer.removeAttribute('aria-busy');
+      }
+    },
+
+    renderTimeline(items) {
+      const shown = items.filter(item => TimelineFilter.matches(item));
+
+      // Newest first, with derived current flag and side; ids come from the
+      // whole timeline, so they don't change with the filter
+      const ctx = Object.assign(renderContext(), { timelineAnchors: Render.timelineAnchors(items) });
+      DOM.timelineContainer.innerHTML = Render.timelineItems(shown, ctx);
+      TimelineMap.render(shown);
+
+      // Update DOM references and observe new elements
+      const timelineItems = document.querySelectorAll('.timeline__item');
+      timelineItems.forEach(el => {
         ScrollAnimations.observe(el);
       });
     },
 
-    renderProjectsFallback() {
-      DOM.projectsGrid.innerHTML = `
-        <article class="card project-card reveal">
-          <div class="project-card__image">
-            <div class="project-card__placeholder">
-              <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
-                <circle cx="8.5" cy="8.5" r="1.5"/>
-                <polyline points="21 15 16 10 5 21"/>
-              </svg>
-            </div>
-          </div>
-          <div class="project-card__body">
-            <h3 class="project-card__title">Multi-Camera Trajectory Fusion</h3>
-            <p class="project-card__description">Diploma thesis project developing algorithms to merge vehicle trajectories from multiple overlapping camera views into unified traffic flow representations.</p>
-            <div class="project-card__tags">
-              <span class="tag">Python</span>
-              <span class="tag">OpenCV</span>
-              <span class="tag">YOLO</span>
-              <span class="tag">Tracking</span>
-            </div>
-          </div>
-        </article>
-        <article class="card project-card project-card--coming-soon reveal">
-          <div class="project-card__image">
-            <div class="project-card__placeholder">
-              <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                <circle cx="12" cy="12" r="10"/>
-                <polyline points="12 6 12 12 16 14"/>
-              </svg>
-            </div>
-          </div>
-          <div class="project-card__body">
-            <h3 class="project-card__title">More Projects Coming Soon</h3>
-            <p class="project-card__description">Additional projects showcasing traffic engineering, computer vision, and software development work will be added here.</p>
-          </div>
-        </article>
-      `;
+    /**
+     * Whether scripts/build.js filled the container for the active language.
+     * Its elements were already picked up by ScrollAnimations on init.
+     */
+    isPrerendered(container) {
+      return container.dataset.prerendered === state.language;
+    },
+
+    /**
+     * Whether the container shows content already, prerendered in any
+     * language or loaded before. It stays up while loading and on failure.
+     */
+    hasContent(container) {
+      return 'prerendered' in container.dataset || container.dataset.loaded === 'true';
+    },
+
+    /**
+     * Load content again, past stored copies, and re-render it in place,
+     * e.g. after the service worker cached a newer version
+     */
+    async refresh(names) {
+      await Promise.all([
+        names.includes('projects') || names.includes('images') ? this.loadProjects({ revalidate: true }) : null,
+        names.includes('timeline') ? this.loadTimeline({ revalidate: true }) : null
+      ]);
+    },
+
+    /**
+     * Re-render already loaded content, e.g. after a language change
+     */
+    rerender() {
+      ProjectFilter.render();
+      this.showProjects();
+      if (this.timeline && DOM.timelineContainer) this.renderTimeline(this.timeline);
+      ProjectDetail.render();
+    }
+  };
+
+  // ==================== TIMELINE FILTER ====================
+  const TimelineFilter = {
+    type: 'all',
+    buttons: [],
+    scope: null,
+
+    init() {
+      this.buttons = document.querySelectorAll('[data-timeline-filter]');
+      this.scope = createScope();
+
+      this.buttons.forEach(btn => {
+        this.scope.listen(btn, 'click', () => this.setType(btn.dataset.timelineFilter));
+      });
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    },
+
+    setType(type) {
+      this.type = type;
+
+      this.buttons.forEach(btn => {
+        btn.setAttribute('aria-pressed', btn.dataset.timelineFilter === type);
+      });
+
+      if (DataLoader.timeline) {
+        DataLoader.renderTimeline(DataLoader.timeline);
+        ScrollAnimations.updateTimelineFill();
+      }
+    },
+
+    matches(item) {
+      return this.type === 'all' || item.type === this.type;
+    }
+  };
+
+  // ==================== TIMELINE MAP ====================
+  /**
+   * Map of the timeline's places above the items (js/geo-map.js). It shows
+   * the entries the timeline shows; pointing at or focusing a marker
+   * highlights its items and the other way round, and activating a marker
+   * scrolls to its newest item.
+   */
+  const TimelineMap = {
+    figure: null,
+    canvas: null,
+    land: null,
+    items: null,
+    scope: null,
+
+    init() {
+      this.figure = document.querySelector('.timeline-map');
+      if (!this.figure || !DOM.timelineContainer || !window.GeoMap) return;
+
+      this.canvas = this.figure.querySelector('.timeline-map__canvas');
+      this.scope = createScope();
+
+      const track = (container, selector) => {
+        ['pointerover', 'focusin'].forEach(type => {
+          this.scope.listen(container, type, (e) => {
+            const target = e.target.closest(selector);
+            this.highlight(target ? target.dataset.place : null);
+          });
+        });
+        ['pointerleave', 'focusout'].forEach(type => {
+          this.scope.listen(container, type, () => this.highlight(null));
+        });
+      };
+      track(this.canvas, '.timeline-map__place');
+      track(DOM.timelineContainer, '.timeline__item[data-place]');
+
+      this.scope.listen(this.canvas, 'click', (e) => {
+        const place = e.target.closest('.timeline-map__place');
+        if (place) this.reveal(place.dataset.place);
+      });
+      this.scope.listen(this.canvas, 'keydown', (e) => {
+        const place = e.target.closest('.timeline-map__place');
+        if (place && (e.key === 'Enter' || e.key === ' ')) {
+          e.preventDefault();
+          this.reveal(place.dataset.place);
+        }
+      });
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    },
+
+    /**
+     * Land outlines, fetched once
+     */
+    loadLand() {
+      if (!this.land) {
+        this.land = ContentCache.getJSON('content/land.geojson');
+        this.land.catch(() => { this.land = null; });
+      }
+      return this.land;
+    },
+
+    /**
+     * Draw the map for the entries the timeline shows, hidden while none of
+     * them has coordinates
+     */
+    async render(items) {
+      if (!this.scope) return;
+      this.items = items;
+
+      if (!items.some(item => item.coordinates)) {
+        this.canvas.innerHTML = '';
+        this.figure.hidden = true;
+        return;
+      }
+
+      try {
+        const land = await this.loadLand();
+        // Superseded while loading
+        if (this.items !== items) return;
+
+        this.canvas.innerHTML = GeoMap.render(land, items, renderContext());
+        this.figure.hidden = false;
+        delete this.canvas.dataset.prerendered;
+      } catch (error) {
+        console.warn('Timeline map not available:', error.message);
+        if (!DataLoader.isPrerendered(this.canvas)) this.figure.hidden = true;
+      }
+    },
+
+    highlight(key) {
+      this.canvas.querySelectorAll('.timeline-map__place').forEach(place => {
+        place.classList.toggle('timeline-map__place--active', place.dataset.place === key);
+      });
+      DOM.timelineContainer.querySelectorAll('.timeline__item[data-place]').forEach(item => {
+        item.classList.toggle('timeline__item--highlight', item.dataset.place === key);
+      });
+    },
+
+    /**
+     * Scroll to the newest item at a place
+     */
+    reveal(key) {
+      const item = [...DOM.timelineContainer.querySelectorAll('.timeline__item[data-place]')]
+        .find(element => element.dataset.place === key);
+      if (item) SmoothScroll.scrollTo(item);
+    }
+  };
+
+  // ==================== PROJECT FILTER ====================
+  /**
+   * Filter bar above the projects grid. Values within a group are OR-ed,
+   * groups are AND-ed; state lives in ?tags=&status=&year=&q=
+   */
+  const ProjectFilter = {
+    container: null,
+    options: { tags: [], status: [], year: [] },
+    selected: { tags: new Set(), status: new Set(), year: new Set() },
+    query: '',
+    leaveTimer: null,
+    scope: null,
+
+    init() {
+      this.container = document.querySelector('.project-filters');
+      if (!this.container || !DOM.projectsGrid) return;
+
+      this.scope = createScope();
+      this.readURL();
+
+      this.scope.listen(this.container, 'click', (e) => {
+        const chip = e.target.closest('[data-filter]');
+        if (chip) {
+          this.toggle(chip.dataset.filter, chip.dataset.value);
+        } else if (e.target.closest('[data-filter-clear]')) {
+          this.clear();
+        }
+      });
+
+      const handleSearch = debounce((e) => {
+        if (!e.target.matches('.project-filters__input')) return;
+        this.query = e.target.value.trim();
+        this.update();
+      }, 200);
+      this.scope.listen(this.container, 'input', handleSearch);
+      this.scope.onDispose(() => handleSearch.cancel());
+
+      // Tags on cards apply their filter
+      this.scope.listen(DOM.projectsGrid, 'click', (e) => {
+        const tag = e.target.closest('[data-filter-tag]');
+        if (tag) {
+          this.selected.tags.add(tag.dataset.filterTag);
+          this.update();
+        } else if (e.target.closest('[data-filter-clear]')) {
+          this.clear();
+        }
+      });
+    },
+
+    /**
+     * Collect every tag, status and year found in the project data
+     */
+    build(projects) {
+      if (!this.container) return;
+
+      const real = projects.filter(project => project.status !== 'coming-soon');
+      const unique = values => [...new Set(values.filter(Boolean))];
+
+      this.options.tags = unique(real.flatMap(project => project.tags || [])).sort((a, b) => a.localeCompare(b));
+      this.options.status = unique(real.map(project => project.status));
+      this.options.year = unique(real.map(project => project.year)).sort().reverse();
+
+      this.render();
+    },
+
+    render() {
+      if (!this.container) return;
+
+      const group = (name, values, label) => values.length === 0 ? '' : html`
+        <div class="project-filters__group" role="group" aria-label="${t(`filters.${name}`)}">
+          <span class="project-filters__label" aria-hidden="true">${t(`filters.${name}`)}</span>
+          ${values.map(value => html`
+            <button type="button" class="tag project-filters__chip" data-filter="${name}" data-value="${value}" aria-pressed="${this.selected[name].has(value)}">${label(value)}</button>
+          `)}
+        </div>
+      `;
+
+      this.container.innerHTML = html`
+        <div class="project-filters__search">
+          <label for="project-search" class="sr-only">${t('filters.search')}</label>
+          <input type="search" id="project-search" class="project-filters__input" placeholder="${t('filters.search')}" value="${this.query}" autocomplete="off">
+        </div>
+        ${group('tags', this.options.tags, value => value)}
+        ${group('status', this.options.status, value => t(`status.${value}`))}
+        ${group('year', this.options.year, value => value)}
+        <div class="project-filters__footer">
+          <p class="project-filters__count" aria-live="polite">${this.isActive() ? this.countLabel() : ''}</p>
+          ${this.isActive()
+            ? html`<button type="button" class="btn btn--ghost btn--sm" data-filter-clear>${t('filters.clear')}</button>`
+            : ''
+          }
+        </div>
+      `;
+      this.container.hidden = false;
+    },
+
+    countLabel() {
+      const count = (DataLoader.projects || []).filter(project => this.matches(project)).length;
+      return t(count === 1 ? 'filters.countOne' : 'filters.count', { count });
+    },
+
+    isActive() {
+      return this.query !== '' || Object.values(this.selected).some(set => set.size > 0);
+    },
+
+    matches(project) {
+      if (project.status === 'coming-soon') return false;
+
+      const { tags, status, year } = this.selected;
+      if (tags.size > 0 && !(project.tags || []).some(tag => tags.has(tag))) return false;
+      if (status.size > 0 && !status.has(project.status)) return false;
+      if (year.size > 0 && !year.has(project.year)) return false;
+
+      if (this.query) {
+        // Search the active language first, but also the English original
+        const haystack = [
+          localize(project.title), localize(project.description),
+          project.title && project.title.en, project.description && project.description.en
+        ].filter(value => typeof value === 'string').join(' ').toLowerCase();
+
+        return this.query.toLowerCase().split(/\s+/).every(word => haystack.includes(word));
+      }
+
+      return true;
+    },
+
+    toggle(group, value) {
+      const set = this.selected[group];
+      if (!set) return;
+
+      if (set.has(value)) {
+        set.delete(value);
+      } else {
+        set.add(value);
+      }
+      this.update();
+    },
+
+    clear() {
+      Object.values(this.selected).forEach(set => set.clear());
+      this.query = '';
+      this.update();
+    },
+
+    /**
+     * Show only the projects with one tag; false when there is no project
+     * list on this page
+     */
+    showTag(tag) {
+      if (!this.scope) return false;
+
+      Object.values(this.selected).forEach(set => set.clear());
+      this.query = '';
+      this.selected.tags.add(tag);
+      this.update();
+      return true;
+    },
+
+    update() {
+      this.writeURL();
+
+      // Keep focus on the search field while typing
+      const searchFocused = document.activeElement && document.activeElement.matches('.project-filters__input');
+      this.render();
+      if (searchFocused) {
+        const input = this.container.querySelector('.project-filters__input');
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+      }
+
+      // Fade current cards out, then re-render; new cards reveal through ScrollAnimations
+      const cards = DOM.projectsGrid.querySelectorAll('.project-card');
+      this.scope.clearTimeout(this.leaveTimer);
+
+      if (cards.length === 0 || prefersReducedMotion()) {
+        DataLoader.showProjects();
+        return;
+      }
+
+      cards.forEach(card => card.classList.add('is-leaving'));
+      this.leaveTimer = this.scope.setTimeout(() => DataLoader.showProjects(), 250);
+    },
+
+    /**
+     * Remove listeners; the selection stays, as it mirrors the URL
+     */
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    },
+
+    readURL() {
+      const params = new URLSearchParams(window.location.search);
+
+      Object.values(this.selected).forEach(set => set.clear());
+      Object.keys(this.selected).forEach(group => {
+        const value = params.get(group);
+        if (value) {
+          value.split(',').map(item => item.trim()).filter(Boolean).forEach(item => this.selected[group].add(item));
+        }
+      });
+
+      this.query = (params.get('q') || '').trim();
+    },
+
+    writeURL() {
+      const url = new URL(window.location.href);
+
+      Object.entries(this.selected).forEach(([group, set]) => {
+        if (set.size > 0) {
+          url.searchParams.set(group, [...set].join(','));
+        } else {
+          url.searchParams.delete(group);
+        }
+      });
+
+      if (this.query) {
+        url.searchParams.set('q', this.query);
+      } else {
+        url.searchParams.delete('q');
+      }
+
+      history.replaceState(history.state, '', url);
+    }
+  };
+
+  // ==================== PROJECT DETAIL ====================
+  /**
+   * Hash routes for project details, shared as deep links:
+   *   #/projects      all projects, including non-featured ones
+   *   #/projects/:id  detail view keyed on the project's id
+   */
+  const ProjectDetail = {
+    overlay: null,
+    dialog: null,
+    content: null,
+    route: null,
+    returnFocus: null,
+    scope: null,
+
+    init() {
+      if (!DOM.projectsGrid) return;
+
+      this.scope = createScope();
+      this.createOverlay();
+
+      // Covers links, back/forward and manual edits of the URL
+      this.scope.listen(window, 'hashchange', () => this.handleRoute());
+
+      // Deep links resolve once the projects loaded, or failed to
+      ['content:loaded', 'content:error'].forEach(type => {
+        this.scope.listen(document, type, (e) => {
+          if (e.detail.name === 'projects') this.handleRoute();
+        });
+      });
+
+      this.scope.listen(this.overlay, 'click', (e) => {
+        if (e.target.closest('[data-detail-close]')) this.close();
+      });
+
+      this.scope.listen(this.overlay, 'keydown', (e) => this.handleKeydown(e));
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.hide();
+      this.scope.dispose();
+      this.scope = null;
+      this.overlay.remove();
+      this.overlay = null;
+      this.dialog = null;
+      this.content = null;
+    },
+
+    createOverlay() {
+      this.overlay = document.createElement('div');
+      this.overlay.className = 'project-detail';
+      this.overlay.hidden = true;
+      this.overlay.innerHTML = `
+        <div class="project-detail__backdrop" data-detail-close></div>
+        <div class="project-detail__dialog" role="dialog" aria-modal="true" aria-labelledby="project-detail-title" tabindex="-1">
+          <button class="project-detail__close" type="button" data-detail-close>
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+          <div class="project-detail__content"></div>
+        </div>
+      `;
+      document.body.appendChild(this.overlay);
+
+      this.dialog = this.overlay.querySelector('.project-detail__dialog');
+      this.content = this.overlay.querySelector('.project-detail__content');
+    },
+
+    parseRoute() {
+      const match = window.location.hash.match(/^#\/projects(?:\/([\w-]+))?\/?$/);
+      if (!match) return null;
+      return { id: match[1] || null };
+    },
+
+    handleRoute() {
+      if (!this.overlay) return;
+
+      this.route = this.parseRoute();
+      if (this.route) {
+        this.open();
+      } else {
+        this.hide();
+      }
+    },
+
+    open() {
+      const wasHidden = this.overlay.hidden;
+      if (wasHidden) {
+        this.returnFocus = document.activeElement;
+      }
+
+      this.render();
+      this.overlay.hidden = false;
+      document.body.style.overflow = 'hidden';
+
+      // Move focus into the dialog so keyboard and screen reader users land on the new view
+      this.dialog.focus();
+      this.dialog.scrollTop = 0;
+    },
+
+    hide() {
+      if (this.overlay.hidden) return;
+
+      this.overlay.hidden = true;
+      document.body.style.overflow = '';
+
+      if (this.returnFocus && document.contains(this.returnFocus)) {
+        this.returnFocus.focus();
+      }
+      this.returnFocus = null;
+    },
+
+    /**
+     * Leave the route as a new history entry, so "back" reopens the view
+     */
+    close() {
+      history.pushState(null, '', window.location.pathname + window.location.search + '#projects');
+      this.route = null;
+      this.hide();
+    },
+
+    handleKeydown(e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+        return;
+      }
+
+      if (e.key !== 'Tab') return;
+
+      // Keep focus inside the dialog
+      const focusable = this.dialog.querySelectorAll('a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])');
+      if (focusable.length === 0) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    },
+
+    render() {
+      if (!this.overlay || !this.route) return;
+
+      this.overlay.querySelector('.project-detail__close').setAttribute('aria-label', t('projectDetail.close'));
+
+      if (!this.route.id) {
+        this.content.innerHTML = this.renderList();
+        return;
+      }
+
+      const project = DataLoader.getProject(this.route.id);
+      this.content.innerHTML = project
+        ? this.renderProject(project)
+        : html`
+          <h2 id="project-detail-title" class="project-detail__title">${t('projectDetail.notFound')}</h2>
+          <a href="#/projects" class="btn btn--secondary btn--sm">${t('projectDetail.allProjects')}</a>
+        `;
+    },
+
+    renderList() {
+      const projects = (DataLoader.projects || []).filter(p => p.status !== 'coming-soon');
+
+      return html`
+        <span class="section__kicker">${t('projects.kicker')}</span>
+        <h2 id="project-detail-title" class="project-detail__title">${t('projectDetail.allProjects')}</h2>
+        <ul class="project-detail__list">
+          ${projects.map(project => html`
+            <li class="project-detail__list-item">
+              <a href="#/projects/${project.id}" class="project-detail__list-link">
+                <span class="project-detail__list-title">${localize(project.title)}</span>
+                ${project.year ? html`<span class="project-detail__list-year">${project.year}</span>` : ''}
+              </a>
+              <p class="project-detail__list-description">${localize(project.description)}</p>
+            </li>
+          `)}
+        </ul>
+      `;
+    },
+
+    renderProject(project) {
+      const title = localize(project.title);
+      const details = localize(project.details) || [localize(project.description)];
+      const outcomes = localize(project.outcomes) || [];
+      const techStack = project.techStack || project.tags || [];
+      const images = project.images || [];
+      const links = project.links || {};
+
+      return html`
+        <a href="#/projects" class="project-detail__back">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <path d="M19 12H5M12 19l-7-7 7-7"/>
+          </svg>
+          ${t('projectDetail.allProjects')}
+        </a>
+        <header class="project-detail__header">
+          <div class="project-detail__meta">
+            ${project.year ? html`<span class="tag">${project.year}</span>` : ''}
+            ${project.status ? html`<span class="tag tag--highlight">${t(`status.${project.status}`)}</span>` : ''}
+          </div>
+          <h2 id="project-detail-title" class="project-detail__title">${title}</h2>
+          ${project.role
+            ? html`<p class="project-detail__role"><strong>${t('projectDetail.role')}:</strong> ${localize(project.role)}</p>`
+            : ''
+          }
+        </header>
+        ${images.length > 0
+          ? html`<div class="project-detail__gallery" role="group" aria-label="${t('projectDetail.gallery')}">
+              ${images.map(image => this.renderFigure(image, project, title))}
+            </div>`
+          : ''
+        }
+        <div class="project-detail__body">
+          ${details.map(paragraph => html`<p>${paragraph}</p>`)}
+        </div>
+        ${techStack.length > 0
+          ? html`<h3 class="project-detail__subtitle">${t('projectDetail.techStack')}</h3>
+            <div class="project-detail__tags">
+              ${techStack.map(tech => html`<span class="tag">${tech}</span>`)}
+            </div>`
+          : ''
+        }
+        ${outcomes.length > 0
+          ? html`<h3 class="project-detail__subtitle">${t('projectDetail.outcomes')}</h3>
+            <ul class="project-detail__outcomes">
+              ${outcomes.map(outcome => html`<li>${outcome}</li>`)}
+            </ul>`
+          : ''
+        }
+        ${links.demo || links.github
+          ? html`<div class="project-detail__links">
+              ${links.demo && Render.demoId(links.demo) ? html`<a href="${links.demo}" class="btn btn--primary btn--sm">${t('projects.demo')}</a>` : ''}
+              ${links.demo && !Render.demoId(links.demo) ? html`<a href="${links.demo}" class="btn btn--primary btn--sm" target="_blank" rel="noopener noreferrer">${t('projects.demo')}</a>` : ''}
+              ${links.github ? html`<a href="${links.github}" class="btn btn--secondary btn--sm" target="_blank" rel="noopener noreferrer">${t('projects.code')}</a>` : ''}
+            </div>`
+          : ''
+        }
+      `;
+    },
+
+    /**
+     * Gallery image that opens in the Lightbox, with its caption
+     */
+    renderFigure(image, project, title) {
+      const caption = localize(image.caption);
+      const picture = Render.picture(image, renderContext(), {
+        alt: localize(image.alt) || title,
+        sizes: '(min-width: 768px) 360px, 100vw',
+        width: 640,
+        height: 360
+      });
+
+      return html`
+        <figure class="project-detail__figure">
+          <button type="button" class="project-detail__zoom" data-lightbox="${project.id}">
+            <span class="sr-only">${t('projectDetail.enlarge')}:</span>
+            ${picture}
+          </button>
+          ${caption ? html`<figcaption class="project-detail__caption">${caption}</figcaption>` : ''}
+        </figure>
+      `;
+    }
+  };
+
+  // ==================== PROJECT DEMOS ====================
+  /**
+   * In-page demos from content/demos.json, opened by "#/demos/<id>" links
+   * (a project's links.demo). A demo's script is loaded on first use and
+   * registers Demos[id] = { mount(container, data, options) }, which gets
+   * the demo's data file and returns { translate(ctx), setPlaying(playing),
+   * destroy() }. The demo runs in a panel below the project grid until the
+   * route is left.
+   */
+  const ProjectDemo = {
+    panel: null,
+    body: null,
+    demos: null,
+    scripts: new Map(),
+    active: null,
+    scope: null,
+
+    init() {
+      if (!DOM.projectsGrid) return;
+
+      this.scope = createScope();
+      this.createPanel();
+
+      this.scope.listen(window, 'hashchange', () => this.handleRoute());
+      this.scope.listen(this.panel, 'click', (e) => {
+        if (e.target.closest('[data-demo-close]')) this.close();
+      });
+
+      // Deep link
+      this.handleRoute();
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.stop();
+      this.scope.dispose();
+      this.scope = null;
+      this.panel.remove();
+      this.panel = null;
+      this.body = null;
+    },
+
+    createPanel() {
+      this.panel = document.createElement('section');
+      this.panel.className = 'card card--no-hover project-demo';
+      this.panel.hidden = true;
+      this.panel.setAttribute('aria-labelledby', 'project-demo-title');
+      this.panel.innerHTML = `
+        <header class="project-demo__header">
+          <div class="project-demo__intro">
+            <span class="section__kicker"></span>
+            <h3 id="project-demo-title" class="project-demo__title" tabindex="-1"></h3>
+            <div class="project-demo__about"></div>
+          </div>
+          <button class="project-demo__close" type="button" data-demo-close>
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </header>
+        <div class="project-demo__body"></div>
+      `;
+      DOM.projectsGrid.after(this.panel);
+
+      this.body = this.panel.querySelector('.project-demo__body');
+    },
+
+    handleRoute() {
+      if (!this.panel) return;
+
+      const id = Render.demoId(window.location.hash);
+      if (id) {
+        this.open(id);
+      } else {
+        this.hide();
+      }
+    },
+
+    /**
+     * Registry from content/demos.json, loaded once
+     */
+    async getDemos() {
+      if (!this.demos) this.demos = await DataLoader.fetchContent('demos');
+      return this.demos;
+    },
+
+    /**
+     * Load a demo script once; resolves when it has run
+     */
+    loadScript(src) {
+      if (!this.scripts.has(src)) {
+        this.scripts.set(src, new Promise((resolve, reject) => {
+          const script = document.createElement('script');
+          script.src = src;
+          script.addEventListener('load', resolve);
+          script.addEventListener('error', () => {
+            // Let the next attempt try again
+            this.scripts.delete(src);
+            script.remove();
+            reject(new Error(`Failed to load ${src}`));
+          });
+          document.body.appendChild(script);
+        }));
+      }
+      return this.scripts.get(src);
+    },
+
+    async open(id) {
+      if (this.active && this.active.id === id) return;
+
+      this.stop();
+      const active = { id, demo: null, missing: false, instance: null, scope: createScope() };
+      this.active = active;
+
+      this.panel.hidden = false;
+      this.renderIntro();
+      this.body.innerHTML = html`<p class="project-demo__status">${t('demo.loading')}</p>`;
+      this.panel.setAttribute('aria-busy', 'true');
+      SmoothScroll.scrollTo(this.panel);
+      this.panel.querySelector('.project-demo__title').focus({ preventScroll: true });
+
+      try {
+        const demo = (await this.getDemos()).find(entry => entry.id === id);
+        if (this.active !== active) return;
+        if (!demo) {
+          active.missing = true;
+          this.renderIntro();
+          this.body.innerHTML = '';
+          Announcer.announce(t('demo.notFound'), true);
+          return;
+        }
+
+        active.demo = demo;
+        this.renderIntro();
+
+        const [data] = await Promise.all([
+          demo.data ? ContentCache.getJSON(demo.data) : null,
+          this.loadScript(demo.script)
+        ]);
+
+        // Closed or switched while loading
+        if (this.active !== active) return;
+
+        const implementation = window.Demos && window.Demos[id];
+        if (!implementation) throw new Error(`${demo.script} didn't register Demos['${id}']`);
+
+        this.body.innerHTML = '';
+        active.instance = implementation.mount(this.body, data, {
+          scope: active.scope,
+          ctx: renderContext(),
+          autoplay: !prefersReducedMotion()
+        });
+        Announcer.announce(t('demo.loaded', { title: localize(demo.title) }));
+      } catch (error) {
+        console.warn('Demo not available:', error.message);
+        if (this.active === active) {
+          this.body.innerHTML = html`<p class="project-demo__status">${t('demo.error')}</p>`;
+          Announcer.announce(t('demo.error'), true);
+        }
+      } finally {
+        if (this.active === active) this.panel.removeAttribute('aria-busy');
+      }
+    },
+
+    /**
+     * Title and description of the active demo, or a placeholder while
+     * the registry loads
+     */
+    renderIntro() {
+      const { demo, missing } = this.active;
+      const title = demo ? localize(demo.title) : t(missing ? 'demo.notFound' : 'demo.loading');
+
+      // The title keeps focus, so only its text changes
+      this.panel.querySelector('.section__kicker').textContent = t('projects.demo');
+      this.panel.querySelector('.project-demo__title').textContent = title;
+      this.panel.querySelector('.project-demo__about').innerHTML = demo
+        ? html`
+          ${demo.description ? html`<p class="project-demo__description">${localize(demo.description)}</p>` : ''}
+          <a href="#/projects/${demo.project}" class="project-demo__project">${t('demo.project')}</a>
+        `
+        : '';
+      this.panel.querySelector('.project-demo__close').setAttribute('aria-label', t('demo.close'));
+    },
+
+    /**
+     * Follow a language change
+     */
+    render() {
+      if (!this.active) return;
+      this.renderIntro();
+      if (this.active.instance) this.active.instance.translate(renderContext());
+    },
+
+    /**
+     * Pause the demo when motion is reduced, and play it again once motion
+     * is allowed, as it would have started then
+     */
+    setAutoplay(autoplay) {
+      if (this.active && this.active.instance) this.active.instance.setPlaying(autoplay);
+    },
+
+    stop() {
+      if (!this.active) return;
+      if (this.active.instance) this.active.instance.destroy();
+      this.active.scope.dispose();
+      this.active = null;
+    },
+
+    hide() {
+      if (this.panel.hidden) return;
+      const id = this.active && this.active.id;
+
+      this.stop();
+      this.panel.hidden = true;
+      this.body.innerHTML = '';
+      this.panel.removeAttribute('aria-busy');
+
+      // Back to the link that opened it, if it is on the page
+      const link = id && DOM.projectsGrid.querySelector(`a[href="${Render.demoRoute(id)}"]`);
+      if (link && this.panel.contains(document.activeElement)) link.focus();
+    },
+
+    /**
+     * Leave the route as a new history entry, so "back" reopens the demo
+     */
+    close() {
+      history.pushState(null, '', window.location.pathname + window.location.search + '#projects');
+      this.hide();
+    }
+  };
+
+  // ==================== LIGHTBOX ====================
+  /**
+   * Full-size viewer for gallery images. Any [data-lightbox="<group>"]
+   * element holding a <picture> opens it; the other elements of the same
+   * group are the previous and next images, and the caption comes from the
+   * surrounding <figure>. Arrow keys, Home/End and horizontal swipes navigate.
+   */
+  const Lightbox = {
+    swipeDistance: 50,
+    overlay: null,
+    dialog: null,
+    stage: null,
+    items: [],
+    index: 0,
+    swipe: null,
+    swiped: false,
+    returnFocus: null,
+    overflow: '',
+    scope: null,
+
+    init() {
+      this.scope = createScope();
+
+      this.scope.listen(document, 'click', (e) => {
+        const trigger = e.target.closest('[data-lightbox]');
+        if (!trigger || (this.overlay && this.overlay.contains(trigger))) return;
+        e.preventDefault();
+        this.open(trigger);
+      });
+
+      // The gallery belongs to a route, leaving it closes the viewer
+      this.scope.listen(window, 'hashchange', () => this.close());
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.close();
+      this.scope.dispose();
+      this.scope = null;
+      if (this.overlay) this.overlay.remove();
+      this.overlay = null;
+      this.dialog = null;
+      this.stage = null;
+    },
+
+    createOverlay() {
+      this.overlay = document.createElement('div');
+      this.overlay.className = 'lightbox';
+      this.overlay.hidden = true;
+      this.overlay.innerHTML = `
+        <div class="lightbox__dialog" role="dialog" aria-modal="true" tabindex="-1">
+          <figure class="lightbox__figure">
+            <div class="lightbox__stage"></div>
+            <figcaption class="lightbox__caption">
+              <span class="lightbox__counter"></span>
+              <span class="lightbox__text"></span>
+            </figcaption>
+          </figure>
+          <button type="button" class="lightbox__nav lightbox__nav--prev" data-lightbox-step="-1">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <polyline points="15 18 9 12 15 6"/>
+            </svg>
+          </button>
+          <button type="button" class="lightbox__nav lightbox__nav--next" data-lightbox-step="1">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <polyline points="9 18 15 12 9 6"/>
+            </svg>
+          </button>
+          <button type="button" class="lightbox__close" data-lightbox-close>
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+      `;
+      document.body.appendChild(this.overlay);
+
+      this.dialog = this.overlay.querySelector('.lightbox__dialog');
+      this.stage = this.overlay.querySelector('.lightbox__stage');
+
+      this.scope.listen(this.overlay, 'click', (e) => {
+        const step = e.target.closest('[data-lightbox-step]');
+        if (step) {
+          this.step(Number(step.dataset.lightboxStep));
+        } else if (e.target.closest('[data-lightbox-close]') || e.target === this.dialog || (e.target === this.stage && !this.swiped)) {
+          // Clicks beside the image close, except the one ending a swipe
+          this.close();
+        }
+      });
+      this.scope.listen(this.overlay, 'keydown', (e) => this.handleKeydown(e));
+
+      this.scope.listen(this.stage, 'pointerdown', (e) => {
+        this.swipe = { x: e.clientX, y: e.clientY };
+        this.swiped = false;
+      });
+      this.scope.listen(this.stage, 'pointerup', (e) => this.handleSwipe(e));
+      this.scope.listen(this.stage, 'pointercancel', () => {
+        this.swipe = null;
+      });
+    },
+
+    open(trigger) {
+      if (!this.overlay) this.createOverlay();
+
+      const group = trigger.dataset.lightbox;
+      this.items = [...document.querySelectorAll('[data-lightbox]')].filter(item => item.dataset.lightbox === group);
+      this.returnFocus = trigger;
+      this.show(this.items.indexOf(trigger));
+
+      if (this.overlay.hidden) {
+        this.overflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+        this.overlay.hidden = false;
+      }
+      this.dialog.focus();
+    },
+
+    /**
+     * Show item `index` of the open group, wrapping around at either end
+     */
+    show(index) {
+      const count = this.items.length;
+      this.index = (index + count) % count;
+
+      const item = this.items[this.index];
+      const picture = item.querySelector('picture').cloneNode(true);
+      const img = picture.querySelector('img');
+      const caption = item.closest('figure') && item.closest('figure').querySelector('figcaption');
+
+      // Full size now, rather than the thumbnail's width and lazy loading
+      picture.querySelectorAll('source').forEach(source => source.setAttribute('sizes', '100vw'));
+      img.setAttribute('sizes', '100vw');
+      img.setAttribute('loading', 'eager');
+      this.stage.replaceChildren(picture);
+
+      this.dialog.setAttribute('aria-label', img.alt ? `${t('lightbox.label')}: ${img.alt}` : t('lightbox.label'));
+      this.overlay.querySelector('.lightbox__counter').textContent = count > 1
+        ? t('lightbox.counter', { index: this.index + 1, count })
+        : '';
+      this.overlay.querySelector('.lightbox__text').textContent = caption ? caption.textContent.trim() : '';
+
+      this.overlay.querySelector('[data-lightbox-close]').setAttribute('aria-label', t('lightbox.close'));
+      this.overlay.querySelectorAll('[data-lightbox-step]').forEach(button => {
+        button.hidden = count < 2;
+        button.setAttribute('aria-label', t(button.dataset.lightboxStep === '1' ? 'lightbox.next' : 'lightbox.previous'));
+      });
+    },
+
+    step(delta) {
+      if (this.items.length < 2) return;
+      this.show(this.index + delta);
+    },
+
+    close() {
+      if (!this.overlay || this.overlay.hidden) return;
+
+      this.overlay.hidden = true;
+      this.stage.replaceChildren();
+      document.body.style.overflow = this.overflow;
+      this.items = [];
+
+      if (this.returnFocus && document.contains(this.returnFocus)) {
+        this.returnFocus.focus();
+      }
+      this.returnFocus = null;
+    },
+
+    handleKeydown(e) {
+      const keys = {
+        ArrowLeft: () => this.step(-1),
+        ArrowRight: () => this.step(1),
+        Home: () => this.show(0),
+        End: () => this.show(this.items.length - 1)
+      };
+
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      } else if (keys[e.key]) {
+        e.preventDefault();
+        keys[e.key]();
+      } else if (e.key === 'Tab') {
+        // Keep focus inside the viewer
+        const focusable = [...this.dialog.querySelectorAll('button')].filter(button => !button.hidden);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.dialog)) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
+      }
+    },
+
+    /**
+     * A mostly horizontal swipe over the image moves to the next or previous one
+     */
+    handleSwipe(e) {
+      if (!this.swipe) return;
+      const dx = e.clientX - this.swipe.x;
+      const dy = e.clientY - this.swipe.y;
+      this.swipe = null;
+      this.swiped = Math.hypot(dx, dy) > 10;
+
+      if (Math.abs(dx) >= this.swipeDistance && Math.abs(dx) > Math.abs(dy)) {
+        this.step(dx < 0 ? 1 : -1);
+      }
+    }
+  };
+
+  // ==================== NOTES ====================
+  /**
+   * Notes page: lists content/posts.json and renders a single post from its
+   * Markdown file. Posts are addressed as notes.html?post=<slug> rather than
+   * a '#/' route, so heading and footnote anchors keep working.
+   */
+  const Notes = {
+    container: null,
+    header: null,
+    slug: null,
+    posts: null,
+    post: null,
+    failed: false,
+    scope: null,
+
+    init() {
+      this.container = document.querySelector('[data-notes]');
+      if (!this.container || !Markdown) return;
+
+      this.header = document.querySelector('[data-notes-header]');
+      this.scope = createScope();
+      this.load(this.scope);
+    },
+
+    async load(scope) {
+      const slug = new URLSearchParams(window.location.search).get('post');
+
+      try {
+        // Projects only add tag links and the related project, so they may fail
+        const [posts] = await Promise.all([
+          DataLoader.fetchContent('posts'),
+          DataLoader.getProjects().catch(() => null)
+        ]);
+        this.posts = posts;
+
+        const entry = slug ? posts.find(post => post.slug === slug) : null;
+        if (entry) {
+          const text = await ContentCache.getText(`content/posts/${entry.slug}.md`);
+          this.post = { entry, body: Markdown.parseFrontMatter(text).body };
+        }
+      } catch (error) {
+        console.warn('Notes not available:', error.message);
+        this.failed = true;
+      }
+
+      // Destroyed while loading
+      if (scope !== this.scope) return;
+
+      this.slug = slug;
+      this.render();
+    },
+
+    context() {
+      return Object.assign(renderContext(), { projectTags: Render.projectTags(DataLoader.projects || []) });
+    },
+
+    /**
+     * Render the list or the open post, e.g. again after a language change
+     */
+    render() {
+      if (!this.scope || (!this.posts && !this.failed)) return;
+
+      const viewingPost = Boolean(this.slug);
+      if (this.header) this.header.hidden = viewingPost;
+
+      if (this.failed) {
+        this.container.innerHTML = html`<p class="notes__message">${t('notes.error')}</p>`;
+      } else if (viewingPost) {
+        this.container.innerHTML = this.post ? this.renderPost(this.post) : this.renderNotFound();
+        if (this.post) document.title = `${this.post.entry.title} - Sebastian Gerken`;
+      } else {
+        this.container.innerHTML = this.posts.length > 0
+          ? html`<div class="notes__grid">${Render.postCards(this.posts, this.context())}</div>`
+          : html`<p class="notes__message">${t('notes.empty')}</p>`;
+      }
+
+      this.container.querySelectorAll('.reveal').forEach(el => ScrollAnimations.observe(el));
+    },
+
+    renderBack() {
+      return html`
+        <a href="notes.html" class="notes__back">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <path d="M19 12H5M12 19l-7-7 7-7"/>
+          </svg>
+          ${t('notes.all')}
+        </a>
+      `;
+    },
+
+    renderNotFound() {
+      return html`
+        ${this.renderBack()}
+        <h1 class="section__title">${t('notes.notFound')}</h1>
+      `;
+    },
+
+    renderPost({ entry, body }) {
+      const ctx = this.context();
+      const related = entry.related_project ? DataLoader.getProject(entry.related_project) : null;
+      const tags = entry.tags || [];
+      const markup = Markdown.render(body, {
+        imageBase: 'content/posts/',
+        idPrefix: 'note-',
+        labels: { footnotes: t('notes.footnotes'), backref: t('notes.backToReference') }
+      });
+
+      return html`
+        ${this.renderBack()}
+        <article class="note">
+          <header class="note__header">
+            <div class="note__meta">
+              <time datetime="${entry.date}">${Render.formatDay(entry.date, ctx)}</time>
+              ${entry.language !== state.language ? html`<span class="tag">${t(`notes.language.${entry.language}`)}</span>` : ''}
+            </div>
+            <h1 class="note__title" lang="${entry.language}">${entry.title}</h1>
+            <p class="note__summary" lang="${entry.language}">${entry.summary}</p>
+            ${tags.length > 0
+              ? html`<div class="note__tags">${tags.map(tag => Render.linkedTag(tag, ctx))}</div>`
+              : ''
+            }
+            ${related
+              ? html`<p class="note__related">${t('notes.relatedProject')}: <a href="index.html#/projects/${related.id}">${localize(related.title)}</a></p>`
+              : ''
+            }
+          </header>
+          <div class="markdown" lang="${entry.language}">${raw(markup)}</div>
+        </article>
+      `;
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    }
+  };
+
+  // ==================== CV ====================
+  /**
+   * Printable CV on cv.html, rendered from the same content files as the
+   * home page. ?variant=compact selects the entries flagged for the short
+   * version; scripts/build.js prerenders the full one. The same content can
+   * be downloaded as a JSON Resume (js/resume.js).
+   */
+  const CV = {
+    body: null,
+    variant: 'full',
+    content: null,
+    loading: null,
+    scope: null,
+
+    init() {
+      this.body = document.querySelector('[data-cv] .cv__body');
+      if (!this.body) return;
+
+      this.scope = createScope();
+      const requested = new URLSearchParams(window.location.search).get('variant');
+      this.variant = Render.CV_VARIANTS.includes(requested) ? requested : 'full';
+
+      const toolbar = document.querySelector('[data-cv-toolbar]');
+      if (toolbar) {
+        toolbar.hidden = false;
+        toolbar.querySelectorAll('[data-cv-variant]').forEach(button => {
+          this.scope.listen(button, 'click', () => this.setVariant(button.dataset.cvVariant));
+        });
+        const print = toolbar.querySelector('[data-cv-print]');
+        if (print) this.scope.listen(print, 'click', () => window.print());
+
+        const resume = toolbar.querySelector('[data-cv-resume]');
+        if (resume && Resume) {
+          this.scope.listen(resume, 'click', () => this.downloadResume());
+        } else if (resume) {
+          resume.hidden = true;
+        }
+      }
+
+      // Printing from the browser menu isn't an interaction, decode anyway
+      this.scope.listen(window, 'beforeprint', () => ContactProtection.reveal());
+
+      this.updateToolbar();
+      this.loading = this.load(this.scope);
+    },
+
+    async load(scope) {
+      try {
+        const [timeline, projects, roles] = await Promise.all([
+          DataLoader.fetchContent('timeline'),
+          DataLoader.getProjects(),
+          DataLoader.fetchContent('roles')
+        ]);
+        if (scope !== this.scope) return;
+        this.content = { timeline, projects, roles };
+      } catch (error) {
+        console.warn('CV data not available:', error.message);
+        if (scope === this.scope && !DataLoader.isPrerendered(this.body)) {
+          this.body.innerHTML = html`<p class="cv__message">${t('cv.error')}</p>`;
+        }
+        return;
+      }
+
+      if (!DataLoader.isPrerendered(this.body) || this.variant !== 'full') this.render();
+      delete this.body.dataset.prerendered;
+    },
+
+    /**
+     * Render the active variant, e.g. again after a language change
+     */
+    render() {
+      if (!this.content) return;
+      this.body.innerHTML = Render.cvSections(this.content, renderContext(), this.variant);
+    },
+
+    setVariant(variant) {
+      if (!Render.CV_VARIANTS.includes(variant) || variant === this.variant) return;
+      this.variant = variant;
+      this.updateToolbar();
+      this.render();
+
+      const url = new URL(window.location.href);
+      if (variant === 'full') {
+        url.searchParams.delete('variant');
+      } else {
+        url.searchParams.set('variant', variant);
+      }
+      history.replaceState(history.state, '', url);
+    },
+
+    /**
+     * resume.json in the active language, with the decoded contact details
+     */
+    async downloadResume() {
+      await this.loading;
+      if (!this.content) return;
+
+      const resume = Resume.toResume(this.content, renderContext(), ContactData ? ContactData.decodeAll() : null);
+      downloadFile('resume.json', `${JSON.stringify(resume, null, 2)}\n`, 'application/json');
+    },
+
+    updateToolbar() {
+      document.querySelectorAll('[data-cv-variant]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.cvVariant === this.variant));
+      });
+      const cv = this.body.closest('[data-cv]');
+      if (cv) cv.dataset.variant = this.variant;
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    }
+  };
+
+  // ==================== SKILLS ====================
+  /**
+   * Skills card and skill index on the about page, from content/skills.json
+   * and the projects, roles, timeline entries and notes naming each skill.
+   * scripts/build.js prerenders both.
+   */
+  const SkillIndex = {
+    card: null,
+    body: null,
+    skills: null,
+    content: null,
+    scope: null,
+
+    init() {
+      this.card = document.querySelector('.about-page__skills');
+      this.body = document.querySelector('.skill-index__body');
+      if (!this.card || !this.body || !Skills) return;
+
+      this.scope = createScope();
+      this.load(this.scope);
+    },
+
+    async load(scope) {
+      try {
+        const [skills, projects, roles, timeline, posts] = await Promise.all([
+          DataLoader.fetchContent('skills'),
+          DataLoader.getProjects(),
+          DataLoader.fetchContent('roles'),
+          DataLoader.fetchContent('timeline'),
+          DataLoader.fetchContent('posts')
+        ]);
+        if (scope !== this.scope) return;
+        this.skills = skills;
+        this.content = { projects, roles, timeline, posts };
+      } catch (error) {
+        console.warn('Skills data not available:', error.message);
+        if (scope === this.scope && !DataLoader.isPrerendered(this.body)) {
+          this.body.innerHTML = html`<p class="skill-index__message">${t('skills.error')}</p>`;
+        }
+        return;
+      }
+
+      if (!DataLoader.isPrerendered(this.body)) {
+        this.render();
+        SmoothScroll.revealHashTarget(this.body);
+      }
+      delete this.card.dataset.prerendered;
+      delete this.body.dataset.prerendered;
+    },
+
+    /**
+     * Render both in the active language, e.g. again after a language change
+     */
+    render() {
+      if (!this.skills) return;
+      const ctx = renderContext();
+      this.card.innerHTML = Skills.categories(this.skills, ctx);
+      this.body.innerHTML = Skills.index(this.skills, this.content, ctx);
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    }
+  };
+
+  // ==================== STRUCTURED DATA ====================
+  /**
+   * Keeps the page's JSON-LD (js/structured-data.js) in the active language.
+   * Until the visitor interacts, the Person only carries what the build baked
+   * in; contact details are added once ContactProtection has decoded them.
+   */
+  const JsonLd = {
+    script: null,
+    content: null,
+    scope: null,
+
+    init() {
+      this.script = document.querySelector('script[data-structured-data]');
+      if (!this.script || !StructuredData || !ContactData) return;
+
+      this.scope = createScope();
+      this.load(this.scope);
+    },
+
+    async load(scope) {
+      try {
+        const [timeline, projects, roles] = await Promise.all([
+          DataLoader.fetchContent('timeline'),
+          DataLoader.getProjects(),
+          DataLoader.fetchContent('roles')
+        ]);
+        if (scope !== this.scope) return;
+        this.content = { timeline, projects, roles };
+        this.render();
+      } catch (error) {
+        // The build-time data stays in place
+        console.warn('Structured data not updated:', error.message);
+      }
+    },
+
+    render() {
+      if (!this.scope || !this.content) return;
+
+      const contact = ContactProtection.revealed
+        ? ContactData.decodeAll()
+        : { name: ContactData.decode('name'), country: ContactData.decode('country') };
+
+      this.script.textContent = StructuredData.serialize(StructuredData.build(this.content, renderContext(), contact));
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    }
+  };
+
+  // ==================== CONTENT UPDATES ====================
+  /**
+   * Registers the service worker (sw.js) and, when it reports newer
+   * projects or timeline content, offers to refresh those sections in place
+   */
+  const ContentUpdates = {
+    scope: null,
+    toast: null,
+    pending: new Set(),
+
+    init() {
+      if (!('serviceWorker' in navigator) || !CONFIG.serviceWorker) return;
+      this.scope = createScope();
+
+      // Register after load so precaching doesn't compete with the page
+      const register = () => {
+        navigator.serviceWorker.register(CONFIG.serviceWorker).catch(error => {
+          console.warn('Service worker registration failed:', error.message);
+        });
+      };
+      if (document.readyState === 'complete') {
+        register();
+      } else {
+        this.scope.listen(window, 'load', register);
+      }
+
+      this.scope.listen(navigator.serviceWorker, 'message', (e) => {
+        if (e.data && e.data.type === 'content-updated') this.handleUpdate(e.data.name);
+      });
+    },
+
+    handleUpdate(name) {
+      // Only sections this page shows; the image manifest's variants and
+      // placeholders are in the project cards and details
+      const sections = { projects: DOM.projectsGrid, images: DOM.projectsGrid, timeline: DOM.timelineContainer };
+      if (!sections[name]) return;
+
+      this.pending.add(name);
+      this.showToast();
+    },
+
+    createToast() {
+      this.toast = document.createElement('div');
+      this.toast.className = 'toast';
+      this.toast.setAttribute('role', 'status');
+      this.toast.hidden = true;
+      this.toast.innerHTML = `
+        <p class="toast__message"></p>
+        <button type="button" class="btn btn--primary btn--sm" data-update-refresh></button>
+        <button type="button" class="toast__close" data-update-dismiss>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      `;
+      document.body.appendChild(this.toast);
+
+      this.scope.listen(this.toast, 'click', (e) => {
+        if (e.target.closest('[data-update-refresh]')) {
+          this.refresh();
+        } else if (e.target.closest('[data-update-dismiss]')) {
+          this.hideToast();
+        }
+      });
+    },
+
+    /**
+     * Show the toast; the message is set after unhiding so it is announced
+     */
+    showToast() {
+      if (!this.toast) this.createToast();
+
+      this.toast.hidden = false;
+      this.toast.querySelector('[data-update-refresh]').textContent = t('updates.refresh');
+      this.toast.querySelector('[data-update-dismiss]').setAttribute('aria-label', t('updates.dismiss'));
+      this.toast.querySelector('.toast__message').textContent = t('updates.available');
+    },
+
+    hideToast() {
+      if (!this.toast) return;
+      this.toast.hidden = true;
+      this.toast.querySelector('.toast__message').textContent = '';
+    },
+
+    async refresh() {
+      const names = [...this.pending];
+      this.pending.clear();
+      this.hideToast();
+      await DataLoader.refresh(names);
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+      if (this.toast) this.toast.remove();
+      this.toast = null;
+      this.pending.clear();
+    }
+  };
+
+  // ==================== THEME TOGGLE ====================
+  const ThemeToggle = {
+    storageKey: 'preferredTheme',
+    choices: ['light', 'dark', 'system'],
+    preference: 'system',
+    media: null,
+    buttons: [],
+    scope: null,
+
+    init() {
+      this.media = window.matchMedia('(prefers-color-scheme: light)');
+      this.buttons = document.querySelectorAll('[data-theme-choice]');
+      this.scope = createScope();
+
+      let stored = null;
+      try {
+        stored = localStorage.getItem(this.storageKey);
+      } catch (e) {
+        // Storage blocked, e.g. in private browsing; follow the system
+      }
+      this.preference = this.choices.includes(stored) ? stored : 'system';
+
+      this.buttons.forEach(btn => {
+        this.scope.listen(btn, 'click', () => this.setPreference(btn.dataset.themeChoice));
+      });
+
+      // Follow the OS setting live while on "system"
+      this.scope.listen(this.media, 'change', () => {
+        if (this.preference === 'system') this.apply();
+      });
+
+      this.apply();
     },
 
-    async loadTimeline() {
-      if (!DOM.timelineContainer) return;
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    },
 
+    setPreference(preference) {
+      this.preference = preference;
       try {
-        const response = await fetch('content/timeline.json');
-        if (!response.ok) throw new Error('Failed to load timeline');
-        const data = await response.json();
-        this.renderTimeline(data.timeline);
-      } catch (error) {
-        console.warn('Timeline data not available:', error.message);
+        localStorage.setItem(this.storageKey, preference);
+      } catch (e) {
+        // Storage blocked or full; the choice holds until the page is left
       }
+      this.apply();
     },
 
-    renderTimeline(items) {
-      // Reverse to show newest first
-      const sortedItems = [...items].reverse();
-
-      DOM.timelineContainer.innerHTML = sortedItems.map((item, index) => {
-        const isCurrentClass = item.current ? 'timeline__item--current' : '';
-        const typeClass = item.type === 'education' ? 'tag--education' : 'tag--work';
-        const typeLabel = item.type === 'education' ? 'Education' : 'Work';
-
-        return `
-          <div class="timeline__item ${isCurrentClass}">
-            <div class="timeline__dot"></div>
-            <div class="timeline__content">
-              <div class="timeline__header">
-                <span class="timeline__period">${item.period}</span>
-                <span class="tag timeline__type ${typeClass}">${typeLabel}</span>
-                ${item.current ? '<span class="tag tag--highlight">Current</span>' : ''}
-              </div>
-              <h3 class="timeline__title">${item.title}</h3>
-              <p class="timeline__org">${item.organization}</p>
-              <p class="timeline__location">${item.location}</p>
-              ${item.description ? `<p class="timeline__description">${item.description}</p>` : ''}
-              ${item.highlights && item.highlights.length > 0
-                ? `<div class="timeline__highlights">
-                    ${item.highlights.map(h => `<span class="tag">${h}</span>`).join('')}
-                  </div>`
-                : ''
-              }
-            </div>
-          </div>
-        `;
-      }).join('');
+    /**
+     * Set the resolved theme on <html>; js/theme-init.js did the same before paint
+     */
+    apply() {
+      const theme = this.preference === 'system'
+        ? (this.media.matches ? 'light' : 'dark')
+        : this.preference;
 
-      // Update DOM references and observe new elements
-      const timelineItems = document.querySelectorAll('.timeline__item');
-      timelineItems.forEach(el => {
-        ScrollAnimations.observe(el);
+      document.documentElement.dataset.theme = theme;
+
+      this.buttons.forEach(btn => {
+        const isActive = btn.dataset.themeChoice === this.preference;
+        btn.classList.toggle('theme-toggle__btn--active', isActive);
+        btn.setAttribute('aria-pressed', String(isActive));
       });
     }
   };
 
   // ==================== LANGUAGE TOGGLE ====================
   const LanguageToggle = {
+    scope: null,
+
     init() {
+      // Pages without a toggle (legal pages) keep their own language
+      if (!DOM.langToggle.length) {
+        state.language = document.documentElement.lang || CONFIG.defaultLanguage;
+        return;
+      }
+
+      this.scope = createScope();
       DOM.langToggle.forEach(btn => {
-        btn.addEventListener('click', this.handleToggle.bind(this));
+        this.scope.listen(btn, 'click', (e) => this.handleToggle(e));
       });
 
-      // Check for stored preference
-      const stored = localStorage.getItem('preferredLanguage');
-      if (stored) {
-        this.setLanguage(stored);
+      const lang = this.detectLanguage();
+      if (lang !== CONFIG.defaultLanguage) {
+        this.setLanguage(lang);
+      }
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
+    },
+
+    /**
+     * Resolve the initial language: ?lang= parameter, then stored
+     * preference, then the browser language
+     */
+    detectLanguage() {
+      const param = new URLSearchParams(window.location.search).get('lang');
+      if (CONFIG.languages.includes(param)) return param;
+
+      let stored = null;
+      try {
+        stored = localStorage.getItem('preferredLanguage');
+      } catch (e) {
+        // Storage blocked, e.g. in private browsing
       }
+      if (CONFIG.languages.includes(stored)) return stored;
+
+      const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+      return CONFIG.languages.includes(browser) ? browser : CONFIG.defaultLanguage;
     },
 
     handleToggle(e) {
-      const lang = e.currentTarget.dataset.lang;
+      this.choose(e.currentTarget.dataset.lang);
+    },
+
+    /**
+     * Switch language as the visitor's choice, remembered for later visits
+     */
+    choose(lang) {
       this.setLanguage(lang);
-      localStorage.setItem('preferredLanguage', lang);
+      try {
+        localStorage.setItem('preferredLanguage', lang);
+      } catch (e) {
+        // Storage blocked or full; the choice holds until the page is left
+      }
+
+      // Keep a shared ?lang= link in sync so a reload doesn't switch back
+      const url = new URL(window.location.href);
+      if (url.searchParams.has('lang')) {
+        url.searchParams.set('lang', lang);
+        history.replaceState(history.state, '', url);
+      }
     },
 
     setLanguage(lang) {
+      if (!CONFIG.languages.includes(lang)) return;
+      state.language = lang;
+
       DOM.langToggle.forEach(btn => {
-        btn.classList.toggle('lang-toggle__btn--active', btn.dataset.lang === lang);
+        const isActive = btn.dataset.lang === lang;
+        btn.classList.toggle('lang-toggle__btn--active', isActive);
+        btn.setAttribute('aria-pressed', String(isActive));
       });
 
-      // Future: Redirect to localized version or swap content
       document.documentElement.lang = lang;
+      this.translatePage();
+
+      // Swap dynamic content
+      DataLoader.rerender();
+      RoleRotation.refresh();
+      Notes.render();
+      CV.render();
+      SkillIndex.render();
+      JsonLd.render();
+      ProjectDemo.render();
+    },
+
+    /**
+     * Swap static text marked with data-i18n (text), data-i18n-html
+     * (trusted markup) and data-i18n-attr ("attr:key;attr:key")
+     */
+    translatePage() {
+      document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+      });
+
+      document.querySelectorAll('[data-i18n-html]').forEach(el => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+      });
+
+      document.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(';').forEach(pair => {
+          const [attr, key] = pair.split(':').map(part => part.trim());
+          if (attr && key) el.setAttribute(attr, t(key));
+        });
+      });
     }
   };
 
   // ==================== PAGE LOADER ====================
   const PageLoader = {
+    scope: null,
+
     init() {
       if (!DOM.pageLoader) return;
+      this.scope = createScope();
+
+      if (document.readyState === 'complete') {
+        this.hide();
+        return;
+      }
 
-      window.addEventListener('load', () => {
-        setTimeout(() => {
-          DOM.pageLoader.classList.add('is-hidden');
-        }, 300);
+      this.scope.listen(window, 'load', () => {
+        this.scope.setTimeout(() => this.hide(), 300);
       });
 
       // Fallback: hide loader after 3 seconds regardless
-      setTimeout(() => {
-        if (DOM.pageLoader) {
-          DOM.pageLoader.classList.add('is-hidden');
-        }
-      }, 3000);
+      this.scope.setTimeout(() => this.hide(), 3000);
+    },
+
+    hide() {
+      DOM.pageLoader.classList.add('is-hidden');
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.scope.dispose();
+      this.scope = null;
     }
   };
 
   // ==================== ACTIVE NAV LINK ====================
+  /**
+   * Highlights the nav link of the section crossing a band just below the
+   * header, using IntersectionObserver instead of measuring on scroll
+   */
   const ActiveNavLink = {
+    observer: null,
+    visible: new Set(),
+
     init() {
-      const sections = document.querySelectorAll('section[id]');
+      const sections = Array.from(document.querySelectorAll('section[id]'));
       if (sections.length === 0) return;
 
-      window.addEventListener('scroll', throttle(() => {
-        const scrollY = window.scrollY + 100;
-
-        sections.forEach(section => {
-          const sectionTop = section.offsetTop;
-          const sectionHeight = section.offsetHeight;
-          const sectionId = section.getAttribute('id');
-
-          if (scrollY >= sectionTop && scrollY < sectionTop + sectionHeight) {
-            document.querySelectorAll('.nav__link').forEach(link => {
-              link.classList.remove('nav__link--active');
-              if (link.getAttribute('href') === `#${sectionId}`) {
-                link.classList.add('nav__link--active');
-              }
-            });
+      this.sections = sections;
+      this.observer = new IntersectionObserver(this.handleIntersection.bind(this), {
+        rootMargin: '-100px 0px -60% 0px',
+        threshold: 0
+      });
+      sections.forEach(section => this.observer.observe(section));
+    },
+
+    handleIntersection(entries) {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.visible.add(entry.target);
+        } else {
+          this.visible.delete(entry.target);
+        }
+      });
+
+      // Several sections can share the band; the first in document order wins
+      const active = this.sections.find(section => this.visible.has(section));
+      if (active) this.setActive(active.id);
+    },
+
+    setActive(sectionId) {
+      document.querySelectorAll('.nav__link').forEach(link => {
+        const isActive = link.getAttribute('href') === `#${sectionId}`;
+        link.classList.toggle('nav__link--active', isActive);
+        if (isActive) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+    },
+
+    destroy() {
+      if (!this.observer) return;
+      this.observer.disconnect();
+      this.observer = null;
+      this.visible.clear();
+    }
+  };
+
+  // ==================== COMMAND PALETTE ====================
+  /**
+   * Ctrl/Cmd+K search over the site: the sections of this page, the other
+   * pages, projects, timeline entries and a few actions. Matching is fuzzy;
+   * with an empty query the last picks come first. The input is an ARIA
+   * combobox whose active option follows the arrow keys.
+   */
+  const CommandPalette = {
+    storageKey: 'commandPaletteRecent',
+    motionStorageKey: 'preferredMotion',
+    recentLimit: 5,
+    resultLimit: 50,
+    toastDuration: 3000,
+    // Browsing order of the groups
+    types: ['section', 'page', 'project', 'experience', 'action'],
+    pages: [
+      { href: 'index.html', label: 'nav.home' },
+      { href: 'about.html', label: 'nav.about' },
+      { href: 'notes.html', label: 'nav.notes' },
+      { href: 'cv.html', label: 'palette.page.cv' },
+      { href: 'contact.html', label: 'nav.contact' },
+      { href: 'impressum.html', label: 'palette.page.impressum' },
+      { href: 'datenschutz.html', label: 'palette.page.privacy' }
+    ],
+    overlay: null,
+    dialog: null,
+    input: null,
+    list: null,
+    toast: null,
+    toastTimer: null,
+    content: null,
+    loading: null,
+    results: [],
+    active: 0,
+    returnFocus: null,
+    overflow: '',
+    announceCount: null,
+    scope: null,
+
+    init() {
+      this.scope = createScope();
+      this.announceCount = debounce(() => {
+        const count = this.results.length;
+        Announcer.announce(t(count === 1 ? 'palette.resultsOne' : 'palette.results', { count }));
+      }, 400);
+      this.scope.onDispose(() => this.announceCount.cancel());
+
+      // In the page from the start, so screen readers announce its first message
+      this.toast = document.createElement('div');
+      this.toast.className = 'toast toast--message';
+      this.toast.setAttribute('role', 'status');
+      this.toast.hidden = true;
+      this.toast.innerHTML = '<p class="toast__message"></p>';
+      document.body.appendChild(this.toast);
+
+      this.scope.listen(document, 'keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && (e.key || '').toLowerCase() === 'k') {
+          e.preventDefault();
+          if (this.isOpen()) {
+            this.close();
+          } else {
+            this.open();
           }
+        }
+      });
+    },
+
+    destroy() {
+      if (!this.scope) return;
+      this.close();
+      this.scope.dispose();
+      this.scope = null;
+      [this.overlay, this.toast].forEach(el => el && el.remove());
+      this.overlay = null;
+      this.toast = null;
+    },
+
+    createOverlay() {
+      this.overlay = document.createElement('div');
+      this.overlay.className = 'command-palette';
+      this.overlay.hidden = true;
+      this.overlay.innerHTML = `
+        <div class="command-palette__backdrop" data-palette-close></div>
+        <div class="command-palette__dialog" role="dialog" aria-modal="true">
+          <input class="command-palette__input" type="text" role="combobox" aria-expanded="true"
+                 aria-controls="command-palette-list" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+          <div class="command-palette__list" id="command-palette-list" role="listbox"></div>
+          <p class="command-palette__hint" aria-hidden="true"></p>
+        </div>
+      `;
+      document.body.appendChild(this.overlay);
+
+      this.dialog = this.overlay.querySelector('.command-palette__dialog');
+      this.input = this.overlay.querySelector('.command-palette__input');
+      this.list = this.overlay.querySelector('.command-palette__list');
+
+      this.scope.listen(this.input, 'input', () => this.update());
+      this.scope.listen(this.overlay, 'keydown', (e) => this.handleKeydown(e));
+      this.scope.listen(this.overlay, 'click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) {
+          this.choose(this.results[Number(option.dataset.index)].item);
+        } else if (e.target.closest('[data-palette-close]')) {
+          this.close();
+        }
+      });
+
+      // Pointing at an option makes it the active one; focus stays in the input
+      this.scope.listen(this.list, 'mousedown', (e) => e.preventDefault());
+      this.scope.listen(this.list, 'mousemove', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option && Number(option.dataset.index) !== this.active) {
+          this.active = Number(option.dataset.index);
+          this.highlight(false);
+        }
+      });
+    },
+
+    isOpen() {
+      return Boolean(this.overlay && !this.overlay.hidden);
+    },
+
+    open() {
+      if (!this.overlay) this.createOverlay();
+      if (DOM.nav && MobileNav.isOpen()) MobileNav.close();
+
+      this.returnFocus = document.activeElement;
+      this.overflow = document.body.style.overflow;
+      document.body.style.overflow = 'hidden';
+
+      this.dialog.setAttribute('aria-label', t('palette.label'));
+      this.list.setAttribute('aria-label', t('palette.label'));
+      this.input.setAttribute('aria-label', t('palette.search'));
+      this.input.placeholder = t('palette.placeholder');
+      this.overlay.querySelector('.command-palette__hint').textContent = t('palette.hint');
+
+      this.overlay.hidden = false;
+      this.input.value = '';
+      this.update();
+      this.input.focus();
+      this.load();
+    },
+
+    close() {
+      if (!this.isOpen()) return;
+
+      this.overlay.hidden = true;
+      document.body.style.overflow = this.overflow;
+      this.announceCount.cancel();
+
+      if (this.returnFocus && document.contains(this.returnFocus)) {
+        this.returnFocus.focus();
+      }
+      this.returnFocus = null;
+    },
+
+    /**
+     * Projects and timeline entries, fetched on first open. A source that
+     * fails is left out and tried again on the next open.
+     */
+    load() {
+      if (this.loading) return;
+
+      const source = (name, promise) => promise.catch(error => {
+        console.warn(`Command palette: ${name} not available:`, error.message);
+        this.loading = null;
+        return [];
+      });
+
+      this.loading = Promise.all([
+        source('projects', DataLoader.getProjects()),
+        source('timeline', DataLoader.timeline ? Promise.resolve(DataLoader.timeline) : DataLoader.fetchContent('timeline'))
+      ]).then(([projects, timeline]) => {
+        this.content = { projects, timeline };
+        if (this.isOpen()) this.update();
+      });
+    },
+
+    /**
+     * Everything the palette can open or run, in the active language:
+     * { id, type, label, detail, keywords, href | run }
+     */
+    items() {
+      const here = new URL(window.location.href);
+      const { projects = [], timeline = [] } = this.content || {};
+
+      const sections = [...document.querySelectorAll('section[id]')].map(section => ({
+        id: `section:${section.id}`,
+        type: 'section',
+        label: this.sectionLabel(section),
+        keywords: section.id,
+        href: `#${section.id}`
+      }));
+
+      const pages = this.pages
+        .filter(page => !this.isCurrentPage(new URL(page.href, here)))
+        .map(page => ({ id: `page:${page.href}`, type: 'page', label: t(page.label), keywords: page.href, href: page.href }));
+
+      const projectItems = projects
+        .filter(project => project.status !== 'coming-soon')
+        .map(project => ({
+          id: `project:${project.id}`,
+          type: 'project',
+          label: localize(project.title),
+          detail: project.year,
+          keywords: [...(project.tags || []), ...(project.techStack || [])].join(' '),
+          href: `index.html#/projects/${project.id}`
+        }));
+
+      // Newest first, like the timeline, with the ids it renders
+      const anchors = Render ? Render.timelineAnchors(timeline) : new Map();
+      const experience = timeline
+        .slice()
+        .sort((a, b) => String(b.start).localeCompare(String(a.start)))
+        .map(item => ({
+          id: `experience:${anchors.get(item) || `${item.start}:${item.organization}`}`,
+          type: 'experience',
+          label: localize(item.title),
+          detail: item.organization,
+          keywords: localize(item.location),
+          href: `index.html#${anchors.get(item) || 'experience'}`
+        }));
+
+      return [...sections, ...pages, ...projectItems, ...experience, ...this.actions()];
+    },
+
+    actions() {
+      const actions = [];
+
+      // Pages without a language toggle (legal pages) have one language
+      if (DOM.langToggle.length > 0) {
+        CONFIG.languages.filter(lang => lang !== state.language).forEach(lang => {
+          actions.push({
+            id: `action:language-${lang}`,
+            type: 'action',
+            label: t(`palette.action.language.${lang}`),
+            // The language's own name, e.g. "Deutsch"
+            keywords: I18N ? I18N.t(lang, `notes.language.${lang}`) : lang,
+            run: () => LanguageToggle.choose(lang)
+          });
+        });
+      }
+
+      ThemeToggle.choices.filter(choice => choice !== ThemeToggle.preference).forEach(choice => {
+        actions.push({ id: `action:theme-${choice}`, type: 'action', label: t(`theme.${choice}`), run: () => ThemeToggle.setPreference(choice) });
+      });
+
+      if (ContactData && navigator.clipboard) {
+        actions.push({ id: 'action:copy-email', type: 'action', label: t('palette.action.copyEmail'), run: () => this.copyEmail() });
+      }
+
+      // The system setting wins in CSS, so there is only something to toggle without it
+      if (!window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        const reduced = document.documentElement.dataset.motion === 'reduce';
+        actions.push({
+          id: 'action:motion',
+          type: 'action',
+          label: t(reduced ? 'palette.action.allowMotion' : 'palette.action.reduceMotion'),
+          run: () => this.setReducedMotion(!reduced)
         });
-      }, 100));
+      }
+
+      return actions;
+    },
+
+    sectionLabel(section) {
+      const labelledBy = section.getAttribute('aria-labelledby');
+      const heading = (labelledBy && document.getElementById(labelledBy)) || section.querySelector('h1, h2, h3');
+      if (!heading) return section.id;
+
+      // Line breaks in headings separate words
+      const copy = heading.cloneNode(true);
+      copy.querySelectorAll('br').forEach(br => br.replaceWith(' '));
+      return copy.textContent.replace(/\s+/g, ' ').trim();
+    },
+
+    isCurrentPage(url) {
+      const page = pathname => pathname.replace(/\/index\.html$/, '/');
+      return url.origin === window.location.origin && page(url.pathname) === page(window.location.pathname);
+    },
+
+    /**
+     * Results for the current query as { item, group }; consecutive results
+     * of the same group are listed under its title
+     */
+    update() {
+      const query = this.input.value.trim();
+      const items = this.items();
+
+      if (query) {
+        const tokens = this.fold(query).split(/\s+/);
+        this.results = items
+          .map((item, order) => ({ item, order, score: this.score(tokens, item) }))
+          .filter(result => result.score !== null)
+          .sort((a, b) => b.score - a.score || a.order - b.order)
+          .slice(0, this.resultLimit)
+          .map(({ item }) => ({ item, group: null }));
+        this.announceCount();
+      } else {
+        const byId = new Map(items.map(item => [item.id, item]));
+        const recent = this.recent().map(id => byId.get(id)).filter(Boolean);
+        this.results = [
+          ...recent.map(item => ({ item, group: 'recent' })),
+          ...this.types.flatMap(type => items
+            .filter(item => item.type === type && !recent.includes(item))
+            .map(item => ({ item, group: type })))
+        ];
+        this.announceCount.cancel();
+      }
+
+      this.active = 0;
+      this.render();
+    },
+
+    /**
+     * Lower case without diacritics, so "uber" finds "Über"
+     */
+    fold(text) {
+      return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    },
+
+    /**
+     * Every query word must match the label, or appear as is in the detail
+     * and keywords, which scores less; null if one doesn't
+     */
+    score(tokens, item) {
+      const label = this.fold(item.label);
+      const extra = this.fold(`${item.detail || ''} ${item.keywords || ''}`);
+      let total = 0;
+
+      for (const token of tokens) {
+        const direct = this.fuzzy(token, label);
+        if (direct !== null) {
+          total += direct;
+        } else if (extra.includes(token)) {
+          total += token.length * 2;
+        } else {
+          return null;
+        }
+      }
+
+      // Among equal matches, shorter labels are closer
+      return total - label.length / 100;
+    },
+
+    /**
+     * Score of `token` as a subsequence of `text`: substrings beat scattered
+     * letters, and runs and word starts count extra. null without a match.
+     */
+    fuzzy(token, text) {
+      const wordStart = index => index === 0 || !/[a-z\d]/.test(text[index - 1]);
+
+      const substring = text.indexOf(token);
+      if (substring !== -1) return token.length * 4 + (wordStart(substring) ? 4 : 0);
+
+      let score = 0;
+      let from = 0;
+      let previous = -2;
+      for (const char of token) {
+        const index = text.indexOf(char, from);
+        if (index === -1) return null;
+        score += 1 + (index === previous + 1 ? 2 : 0) + (wordStart(index) ? 2 : 0);
+        previous = index;
+        from = index + 1;
+      }
+      return score;
+    },
+
+    render() {
+      if (this.results.length === 0) {
+        this.list.innerHTML = html`<p class="command-palette__empty">${t('palette.empty')}</p>`;
+        this.input.removeAttribute('aria-activedescendant');
+        return;
+      }
+
+      const groups = [];
+      this.results.forEach((result, index) => {
+        const last = groups[groups.length - 1];
+        if (last && last.name === result.group) {
+          last.entries.push([result.item, index]);
+        } else {
+          groups.push({ name: result.group, entries: [[result.item, index]] });
+        }
+      });
+
+      this.list.innerHTML = html`${groups.map(group => (group.name
+        ? html`
+          <div class="command-palette__group" role="group" aria-label="${t(`palette.group.${group.name}`)}">
+            <p class="command-palette__group-title" aria-hidden="true">${t(`palette.group.${group.name}`)}</p>
+            ${group.entries.map(([item, index]) => this.option(item, index, group.name === 'recent'))}
+          </div>
+        `
+        : html`${group.entries.map(([item, index]) => this.option(item, index, true))}`))}`;
+
+      this.highlight(true);
+    },
+
+    option(item, index, showType) {
+      return html`
+        <div class="command-palette__option" id="command-palette-option-${index}" role="option" aria-selected="false" data-index="${index}">
+          <span class="command-palette__label">${item.label}</span>
+          ${item.detail ? html`<span class="command-palette__detail">${item.detail}</span>` : ''}
+          ${showType ? html`<span class="command-palette__type">${t(`palette.type.${item.type}`)}</span>` : ''}
+        </div>
+      `;
+    },
+
+    /**
+     * Mark the active option; `reveal` scrolls the list to it
+     */
+    highlight(reveal) {
+      const options = this.list.querySelectorAll('[role="option"]');
+      options.forEach((option, index) => option.setAttribute('aria-selected', String(index === this.active)));
+
+      const current = options[this.active];
+      if (!current) return;
+      this.input.setAttribute('aria-activedescendant', current.id);
+
+      if (!reveal) return;
+      const { offsetTop, offsetHeight } = current;
+      if (offsetTop < this.list.scrollTop) {
+        this.list.scrollTop = offsetTop;
+      } else if (offsetTop + offsetHeight > this.list.scrollTop + this.list.clientHeight) {
+        this.list.scrollTop = offsetTop + offsetHeight - this.list.clientHeight;
+      }
+    },
+
+    handleKeydown(e) {
+      const count = this.results.length;
+      const steps = { ArrowDown: 1, ArrowUp: -1 };
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (steps[e.key]) {
+        e.preventDefault();
+        if (count === 0) return;
+        this.active = (this.active + steps[e.key] + count) % count;
+        this.highlight(true);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (count > 0) this.choose(this.results[this.active].item);
+      } else if (e.key === 'Tab') {
+        // The input is the dialog's only focus stop
+        e.preventDefault();
+      }
+    },
+
+    choose(item) {
+      this.remember(item.id);
+      this.close();
+
+      if (item.run) {
+        item.run();
+      } else {
+        this.go(item.href);
+      }
+    },
+
+    /**
+     * Open a link: routes and sections of this page in place, with focus
+     * moved to the section, anything else by navigating
+     */
+    go(href) {
+      const url = new URL(href, window.location.href);
+      if (!this.isCurrentPage(url) || !url.hash) {
+        window.location.assign(url.href);
+        return;
+      }
+
+      if (url.hash.startsWith('#/')) {
+        window.location.hash = url.hash;
+        return;
+      }
+
+      const id = decodeURIComponent(url.hash.slice(1));
+      // Entries hidden by the timeline's type filter
+      if (!document.getElementById(id) && TimelineFilter.type !== 'all') TimelineFilter.setType('all');
+
+      const target = document.getElementById(id);
+      if (!target) return;
+
+      SmoothScroll.scrollTo(target);
+      history.pushState(null, '', url.hash);
+      if (!target.hasAttribute('tabindex')) target.tabIndex = -1;
+      target.focus({ preventScroll: true });
+    },
+
+    recent() {
+      try {
+        const ids = JSON.parse(localStorage.getItem(this.storageKey));
+        return Array.isArray(ids) ? ids : [];
+      } catch (e) {
+        return [];
+      }
+    },
+
+    remember(id) {
+      const ids = [id, ...this.recent().filter(other => other !== id)].slice(0, this.recentLimit);
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(ids));
+      } catch (e) {
+        // Storage blocked or full; recent items just aren't kept
+      }
+    },
+
+    async copyEmail() {
+      try {
+        await navigator.clipboard.writeText(ContactProtection.getDecodedContact().email);
+        this.notify(t('palette.emailCopied'));
+      } catch (error) {
+        console.warn('Copying the email address failed:', error.message);
+        this.notify(t('palette.copyFailed'));
+      }
+    },
+
+    /**
+     * Reduce motion on this site regardless of the system setting;
+     * js/theme-init.js applies the stored choice before paint
+     */
+    setReducedMotion(reduce) {
+      if (reduce) {
+        document.documentElement.dataset.motion = 'reduce';
+      } else {
+        delete document.documentElement.dataset.motion;
+      }
+      try {
+        if (reduce) {
+          localStorage.setItem(this.motionStorageKey, 'reduce');
+        } else {
+          localStorage.removeItem(this.motionStorageKey);
+        }
+      } catch (e) {
+        // Storage blocked or full; the choice holds until the page is left
+      }
+
+      // Running animations only check the setting when they start
+      RoleRotation.refresh();
+      ProjectDemo.setAutoplay(!reduce);
+      this.notify(t(reduce ? 'palette.motionReduced' : 'palette.motionAllowed'));
+    },
+
+    /**
+     * Confirm an action in a toast that hides itself
+     */
+    notify(message) {
+      this.toast.hidden = false;
+      this.toast.querySelector('.toast__message').textContent = message;
+
+      this.scope.clearTimeout(this.toastTimer);
+      this.toastTimer = this.scope.setTimeout(() => {
+        this.toast.hidden = true;
+        this.toast.querySelector('.toast__message').textContent = '';
+      }, this.toastDuration);
     }
   };
 
   // ==================== INITIALIZATION ====================
+
+  // Components in init order; destroy() runs in reverse
+  const MODULES = [
+    PageLoader,
+    Announcer,
+    ThemeToggle,
+    LanguageToggle,
+    Header,
+    MobileNav,
+    RoleRotation,
+    ScrollAnimations,
+    SmoothScroll,
+    Parallax,
+    ContactProtection,
+    ContactForm,
+    ActiveNavLink,
+    TimelineFilter,
+    TimelineMap,
+    ProjectFilter,
+    ProjectDetail,
+    ProjectDemo,
+    Lightbox,
+    Notes,
+    CV,
+    SkillIndex,
+    JsonLd,
+    ContentUpdates,
+    CommandPalette,
+    // Last, so every module is ready for the content and its events
+    DataLoader
+  ];
+
   function init() {
     initDOM();
+    MODULES.forEach(module => module.init());
+  }
 
-    PageLoader.init();
-    Header.init();
-    MobileNav.init();
-    RoleRotation.init();
-    ScrollAnimations.init();
-    SmoothScroll.init();
-    Parallax.init();
-    ContactProtection.init();
-    LanguageToggle.init();
-    ActiveNavLink.init();
-
-    // Load dynamic content
-    DataLoader.loadProjects();
-    DataLoader.loadTimeline();
+  /**
+   * Tear every component down: listeners, observers, timers and frames
+   */
+  function destroy() {
+    MODULES.slice().reverse().forEach(module => module.destroy());
   }
 
   // Run on DOM ready
@@ -766,9 +4223,12 @@
     init();
   }
 
-  // Cleanup on page unload
-  window.addEventListener('beforeunload', () => {
-    RoleRotation.destroy();
+  // Tear down when the page is left, and start again if the back/forward
+  // cache restores it. Not on beforeunload: mailto: links fire it too
+  // while the page stays open.
+  window.addEventListener('pagehide', destroy);
+  window.addEventListener('pageshow', (e) => {
+    if (e.persisted) init();
   });
 
 })();
@@ -0,0 +1,395 @@
+/**
+ * Sebastian Gerken Portfolio - Markdown
+ * Small Markdown renderer for the notes in content/posts/, shared by the
+ * notes page and scripts/posts-index.js. Handles front matter, headings,
+ * paragraphs, emphasis, links, images, lists, blockquotes, fenced code,
+ * tables and footnotes. Raw HTML is escaped, not passed through, and URLs
+ * are checked with Html.safeUrl (js/html.js).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html.js'));
+  } else {
+    root.Markdown = factory(root.Html);
+  }
+})(this, function(Html) {
+  'use strict';
+
+  // Marks stashed inline markup while the surrounding text is processed
+  const TOKEN = '\u0000';
+
+  function escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Keep relative URLs and the schemes Html.safeUrl allows; others such as
+   * javascript: become '#'. Relative paths get the `base` prefix.
+   */
+  function safeURL(url, base) {
+    const value = Html.safeUrl(url);
+    if (value === '#' || /^[a-z][a-z\d+.-]*:/i.test(value)) return value;
+    if (base && !/^[#/?]/.test(value)) return base + value;
+    return value;
+  }
+
+  function slugify(text) {
+    return text
+      .toLowerCase()
+      .replace(/<[^>]*>/g, '')
+      .replace(/&[a-z\d#]+;/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '') || 'section';
+  }
+
+  // ==================== FRONT MATTER ====================
+
+  function parseValue(raw) {
+    const value = raw.trim();
+    if (/^\[.*\]$/.test(value)) {
+      return value.slice(1, -1).split(',').map(parseValue).filter(item => item !== '');
+    }
+    if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+    return value;
+  }
+
+  /**
+   * Split "---" front matter (key: value, value lists as [a, b]) from the body
+   */
+  function parseFrontMatter(source) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { meta: {}, body: source };
+
+    const meta = {};
+    match[1].split(/\r?\n/).forEach(line => {
+      const pair = line.match(/^([\w-]+):\s*(.*)$/);
+      if (pair) meta[pair[1]] = parseValue(pair[2]);
+    });
+
+    return { meta, body: source.slice(match[0].length) };
+  }
+
+  // ==================== INLINE ====================
+
+  function stash(ctx, html) {
+    ctx.tokens.push(html);
+    return `${TOKEN}${ctx.tokens.length - 1}${TOKEN}`;
+  }
+
+  function restore(html, ctx) {
+    const pattern = new RegExp(`${TOKEN}(\\d+)${TOKEN}`, 'g');
+    while (pattern.test(html)) {
+      html = html.replace(pattern, (match, index) => ctx.tokens[Number(index)]);
+    }
+    return html;
+  }
+
+  function imageHTML(alt, src, title, ctx) {
+    const titleAttr = title ? ` title="${escapeHTML(title)}"` : '';
+    return `<img src="${escapeHTML(safeURL(src, ctx.imageBase))}" alt="${escapeHTML(alt)}"${titleAttr} loading="lazy">`;
+  }
+
+  function footnoteRef(id, ctx) {
+    if (!ctx.footnoteOrder.includes(id)) ctx.footnoteOrder.push(id);
+    const number = ctx.footnoteOrder.indexOf(id) + 1;
+    const count = (ctx.footnoteRefs[id] = (ctx.footnoteRefs[id] || 0) + 1);
+    const refId = `${ctx.idPrefix}fnref-${id}${count > 1 ? `-${count}` : ''}`;
+
+    return `<sup class="markdown__footnote-ref"><a href="#${ctx.idPrefix}fn-${id}" id="${escapeHTML(refId)}">${number}</a></sup>`;
+  }
+
+  /**
+   * Inline markup. Code, images, links and footnote references are stashed
+   * first so emphasis rules never reach into their text or URLs.
+   */
+  function inline(text, ctx) {
+    let html = text
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => stash(ctx, `<code>${escapeHTML(code.trim())}</code>`))
+      .replace(/!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) => stash(ctx, imageHTML(alt, src, title, ctx)))
+      .replace(/\[\^([\w-]+)\]/g, (match, id) => stash(ctx, footnoteRef(id, ctx)))
+      .replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) => {
+        const url = safeURL(href);
+        const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        const titleAttr = title ? ` title="${escapeHTML(title)}"` : '';
+        return stash(ctx, `<a href="${escapeHTML(url)}"${titleAttr}${external}>${inline(label, ctx)}</a>`);
+      })
+      .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => stash(ctx, `<a href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer">${escapeHTML(url)}</a>`));
+
+    html = escapeHTML(html)
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?![\w])/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?![\w])/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+      .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    return restore(html, ctx);
+  }
+
+  // ==================== BLOCKS ====================
+
+  const PATTERNS = {
+    blank: /^\s*$/,
+    fence: /^\s{0,3}(`{3,}|~{3,})\s*([\w+#-]*)/,
+    heading: /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/,
+    rule: /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/,
+    quote: /^\s{0,3}>\s?/,
+    list: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
+    footnote: /^\[\^([\w-]+)\]:\s*(.*)$/,
+    tableDelimiter: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+  };
+
+  function startsBlock(line, next) {
+    return PATTERNS.fence.test(line) || PATTERNS.heading.test(line) || PATTERNS.rule.test(line) ||
+      PATTERNS.quote.test(line) || PATTERNS.list.test(line) || PATTERNS.footnote.test(line) ||
+      isTableStart(line, next);
+  }
+
+  function isTableStart(line, next) {
+    return line.includes('|') && next !== undefined && next.includes('-') && PATTERNS.tableDelimiter.test(next);
+  }
+
+  function splitRow(row) {
+    return row.trim()
+      .replace(/^\|/, '')
+      .replace(/(^|[^\\])\|$/, '$1')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  function renderTable(lines, ctx) {
+    const header = splitRow(lines[0]);
+    const aligns = splitRow(lines[1]).map(cell => {
+      if (/^:-+:$/.test(cell)) return 'center';
+      if (/-+:$/.test(cell)) return 'right';
+      if (/^:-+/.test(cell)) return 'left';
+      return '';
+    });
+
+    const cell = (tag, content, index) => {
+      const align = aligns[index] ? ` class="markdown__cell--${aligns[index]}"` : '';
+      return `<${tag}${align}>${inline(content || '', ctx)}</${tag}>`;
+    };
+
+    const body = lines.slice(2).map(row => {
+      const cells = splitRow(row);
+      return `<tr>${header.map((h, index) => cell('td', cells[index], index)).join('')}</tr>`;
+    }).join('');
+
+    return `<div class="markdown__table"><table><thead><tr>${header.map((h, index) => cell('th', h, index)).join('')}</tr></thead><tbody>${body}</tbody></table></div>`;
+  }
+
+  function renderHeading(level, text, ctx) {
+    const tag = `h${Math.max(ctx.minHeading, level)}`;
+    const base = slugify(text);
+    const count = ctx.slugs[base] = (ctx.slugs[base] || 0) + 1;
+    const id = `${ctx.idPrefix}${base}${count > 1 ? `-${count}` : ''}`;
+    return `<${tag} id="${escapeHTML(id)}">${inline(text, ctx)}</${tag}>`;
+  }
+
+  /**
+   * Collect a list starting at lines[start]; nested content is indented
+   */
+  function renderList(lines, start, ctx) {
+    const first = lines[start].match(PATTERNS.list);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const marker = line.match(PATTERNS.list);
+
+      if (marker && marker[1].length === indent && /\d/.test(marker[2]) === ordered) {
+        items.push([marker[3]]);
+        i++;
+        continue;
+      }
+
+      if (PATTERNS.blank.test(line)) {
+        // A blank line only continues the list if more indented or list content follows
+        const next = lines[i + 1];
+        if (next === undefined || !(/^\s/.test(next) || (PATTERNS.list.test(next) && next.match(PATTERNS.list)[1].length === indent))) break;
+        items[items.length - 1].push('');
+        i++;
+        continue;
+      }
+
+      const leading = line.match(/^\s*/)[0].length;
+      const item = items[items.length - 1];
+
+      // Indented text right after the item's first line continues it
+      if (leading > indent && item.length === 1 && !startsBlock(line.trim(), lines[i + 1])) {
+        item[0] += `\n${line.trim()}`;
+        i++;
+        continue;
+      }
+
+      if (leading > indent) {
+        items[items.length - 1].push(line.slice(Math.min(leading, indent + 4)));
+        i++;
+        continue;
+      }
+
+      // Lazy continuation of the item's text
+      if (!startsBlock(line, lines[i + 1])) {
+        items[items.length - 1][0] += `\n${line.trim()}`;
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const number = parseInt(first[2], 10);
+    const startAttr = ordered && number !== 1 ? ` start="${number}"` : '';
+    const html = items.map(([text, ...rest]) => {
+      const nested = rest.some(line => !PATTERNS.blank.test(line)) ? renderBlocks(rest, ctx) : '';
+      return `<li>${inline(text, ctx)}${nested}</li>`;
+    }).join('');
+
+    return { html: `<${tag}${startAttr}>${html}</${tag}>`, end: i };
+  }
+
+  function renderBlocks(lines, ctx) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      let match;
+
+      if (PATTERNS.blank.test(line)) {
+        i++;
+        continue;
+      }
+
+      if ((match = line.match(PATTERNS.fence))) {
+        const fence = match[1];
+        const language = match[2];
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+        i++;
+
+        const languageAttr = language ? ` class="language-${escapeHTML(language)}" data-language="${escapeHTML(language)}"` : '';
+        html.push(`<pre class="markdown__code"><code${languageAttr}>${escapeHTML(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      if ((match = line.match(PATTERNS.heading))) {
+        html.push(renderHeading(match[1].length, match[2], ctx));
+        i++;
+        continue;
+      }
+
+      if (PATTERNS.rule.test(line)) {
+        html.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if ((match = line.match(PATTERNS.footnote))) {
+        const text = [match[2]];
+        i++;
+        while (i < lines.length && /^\s{2,}\S/.test(lines[i])) text.push(lines[i++].trim());
+        ctx.footnotes[match[1]] = text.join('\n');
+        continue;
+      }
+
+      if (isTableStart(line, lines[i + 1])) {
+        const rows = [line, lines[i + 1]];
+        i += 2;
+        while (i < lines.length && lines[i].includes('|') && !PATTERNS.blank.test(lines[i])) rows.push(lines[i++]);
+        html.push(renderTable(rows, ctx));
+        continue;
+      }
+
+      if (PATTERNS.quote.test(line)) {
+        const quoted = [];
+        while (i < lines.length && !PATTERNS.blank.test(lines[i]) &&
+          (PATTERNS.quote.test(lines[i]) || !startsBlock(lines[i], lines[i + 1]))) {
+          quoted.push(lines[i++].replace(PATTERNS.quote, ''));
+        }
+        html.push(`<blockquote>${renderBlocks(quoted, ctx)}</blockquote>`);
+        continue;
+      }
+
+      if (PATTERNS.list.test(line)) {
+        const list = renderList(lines, i, ctx);
+        html.push(list.html);
+        i = list.end;
+        continue;
+      }
+
+      // Paragraph until a blank line or another block
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && !PATTERNS.blank.test(lines[i]) && !startsBlock(lines[i], lines[i + 1])) {
+        paragraph.push(lines[i++].replace(/^\s+/, ''));
+      }
+
+      // An image on its own becomes a figure, its title the caption
+      const text = paragraph.join('\n');
+      const image = text.match(/^!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+"([^"]*)")?\s*\)$/);
+      if (image) {
+        const caption = image[3] ? `<figcaption>${inline(image[3], ctx)}</figcaption>` : '';
+        html.push(`<figure class="markdown__figure">${imageHTML(image[1], image[2], '', ctx)}${caption}</figure>`);
+      } else {
+        html.push(`<p>${inline(text, ctx)}</p>`);
+      }
+    }
+
+    return html.join('\n');
+  }
+
+  function renderFootnotes(ctx) {
+    const ids = ctx.footnoteOrder.filter(id => id in ctx.footnotes);
+    if (ids.length === 0) return '';
+
+    const items = ids.map(id => `
+      <li id="${escapeHTML(`${ctx.idPrefix}fn-${id}`)}">
+        ${inline(ctx.footnotes[id], ctx)}
+        <a href="#${escapeHTML(`${ctx.idPrefix}fnref-${id}`)}" class="markdown__backref" aria-label="${escapeHTML(ctx.labels.backref)}">↩</a>
+      </li>
+    `).join('');
+
+    return `<section class="markdown__footnotes" aria-label="${escapeHTML(ctx.labels.footnotes)}"><ol>${items}</ol></section>`;
+  }
+
+  return {
+    parseFrontMatter,
+    slugify,
+
+    /**
+     * Render a Markdown body (without front matter) to HTML.
+     * Options: imageBase (prefix for relative image paths), idPrefix (for heading and
+     * footnote ids), minHeading (lowest heading level, default 2, so "#"
+     * doesn't compete with the page title) and labels { footnotes, backref }.
+     */
+    render(source, options = {}) {
+      const ctx = {
+        imageBase: options.imageBase || '',
+        idPrefix: options.idPrefix || '',
+        minHeading: options.minHeading || 2,
+        labels: Object.assign({ footnotes: 'Footnotes', backref: 'Back to reference' }, options.labels),
+        tokens: [],
+        slugs: {},
+        footnotes: {},
+        footnoteOrder: [],
+        footnoteRefs: {}
+      };
+
+      const lines = source.replace(new RegExp(TOKEN, 'g'), '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+      const body = renderBlocks(lines, ctx);
+      return body + renderFootnotes(ctx);
+    }
+  };
+});
@@ -0,0 +1,416 @@
+/**
+ * Sebastian Gerken Portfolio - QR Code
+ * Offline QR code generator (byte mode, error correction level M) that
+ * renders to SVG markup. Follows ISO/IEC 18004; no dependencies.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QRCode = factory();
+  }
+})(this, function() {
+  'use strict';
+
+  // Level M tables indexed by version (1-40)
+  const ECC_CODEWORDS_PER_BLOCK = [-1,
+    10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+  const NUM_ERROR_CORRECTION_BLOCKS = [-1,
+    1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+  // Format info bits for level M
+  const ECL_FORMAT_BITS = 0;
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+  ];
+
+  function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+  }
+
+  function utf8Bytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+  }
+
+  // ---------- Capacity ----------
+
+  /**
+   * Modules available for data and ECC after function patterns are placed
+   */
+  function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function dataCodewords(version) {
+    return Math.floor(rawDataModules(version) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+  }
+
+  function alignmentPositions(version) {
+    if (version === 1) return [];
+
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+      result.splice(1, 0, pos);
+    }
+    return result;
+  }
+
+  // ---------- Reed-Solomon ----------
+
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= gfMultiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  // ---------- Codewords ----------
+
+  /**
+   * Byte-mode segment, terminator and padding for the given version
+   */
+  function encodeData(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0x4, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = dataCodewords(version) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+      append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+  }
+
+  /**
+   * Split data into blocks, append ECC to each and interleave them
+   */
+  function addErrorCorrection(data, version) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+      k += block.length;
+      const ecc = rsRemainder(block, divisor);
+      if (i < numShortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Skip the padding byte of short blocks
+        if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  // ---------- Matrix ----------
+
+  function createMatrix(version) {
+    const size = version * 4 + 17;
+    const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+    const matrix = { version, size, modules: grid(), reserved: grid() };
+
+    matrix.set = (x, y, dark) => {
+      matrix.modules[y][x] = dark;
+      matrix.reserved[y][x] = true;
+    };
+
+    return matrix;
+  }
+
+  function drawFunctionPatterns(matrix) {
+    const { size, version } = matrix;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      matrix.set(6, i, i % 2 === 0);
+      matrix.set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            matrix.set(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would overlap finders
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            matrix.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve format areas, filled in once the mask is chosen
+    drawFormatBits(matrix, 0);
+
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      const bits = version << 12 | remainder;
+
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        matrix.set(a, b, getBit(bits, i));
+        matrix.set(b, a, getBit(bits, i));
+      }
+    }
+  }
+
+  function drawFormatBits(matrix, mask) {
+    const { size } = matrix;
+    const data = ECL_FORMAT_BITS << 3 | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = (data << 10 | remainder) ^ 0x5412;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) matrix.set(8, i, getBit(bits, i));
+    matrix.set(8, 7, getBit(bits, 6));
+    matrix.set(8, 8, getBit(bits, 7));
+    matrix.set(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) matrix.set(14 - i, 8, getBit(bits, i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) matrix.set(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) matrix.set(8, size - 15 + i, getBit(bits, i));
+    matrix.set(8, size - 8, true);
+  }
+
+  /**
+   * Place codewords in the zig-zag column pairs, right to left
+   */
+  function drawCodewords(matrix, codewords) {
+    const { size } = matrix;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!matrix.reserved[y][x] && i < codewords.length * 8) {
+            matrix.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  function applyMask(matrix, mask) {
+    const test = MASKS[mask];
+    matrix.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (!matrix.reserved[y][x] && test(x, y)) row[x] = !dark;
+      });
+    });
+  }
+
+  // ---------- Mask selection ----------
+
+  function linePenalty(line) {
+    let penalty = 0;
+    let runLength = 1;
+
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) penalty += runLength - 2;
+        runLength = 1;
+      }
+    }
+
+    // Finder-like 1:1:3:1:1 runs with four light modules on either side
+    const text = line.map(dark => (dark ? '1' : '0')).join('');
+    const padded = `0000${text}0000`;
+    ['00001011101', '10111010000'].forEach(pattern => {
+      for (let at = padded.indexOf(pattern); at !== -1; at = padded.indexOf(pattern, at + 1)) {
+        penalty += 40;
+      }
+    });
+
+    return penalty;
+  }
+
+  function penaltyScore(matrix) {
+    const { size, modules } = matrix;
+    let penalty = 0;
+    let dark = 0;
+
+    for (let i = 0; i < size; i++) {
+      penalty += linePenalty(modules[i]);
+      penalty += linePenalty(modules.map(row => row[i]));
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    return penalty + Math.max(0, k) * 10;
+  }
+
+  // ---------- Public API ----------
+
+  return {
+    /**
+     * Encode text (UTF-8) into the smallest version that fits.
+     * Returns { version, size, modules } with modules[y][x] true for dark.
+     */
+    encode(text) {
+      const bytes = utf8Bytes(text);
+      let version = 1;
+      while (version <= 40 && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+        version++;
+      }
+      if (version > 40) {
+        throw new Error(`QR code data too long (${bytes.length} bytes)`);
+      }
+
+      const matrix = createMatrix(version);
+      drawFunctionPatterns(matrix);
+      drawCodewords(matrix, addErrorCorrection(encodeData(bytes, version), version));
+
+      let bestMask = 0;
+      let bestScore = Infinity;
+      MASKS.forEach((test, mask) => {
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, mask);
+        const score = penaltyScore(matrix);
+        if (score < bestScore) {
+          bestMask = mask;
+          bestScore = score;
+        }
+        applyMask(matrix, mask);
+      });
+
+      applyMask(matrix, bestMask);
+      drawFormatBits(matrix, bestMask);
+
+      return { version, size: matrix.size, modules: matrix.modules };
+    },
+
+    /**
+     * SVG markup for text, dark modules on a light background with the
+     * standard four-module quiet zone
+     */
+    toSVG(text, options = {}) {
+      const { size, modules } = this.encode(text);
+      const margin = 4;
+      const extent = size + margin * 2;
+      const label = options.label ? ` role="img" aria-label="${options.label}"` : ' aria-hidden="true"';
+
+      const path = [];
+      modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+          if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        });
+      });
+
+      return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges"${label}>` +
+        `<rect width="${extent}" height="${extent}" fill="#fff"/>` +
+        `<path d="${path.join('')}" fill="#000"/>` +
+        '</svg>';
+    }
+  };
+});
@@ -0,0 +1,576 @@
+/**
+ * Sebastian Gerken Portfolio - Content Rendering
+ * DOM-free markup builders for project cards, timeline entries, note cards,
+ * tags and the CV, shared by main.js in the browser and scripts/build.js for
+ * prerendering.
+ *
+ * Renderers take a context: { language, t(key, params), localize(value), selectedTags, projectTags, timelineAnchors, images }
+ * and return escaped markup built with Html.html (see js/html.js); it turns
+ * into a string wherever one is expected, e.g. innerHTML.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html.js'));
+  } else {
+    root.Render = factory(root.Html);
+  }
+})(this, function(Html) {
+  'use strict';
+
+  const { html } = Html;
+
+  /**
+   * Structured timeline dates. Entries carry ISO `start`/`end` values
+   * ("2019", "2019-10" or "2019-10-01"; `end: null` means ongoing). Legacy
+   * free-text `period` strings like "Oct 2019 - Nov 2025" still parse.
+   */
+  const TimelineDates = {
+    months: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+    /**
+     * Parse an ISO date into { year, month }, month is null for year-only dates
+     */
+    parseISO(value) {
+      const match = typeof value === 'string' && value.match(/^(\d{4})(?:-(\d{2}))?(?:-\d{2})?$/);
+      if (!match) return null;
+      return { year: Number(match[1]), month: match[2] ? Number(match[2]) : null };
+    },
+
+    /**
+     * Parse a legacy period string, e.g. "Feb - Sep 2024" or "Nov 2025 - Present"
+     */
+    parsePeriod(period) {
+      const text = period && typeof period === 'object' ? period.en : period;
+      if (typeof text !== 'string') return null;
+
+      const parsePart = part => {
+        if (/^(present|now|heute)$/i.test(part)) return null;
+        const match = part.match(/^([a-z]{3})[a-z]*\.?\s*(\d{4})?$|^(\d{4})$/i);
+        if (!match) return undefined;
+        if (match[3]) return { year: Number(match[3]), month: null };
+        const month = this.months.indexOf(match[1].toLowerCase()) + 1;
+        return { year: match[2] ? Number(match[2]) : null, month: month || null };
+      };
+
+      const parts = text.split(/\s+[-–]\s+/).map(part => part.trim());
+      const start = parsePart(parts[0]);
+      const end = parts.length > 1 ? parsePart(parts[1]) : { ...start };
+      if (!start || end === undefined) return null;
+
+      // "Feb - Sep 2024": the start borrows the end's year
+      if (start.year === null) {
+        if (!end || end.year === null) return null;
+        start.year = end.year;
+      }
+
+      return { start, end };
+    },
+
+    /**
+     * Resolve an entry's range from start/end, falling back to its period
+     */
+    getRange(item) {
+      const start = this.parseISO(item.start);
+      if (start) {
+        return { start, end: item.end === null || item.end === undefined ? null : this.parseISO(item.end) };
+      }
+      return this.parsePeriod(item.period);
+    },
+
+    /**
+     * Month index for comparisons; year-only ends count to December
+     */
+    toIndex(date, isEnd) {
+      const month = date.month || (isEnd ? 12 : 1);
+      return date.year * 12 + month - 1;
+    },
+
+    nowIndex(now = new Date()) {
+      return now.getFullYear() * 12 + now.getMonth();
+    },
+
+    /**
+     * The month `current` and ongoing durations are computed for, e.g. "2026-10"
+     */
+    monthKey(now = new Date()) {
+      return this.toISO({ year: now.getFullYear(), month: now.getMonth() + 1 });
+    },
+
+    /**
+     * Sort newest first and derive `current` and `side` for each entry
+     */
+    prepare(items, now = new Date()) {
+      const today = this.nowIndex(now);
+
+      const entries = items
+        .map(item => {
+          const range = this.getRange(item);
+          if (!range) return null;
+          const startIndex = this.toIndex(range.start, false);
+          const endIndex = range.end ? this.toIndex(range.end, true) : today;
+          return { item, range, startIndex, endIndex, current: startIndex <= today && endIndex >= today };
+        })
+        .filter(Boolean)
+        .sort((a, b) => (b.startIndex - a.startIndex) || (b.endIndex - a.endIndex));
+
+      // Overlapping entries alternate sides, sequential ones stay on the same track
+      entries.forEach((entry, index) => {
+        const previous = entries[index - 1];
+        if (!previous) {
+          entry.side = 'left';
+        } else {
+          const overlaps = entry.endIndex >= previous.startIndex;
+          entry.side = overlaps ? (previous.side === 'left' ? 'right' : 'left') : previous.side;
+        }
+      });
+
+      return entries;
+    },
+
+    formatDate(date, ctx) {
+      if (!date.month) return String(date.year);
+      return new Intl.DateTimeFormat(ctx.language, { month: 'short', year: 'numeric' })
+        .format(new Date(date.year, date.month - 1, 1));
+    },
+
+    formatRange(range, ctx) {
+      const start = this.formatDate(range.start, ctx);
+      if (!range.end) return `${start} – ${ctx.t('timeline.present')}`;
+
+      const end = this.formatDate(range.end, ctx);
+      return start === end ? start : `${start} – ${end}`;
+    },
+
+    /**
+     * "2 yrs 3 mos"; only for month-precise ranges, counting both end months
+     */
+    formatDuration(entry, ctx) {
+      const { start, end } = entry.range;
+      if (!start.month || (end && !end.month)) return '';
+
+      const total = entry.endIndex - entry.startIndex + 1;
+      const years = Math.floor(total / 12);
+      const months = total % 12;
+      const parts = [];
+
+      if (years > 0) parts.push(ctx.t(years === 1 ? 'duration.year' : 'duration.years', { count: years }));
+      if (months > 0) parts.push(ctx.t(months === 1 ? 'duration.month' : 'duration.months', { count: months }));
+      return parts.join(' ');
+    },
+
+    toISO(date) {
+      return date.month ? `${date.year}-${String(date.month).padStart(2, '0')}` : String(date.year);
+    }
+  };
+
+  // Card width: two columns of the 1400px container at most, one on phones
+  const CARD_SIZES = '(min-width: 1024px) 700px, (min-width: 700px) 50vw, 100vw';
+
+  /**
+   * Responsive <picture> for a content image ({ src }). ctx.images
+   * (imageIndex()) has the sizes, variants and blur-up placeholder from
+   * scripts/images.js; images it doesn't know get `width` and `height`.
+   * options: { alt, sizes, width, height, className, imageClass, loading };
+   * imageClass replaces media__img on the <img>, for images sized elsewhere
+   */
+  function picture(image, ctx, options) {
+    const meta = (ctx.images && ctx.images.get(image.src)) || {};
+    const placeholder = meta.placeholder ? html` style="background-image: url('${meta.placeholder}')"` : '';
+
+    return html`
+      <picture class="media${options.className ? ` ${options.className}` : ''}">
+        ${(meta.sources || []).map(source => html`
+          <source type="${source.type}" srcset="${source.srcset}" sizes="${options.sizes}">
+        `)}
+        <img class="${options.imageClass || 'media__img'}" src="${image.src}" alt="${options.alt}" width="${meta.width || options.width}" height="${meta.height || options.height}" loading="${options.loading || 'lazy'}" decoding="async"${placeholder}>
+      </picture>
+    `;
+  }
+
+  // In-page demos (content/demos.json) are linked as "#/demos/<id>"
+  const DEMO_ROUTE = /^#\/demos\/([a-z0-9]+(?:-[a-z0-9]+)*)$/;
+
+  function demoRoute(id) {
+    return `#/demos/${id}`;
+  }
+
+  /**
+   * Id of the in-page demo a link opens, null for other URLs
+   */
+  function demoId(url) {
+    const match = typeof url === 'string' && url.match(DEMO_ROUTE);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Image shown on a project's card: `image`, else the first gallery image
+   */
+  function projectCover(project) {
+    if (project.image) return { src: project.image };
+    return (project.images || [])[0] || null;
+  }
+
+  /**
+   * Markup for a single project card
+   */
+  function projectCard(project, ctx) {
+    const { t, localize } = ctx;
+    const isComingSoon = project.status === 'coming-soon';
+    const title = localize(project.title);
+    const tags = project.tags || [];
+    const links = project.links || {};
+    const cardClass = isComingSoon ? 'card project-card project-card--coming-soon' : 'card project-card';
+    const cover = projectCover(project);
+
+    return html`
+      <article class="${cardClass} reveal">
+        <div class="project-card__image">
+          ${cover
+            ? picture(cover, ctx, { alt: localize(cover.alt) || title, sizes: CARD_SIZES, width: 400, height: 225 })
+            : html`<div class="project-card__placeholder">
+                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                  <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
+                  <circle cx="8.5" cy="8.5" r="1.5"/>
+                  <polyline points="21 15 16 10 5 21"/>
+                </svg>
+              </div>`
+          }
+        </div>
+        <div class="project-card__body">
+          <h3 class="project-card__title">
+            ${isComingSoon
+              ? title
+              : html`<a href="#/projects/${project.id}" class="project-card__title-link">${title}</a>`
+            }
+          </h3>
+          <p class="project-card__description">${localize(project.description)}</p>
+          ${tags.length > 0
+            ? html`<div class="project-card__tags">
+                ${tags.map(tag => html`
+                  <button type="button" class="tag tag--filter${ctx.selectedTags && ctx.selectedTags.has(tag) ? ' tag--highlight' : ''}" data-filter-tag="${tag}" title="${t('filters.byTag', { tag })}">${tag}</button>
+                `)}
+              </div>`
+            : ''
+          }
+          ${!isComingSoon
+            ? html`<div class="project-card__links">
+                <a href="#/projects/${project.id}" class="project-card__link">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M5 12h14M12 5l7 7-7 7"/>
+                  </svg>
+                  ${t('projects.details')}
+                </a>
+                ${links.demo && demoId(links.demo)
+                  ? html`<a href="${links.demo}" class="project-card__link">
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polygon points="6 4 20 12 6 20 6 4"/>
+                      </svg>
+                      ${t('projects.demo')}
+                    </a>`
+                  : ''
+                }
+                ${links.demo && !demoId(links.demo)
+                  ? html`<a href="${links.demo}" class="project-card__link" target="_blank" rel="noopener noreferrer">
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
+                        <polyline points="15 3 21 3 21 9"/>
+                        <line x1="10" y1="14" x2="21" y2="3"/>
+                      </svg>
+                      ${t('projects.demo')}
+                    </a>`
+                  : ''
+                }
+                ${links.github
+                  ? html`<a href="${links.github}" class="project-card__link" target="_blank" rel="noopener noreferrer">
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M12 0C5.37 0 0 5.37 0 12c0 5.31 3.435 9.795 8.205 11.385.6.105.825-.255.825-.57 0-.285-.015-1.23-.015-2.235-3.015.555-3.795-.735-4.035-1.41-.135-.345-.72-1.41-1.23-1.695-.42-.225-1.02-.78-.015-.795.945-.015 1.62.87 1.845 1.23 1.08 1.815 2.805 1.305 3.495.99.105-.78.42-1.305.765-1.605-2.67-.3-5.46-1.335-5.46-5.925 0-1.305.465-2.385 1.23-3.225-.12-.3-.54-1.53.12-3.18 0 0 1.005-.315 3.3 1.23.96-.27 1.98-.405 3-.405s2.04.135 3 .405c2.295-1.56 3.3-1.23 3.3-1.23.66 1.65.24 2.88.12 3.18.765.84 1.23 1.905 1.23 3.225 0 4.605-2.805 5.625-5.475 5.925.435.375.81 1.095.81 2.22 0 1.605-.015 2.895-.015 3.3 0 .315.225.69.825.57A12.02 12.02 0 0024 12c0-6.63-5.37-12-12-12z"/>
+                      </svg>
+                      ${t('projects.code')}
+                    </a>`
+                  : ''
+                }
+              </div>`
+            : ''
+          }
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * "20 November 2025" for an ISO day, in the context's language
+   */
+  function formatDay(iso, ctx) {
+    const [year, month, day] = iso.split('-').map(Number);
+    return new Intl.DateTimeFormat(ctx.language, { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+      .format(new Date(Date.UTC(year, month - 1, day)));
+  }
+
+  /**
+   * Tag that links to the project list filtered by it when a project uses
+   * it (ctx.projectTags from projectTags()), plain otherwise
+   */
+  function linkedTag(tag, ctx, highlight) {
+    const className = highlight ? 'tag tag--highlight' : 'tag';
+    const projectTag = ctx.projectTags && ctx.projectTags.get(tag.toLowerCase());
+
+    if (!projectTag) return html`<span class="${className}">${tag}</span>`;
+
+    return html`<a href="index.html?tags=${encodeURIComponent(projectTag)}#projects" class="${className} tag--link" data-project-tag="${projectTag}" title="${ctx.t('filters.byTag', { tag: projectTag })}">${tag}</a>`;
+  }
+
+  /**
+   * Markup for a note card on the notes page, from a content/posts.json entry
+   */
+  function postCard(post, ctx) {
+    const { t } = ctx;
+    const tags = post.tags || [];
+
+    return html`
+      <article class="card note-card reveal">
+        <div class="note-card__meta">
+          <time datetime="${post.date}">${formatDay(post.date, ctx)}</time>
+          ${post.language !== ctx.language ? html`<span class="tag">${t(`notes.language.${post.language}`)}</span>` : ''}
+        </div>
+        <h2 class="note-card__title" lang="${post.language}">
+          <a href="notes.html?post=${post.slug}" class="note-card__link">${post.title}</a>
+        </h2>
+        <p class="note-card__summary" lang="${post.language}">${post.summary}</p>
+        ${tags.length > 0
+          ? html`<div class="note-card__tags">${tags.map(tag => linkedTag(tag, ctx))}</div>`
+          : ''
+        }
+      </article>
+    `;
+  }
+
+  /**
+   * Key for a timeline entry's place, shared by its item and its marker on
+   * the timeline map (js/geo-map.js)
+   */
+  function placeKey(coordinates) {
+    return coordinates.join(',');
+  }
+
+  /**
+   * Fragment ids of timeline entries, e.g. "experience-2024-02-tu-dresden",
+   * keyed by item. Entries that share a start and organization get "-2",
+   * "-3" in the order of `items`, so pass the whole timeline: a filtered
+   * list keeps the ids the palette links to (ctx.timelineAnchors).
+   */
+  function timelineAnchors(items) {
+    const seen = new Map();
+    return new Map(items.map(item => {
+      const base = `experience-${item.start}-${item.organization}`.toLowerCase().replace(/[^a-z\d]+/g, '-').replace(/-$/, '');
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      return [item, count > 1 ? `${base}-${count}` : base];
+    }));
+  }
+
+  /**
+   * Markup for a single timeline entry prepared by TimelineDates.prepare(),
+   * with its id from `anchors` (timelineAnchors())
+   */
+  function timelineItem(entry, ctx, anchors) {
+    const { t, localize } = ctx;
+    const { item, range } = entry;
+    const isCurrentClass = entry.current ? 'timeline__item--current' : '';
+    const duration = TimelineDates.formatDuration(entry, ctx);
+    const typeClass = item.type === 'education' ? 'tag--education' : 'tag--work';
+    const typeLabel = item.type === 'education' ? t('timeline.education') : t('timeline.work');
+    const highlights = localize(item.highlights);
+    const description = localize(item.description);
+
+    return html`
+      <div class="timeline__item timeline__item--${entry.side} ${isCurrentClass}" id="${anchors.get(item)}" ${item.coordinates ? html`data-place="${placeKey(item.coordinates)}"` : ''}>
+        <div class="timeline__dot"></div>
+        <div class="timeline__content">
+          <div class="timeline__header">
+            <span class="timeline__period">
+              <time datetime="${TimelineDates.toISO(range.start)}">${TimelineDates.formatRange(range, ctx)}</time>
+            </span>
+            ${duration ? html`<span class="timeline__duration">${duration}</span>` : ''}
+            <span class="tag timeline__type ${typeClass}">${typeLabel}</span>
+            ${entry.current ? html`<span class="tag tag--highlight">${t('timeline.current')}</span>` : ''}
+          </div>
+          <h3 class="timeline__title">${localize(item.title)}</h3>
+          <p class="timeline__org">${item.organization}</p>
+          <p class="timeline__location">${localize(item.location)}</p>
+          ${description ? html`<p class="timeline__description">${description}</p>` : ''}
+          ${highlights && highlights.length > 0
+            ? html`<div class="timeline__highlights">
+                ${highlights.map(h => html`<span class="tag">${h}</span>`)}
+              </div>`
+            : ''
+          }
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * CV variants on cv.html. Entries name the smallest variant that lists
+   * them in their `cv` flag ("compact", "full" or "hidden", default "full").
+   */
+  const CV_VARIANTS = ['compact', 'full'];
+
+  function inCV(entry, variant) {
+    const flag = entry.cv || 'full';
+    if (flag === 'hidden') return false;
+    return variant === 'full' || flag === 'compact';
+  }
+
+  /**
+   * CV entry for a timeline item prepared by TimelineDates.prepare();
+   * highlights are left out of the compact variant
+   */
+  function cvTimelineEntry(entry, ctx, variant) {
+    const { localize } = ctx;
+    const { item, range } = entry;
+    const location = localize(item.location);
+    const description = localize(item.description);
+    const highlights = variant === 'full' ? localize(item.highlights) : null;
+
+    return html`
+      <article class="cv-entry">
+        <p class="cv-entry__period">
+          <time datetime="${TimelineDates.toISO(range.start)}">${TimelineDates.formatRange(range, ctx)}</time>
+        </p>
+        <div class="cv-entry__body">
+          <h3 class="cv-entry__title">${localize(item.title)}</h3>
+          <p class="cv-entry__org">${item.organization}${location ? html`, ${location}` : ''}</p>
+          ${description ? html`<p class="cv-entry__description">${description}</p>` : ''}
+          ${highlights && highlights.length > 0
+            ? html`<ul class="cv-entry__highlights">${highlights.map(h => html`<li>${h}</li>`)}</ul>`
+            : ''
+          }
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * CV entry for a project; outcomes are left out of the compact variant
+   */
+  function cvProjectEntry(project, ctx, variant) {
+    const { t, localize } = ctx;
+    const role = localize(project.role);
+    const stack = project.techStack || project.tags || [];
+    const outcomes = variant === 'full' ? localize(project.outcomes) : null;
+
+    return html`
+      <article class="cv-entry">
+        <p class="cv-entry__period">${project.year ? html`<time datetime="${project.year}">${project.year}</time>` : ''}</p>
+        <div class="cv-entry__body">
+          <h3 class="cv-entry__title">${localize(project.title)}</h3>
+          ${role ? html`<p class="cv-entry__org">${role}</p>` : ''}
+          <p class="cv-entry__description">${localize(project.description)}</p>
+          ${outcomes && outcomes.length > 0
+            ? html`<ul class="cv-entry__highlights">${outcomes.map(outcome => html`<li>${outcome}</li>`)}</ul>`
+            : ''
+          }
+          ${stack.length > 0
+            ? html`<p class="cv-entry__stack"><span class="cv-entry__label">${t('cv.techStack')}:</span> ${stack.join(' · ')}</p>`
+            : ''
+          }
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Skills grouped by hero role, from content/roles.json
+   */
+  function cvSkills(roles, ctx) {
+    return html`
+      <dl class="cv-skills">
+        ${roles.map(role => html`
+          <div class="cv-skills__group">
+            <dt class="cv-skills__title">${ctx.localize(role.title)}</dt>
+            <dd class="cv-skills__tags">${role.tags.join(', ')}</dd>
+          </div>
+        `)}
+      </dl>
+    `;
+  }
+
+  return {
+    TimelineDates,
+    CV_VARIANTS,
+
+    projectCards(projects, ctx) {
+      return html`${projects.map(project => projectCard(project, ctx))}`;
+    },
+
+    /**
+     * Timeline markup, newest first; `now` decides which entries are current
+     */
+    timelineItems(items, ctx, now) {
+      const anchors = ctx.timelineAnchors || timelineAnchors(items);
+      return html`${TimelineDates.prepare(items, now).map(entry => timelineItem(entry, ctx, anchors))}`;
+    },
+
+    /**
+     * Tags used by published projects, keyed by lower case, for ctx.projectTags
+     */
+    projectTags(projects) {
+      const index = new Map();
+      projects
+        .filter(project => project.status !== 'coming-soon')
+        .forEach(project => (project.tags || []).forEach(tag => index.set(tag.toLowerCase(), tag)));
+      return index;
+    },
+
+    /**
+     * Note cards, in the order given
+     */
+    postCards(posts, ctx) {
+      return html`${posts.map(post => postCard(post, ctx))}`;
+    },
+
+    /**
+     * CV body: experience, education, projects and skills for a variant.
+     * Empty sections are left out; `now` decides the ongoing entries.
+     */
+    cvSections({ timeline, projects, roles }, ctx, variant, now) {
+      const entries = TimelineDates.prepare(timeline.filter(item => inCV(item, variant)), now);
+      const cvProjects = projects
+        .filter(project => project.status !== 'coming-soon' && inCV(project, variant))
+        .sort((a, b) => (b.year || '').localeCompare(a.year || ''));
+
+      const sections = [
+        ['experience', entries.filter(entry => entry.item.type === 'work').map(entry => cvTimelineEntry(entry, ctx, variant))],
+        ['education', entries.filter(entry => entry.item.type === 'education').map(entry => cvTimelineEntry(entry, ctx, variant))],
+        ['projects', cvProjects.map(project => cvProjectEntry(project, ctx, variant))],
+        ['skills', roles.length > 0 ? [cvSkills(roles, ctx)] : []]
+      ];
+
+      return html`${sections
+        .filter(([, items]) => items.length > 0)
+        .map(([key, items]) => html`
+          <section class="cv-section cv-section--${key}">
+            <h2 class="cv-section__title">${ctx.t(`cv.${key}`)}</h2>
+            ${items}
+          </section>
+        `)}`;
+    },
+
+    /**
+     * Entries of content/images.json keyed by src, for ctx.images
+     */
+    imageIndex(images) {
+      return new Map((images || []).map(image => [image.src, image]));
+    },
+
+    demoId,
+    demoRoute,
+    formatDay,
+    linkedTag,
+    picture,
+    placeKey,
+    projectCover,
+    timelineAnchors
+  };
+});
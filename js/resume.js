@@ -0,0 +1,315 @@
+/**
+ * Sebastian Gerken Portfolio - JSON Resume Conversion
+ * Converts between the site's content files and the JSON Resume schema
+ * (https://jsonresume.org/schema), shared by the "Download resume.json"
+ * button on cv.html and scripts/resume.js.
+ *
+ * A resume holds one language, so exports take a render context and imports
+ * fill one language of the content. Fields JSON Resume has no place for
+ * (project details, images, CV flags, ...) are kept when importing into
+ * existing content. Education entries carry `summary` and `location` as
+ * extensions so timeline entries round-trip completely.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./render.js'));
+  } else {
+    root.Resume = factory(root.Render);
+  }
+})(this, function(Render) {
+  'use strict';
+
+  const SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+  const SITE_URL = 'https://sebastian-gerken.com';
+
+  const PROFILES = [
+    { network: 'GitHub', username: 'Sebastian-Gerken', url: 'https://github.com/Sebastian-Gerken' },
+    { network: 'LinkedIn', username: 'sebastian-gerken-84432428a', url: 'https://www.linkedin.com/in/sebastian-gerken-84432428a/' }
+  ];
+
+  function slugify(text) {
+    return text
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Copy of `entry` without empty strings, empty lists and undefined values
+   */
+  function compact(entry) {
+    const result = {};
+    Object.entries(entry).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      if (Array.isArray(value) && value.length === 0) return;
+      result[key] = value;
+    });
+    return result;
+  }
+
+  /**
+   * One language of a localized value, falling back to English like I18N.localize()
+   */
+  function getLocalized(value, language) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return value[language] !== undefined ? value[language] : value.en;
+    }
+    return value;
+  }
+
+  /**
+   * Set one language of a localized value. English stays required, so a
+   * value without one is used for every language.
+   */
+  function setLocalized(current, language, value) {
+    if (current === undefined || current === null) return value;
+
+    // Unchanged, including an English fallback exported for this language
+    if (JSON.stringify(getLocalized(current, language)) === JSON.stringify(value)) return current;
+
+    const localized = Array.isArray(current) || typeof current !== 'object' ? { en: current } : Object.assign({}, current);
+    localized[language] = value;
+
+    const languages = Object.keys(localized);
+    return languages.length === 1 && languages[0] === 'en' ? localized.en : localized;
+  }
+
+  // ==================== EXPORT ====================
+
+  /**
+   * Resume basics from decoded contact data (ContactData.decodeAll())
+   */
+  function basics(contact, ctx) {
+    // "12345 Town" -> postal code and city
+    const cityMatch = contact.city.match(/^(\d{4,5})\s+(.+)$/);
+
+    return compact({
+      name: contact.name,
+      label: ctx.t('cv.headline'),
+      email: contact.email,
+      phone: contact.phone,
+      url: SITE_URL,
+      summary: ctx.t('aboutPage.currentDescription'),
+      location: compact({
+        address: contact.street,
+        postalCode: cityMatch ? cityMatch[1] : '',
+        city: cityMatch ? cityMatch[2] : contact.city,
+        countryCode: /^(germany|deutschland)$/i.test(contact.country) ? 'DE' : ''
+      }),
+      profiles: PROFILES
+    });
+  }
+
+  function isoRange(entry) {
+    const { start, end } = entry.range;
+    return {
+      startDate: Render.TimelineDates.toISO(start),
+      endDate: end ? Render.TimelineDates.toISO(end) : undefined
+    };
+  }
+
+  function workEntry(entry, ctx) {
+    const { item } = entry;
+    return compact(Object.assign({
+      name: item.organization,
+      position: ctx.localize(item.title),
+      location: ctx.localize(item.location)
+    }, isoRange(entry), {
+      summary: ctx.localize(item.description),
+      highlights: ctx.localize(item.highlights)
+    }));
+  }
+
+  function educationEntry(entry, ctx) {
+    const { item } = entry;
+    return compact(Object.assign({
+      institution: item.organization,
+      area: ctx.localize(item.title)
+    }, isoRange(entry), {
+      courses: ctx.localize(item.highlights),
+      // Extensions, JSON Resume has no description or location for education
+      summary: ctx.localize(item.description),
+      location: ctx.localize(item.location)
+    }));
+  }
+
+  /**
+   * In-page demos ("#/demos/<id>") live on the home page, everything else
+   * is absolute already
+   */
+  function absoluteLink(url) {
+    return Render.demoId(url) ? `${SITE_URL}/${url}` : url;
+  }
+
+  function relativeLink(url) {
+    const local = url && url.startsWith(`${SITE_URL}/#`) ? url.slice(SITE_URL.length + 1) : null;
+    return local && Render.demoId(local) ? local : url;
+  }
+
+  /**
+   * Projects carry a single year: completed ones end in it, others only start
+   */
+  function projectEntry(project, ctx) {
+    const links = project.links || {};
+    const role = ctx.localize(project.role);
+
+    return compact({
+      name: ctx.localize(project.title),
+      description: ctx.localize(project.description),
+      highlights: ctx.localize(project.outcomes),
+      keywords: project.tags,
+      startDate: project.year,
+      endDate: project.status === 'completed' ? project.year : undefined,
+      url: absoluteLink(links.demo) || links.github,
+      roles: role ? [role] : []
+    });
+  }
+
+  /**
+   * JSON Resume document for content { timeline, projects, roles } in the
+   * context's language; `contact` is optional decoded contact data
+   */
+  function toResume(content, ctx, contact) {
+    const entries = Render.TimelineDates.prepare(content.timeline);
+
+    return compact({
+      $schema: SCHEMA,
+      basics: contact ? basics(contact, ctx) : undefined,
+      work: entries.filter(entry => entry.item.type === 'work').map(entry => workEntry(entry, ctx)),
+      education: entries.filter(entry => entry.item.type === 'education').map(entry => educationEntry(entry, ctx)),
+      projects: content.projects
+        .filter(project => project.status !== 'coming-soon')
+        .map(project => projectEntry(project, ctx)),
+      skills: (content.roles || []).map(role => ({ name: ctx.localize(role.title), keywords: role.tags })),
+      meta: { canonical: `${SITE_URL}/cv.html`, version: 'v1.0.0' }
+    });
+  }
+
+  // ==================== IMPORT ====================
+
+  /**
+   * Shared fields of a timeline entry from a work or education item
+   */
+  function timelineFields(item, type) {
+    const education = type === 'education';
+    const title = education
+      ? [item.studyType, item.area].filter(Boolean).join(', ')
+      : item.position;
+
+    return {
+      start: item.startDate,
+      end: item.endDate || null,
+      title,
+      organization: education ? item.institution : item.name,
+      location: typeof item.location === 'string' ? item.location : undefined,
+      type,
+      description: item.summary,
+      highlights: education ? item.courses : item.highlights
+    };
+  }
+
+  function projectFields(item) {
+    const url = relativeLink(item.url) || null;
+    const isRepository = Boolean(url && /^https?:\/\/(www\.)?github\.com\//.test(url));
+    const year = (item.endDate || item.startDate || '').slice(0, 4);
+
+    return {
+      title: item.name,
+      description: item.description || item.name,
+      role: item.roles && item.roles.length > 0 ? item.roles[0] : undefined,
+      outcomes: item.highlights,
+      tags: item.keywords || [],
+      links: { github: isRepository ? url : null, demo: isRepository ? null : url },
+      status: item.endDate ? 'completed' : 'in-progress',
+      year: /^\d{4}$/.test(year) ? year : undefined
+    };
+  }
+
+  // Localized fields; the rest replaces the existing value as is
+  const LOCALIZED = {
+    timeline: ['title', 'location', 'description', 'highlights'],
+    projects: ['title', 'description', 'role', 'outcomes']
+  };
+
+  /**
+   * Merge imported fields into an existing entry (or a new one) for `language`
+   */
+  function mergeEntry(existing, fields, localized, language) {
+    const entry = Object.assign({}, existing);
+
+    Object.entries(fields).forEach(([key, value]) => {
+      const empty = value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+      if (localized.includes(key)) {
+        if (!empty) {
+          entry[key] = setLocalized(entry[key], language, value);
+        } else if (language === 'en') {
+          // Without English the field can't stay; other languages keep theirs
+          delete entry[key];
+        }
+      } else if (value !== undefined) {
+        entry[key] = value;
+      }
+    });
+
+    return entry;
+  }
+
+  function timelineKey(entry) {
+    return `${entry.type}|${entry.organization}|${entry.start}`;
+  }
+
+  /**
+   * Content { timeline, projects } from a JSON Resume document. With
+   * `existing` content, matching entries keep their other languages and
+   * the fields JSON Resume doesn't know; new entries are appended.
+   */
+  function fromResume(resume, options = {}) {
+    const language = options.language || 'en';
+    const existing = options.existing || { timeline: [], projects: [] };
+
+    // Timeline entries match on type, organization and start
+    const timelineIndex = new Map(existing.timeline.map(entry => [timelineKey(entry), entry]));
+    const imported = [
+      ...(resume.work || []).map(item => timelineFields(item, 'work')),
+      ...(resume.education || []).map(item => timelineFields(item, 'education'))
+    ];
+    const timeline = existing.timeline.slice();
+    imported.forEach(fields => {
+      const match = timelineIndex.get(timelineKey(fields));
+      const entry = mergeEntry(match, fields, LOCALIZED.timeline, language);
+      if (match) timeline[timeline.indexOf(match)] = entry;
+      else timeline.push(entry);
+    });
+
+    // Projects match on the title in the imported language
+    const projects = existing.projects.slice();
+    (resume.projects || []).forEach(item => {
+      const fields = projectFields(item);
+      const match = existing.projects.find(project => {
+        const title = typeof project.title === 'object' ? project.title[language] || project.title.en : project.title;
+        return slugify(title) === slugify(item.name || '');
+      });
+
+      if (match) {
+        // Keep whatever else the project links to
+        fields.links = Object.assign({}, match.links, compact(fields.links));
+        projects[projects.indexOf(match)] = mergeEntry(match, fields, LOCALIZED.projects, language);
+      } else {
+        projects.push(mergeEntry(null, Object.assign({ id: slugify(item.name || '') }, fields), LOCALIZED.projects, language));
+      }
+    });
+
+    return { timeline, projects };
+  }
+
+  return {
+    SCHEMA,
+    basics,
+    toResume,
+    fromResume
+  };
+});
@@ -0,0 +1,199 @@
+/**
+ * Sebastian Gerken Portfolio - Skills
+ * The skills registry (content/skills.json) and the content backing each
+ * skill, shared by main.js and the scripts like js/render.js.
+ *
+ * Project tags and techStack, role tags, note tags and the `skills` of
+ * timeline entries name a registry skill or one of its aliases; case
+ * doesn't matter. unknownTags() lists the ones that don't, and the build
+ * fails on them.
+ *
+ * Content is { projects, roles, timeline, posts }; renderers take the
+ * context described in js/render.js.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html.js'));
+  } else {
+    root.Skills = factory(root.Html);
+  }
+})(this, function(Html) {
+  'use strict';
+
+  const { html } = Html;
+
+  /**
+   * Where content names skills: [file, list key, field] per source
+   */
+  const SOURCES = [
+    ['content/projects.json', 'projects', 'tags'],
+    ['content/projects.json', 'projects', 'techStack'],
+    ['content/roles.json', 'roles', 'tags'],
+    ['content/timeline.json', 'timeline', 'skills'],
+    ['content/posts.json', 'posts', 'tags']
+  ];
+
+  /**
+   * Skills by lower-case name and alias
+   */
+  function createIndex(categories) {
+    const index = new Map();
+    categories.forEach(category => category.items.forEach(skill => {
+      [skill.name, ...(skill.aliases || [])].forEach(name => index.set(name.toLowerCase(), skill));
+    }));
+    return index;
+  }
+
+  /**
+   * Names and aliases used by more than one skill, as { name, skills }
+   */
+  function conflicts(categories) {
+    const owners = new Map();
+    categories.forEach(category => category.items.forEach(skill => {
+      new Set([skill.name, ...(skill.aliases || [])].map(name => name.toLowerCase())).forEach(name => {
+        owners.set(name, [...(owners.get(name) || []), skill.name]);
+      });
+    }));
+    return [...owners]
+      .filter(([, skills]) => skills.length > 1)
+      .map(([name, skills]) => ({ name, skills }));
+  }
+
+  /**
+   * Tags in content that name no skill, as { file, path, tag }
+   */
+  function unknownTags(categories, content) {
+    const index = createIndex(categories);
+    const unknown = [];
+
+    SOURCES.forEach(([file, key, field]) => {
+      (content[key] || []).forEach((entry, entryIndex) => {
+        (entry[field] || []).forEach((tag, tagIndex) => {
+          if (!index.has(String(tag).toLowerCase())) {
+            unknown.push({ file, path: `${key}[${entryIndex}].${field}[${tagIndex}]`, tag });
+          }
+        });
+      });
+    });
+
+    return unknown;
+  }
+
+  /**
+   * Per skill, in registry order, the content backing it:
+   * { skill, category, projects, roles, timeline, posts, count }
+   */
+  function aggregate(categories, content) {
+    const index = createIndex(categories);
+    const evidence = new Map();
+    categories.forEach(category => category.items.forEach(skill => {
+      evidence.set(skill, { skill, category, projects: [], roles: [], timeline: [], posts: [], count: 0 });
+    }));
+
+    SOURCES.forEach(([, key, field]) => {
+      (content[key] || [])
+        .filter(entry => key !== 'projects' || entry.status !== 'coming-soon')
+        .forEach(entry => {
+          (entry[field] || [])
+            .map(tag => index.get(String(tag).toLowerCase()))
+            .filter(Boolean)
+            .forEach(skill => {
+              // An entry counts once per skill, e.g. for a tag that is also in its techStack
+              const sources = evidence.get(skill)[key];
+              if (!sources.includes(entry)) sources.push(entry);
+            });
+        });
+    });
+
+    evidence.forEach(entry => {
+      entry.count = entry.projects.length + entry.roles.length + entry.timeline.length + entry.posts.length;
+    });
+    return [...evidence.values()];
+  }
+
+  function skillTitle(skill, ctx) {
+    return ctx.localize(skill.title) || skill.name;
+  }
+
+  /**
+   * Fragment id of a skill in the index, e.g. "skill-object-tracking"
+   */
+  function anchor(skill) {
+    return `skill-${skill.name.toLowerCase().replace(/[^a-z\d]+/g, '-').replace(/^-|-$/g, '')}`;
+  }
+
+  function sourceGroup(label, items) {
+    if (items.length === 0) return '';
+    return html`
+      <div class="skill-index__group">
+        <dt class="skill-index__group-title">${label} (${items.length})</dt>
+        <dd class="skill-index__sources">${items.map((item, index) => html`${index > 0 ? ', ' : ''}${item}`)}</dd>
+      </div>
+    `;
+  }
+
+  function indexItem(entry, ctx) {
+    const { skill } = entry;
+    const { t, localize } = ctx;
+
+    return html`
+      <li class="skill-index__item" id="${anchor(skill)}">
+        <div class="skill-index__heading">
+          <h4 class="skill-index__name">${skillTitle(skill, ctx)}</h4>
+          <span class="skill-index__level skill-index__level--${skill.proficiency}">${t(`skills.level.${skill.proficiency}`)}</span>
+          <span class="skill-index__count">${t(entry.count === 1 ? 'skills.sourcesOne' : 'skills.sources', { count: entry.count })}</span>
+        </div>
+        ${entry.count === 0
+          ? html`<p class="skill-index__empty">${t('skills.unbacked')}</p>`
+          : html`<dl class="skill-index__groups">
+              ${sourceGroup(t('skills.projects'), entry.projects.map(project => html`<a href="index.html#/projects/${project.id}">${localize(project.title)}</a>`))}
+              ${sourceGroup(t('skills.roles'), entry.roles.map(role => localize(role.title)))}
+              ${sourceGroup(t('skills.experience'), entry.timeline.map(item => html`<a href="index.html#experience">${localize(item.title)}</a> (${item.organization})`))}
+              ${sourceGroup(t('skills.notes'), entry.posts.map(post => html`<a href="notes.html?post=${post.slug}">${post.title}</a>`))}
+            </dl>`
+        }
+      </li>
+    `;
+  }
+
+  return {
+    anchor,
+    conflicts,
+    createIndex,
+    unknownTags,
+    aggregate,
+
+    /**
+     * Skills card on the about page: tags per category linking to their
+     * entry in the index, expert skills highlighted
+     */
+    categories(categories, ctx) {
+      return html`${categories.map(category => html`
+        <h3 class="about-page__skill-category">${ctx.localize(category.title)}</h3>
+        <div class="about-page__skill-tags">
+          ${category.items.map(skill => html`
+            <a href="#${anchor(skill)}" class="tag${skill.proficiency === 'expert' ? ' tag--highlight' : ''}" title="${ctx.t(`skills.level.${skill.proficiency}`)}">${skillTitle(skill, ctx)}</a>
+          `)}
+        </div>
+      `)}`;
+    },
+
+    /**
+     * Index of every skill with the projects, roles, timeline entries and
+     * notes backing it, by category
+     */
+    index(categories, content, ctx) {
+      const entries = aggregate(categories, content);
+
+      return html`${categories.map(category => html`
+        <section class="skill-index__category">
+          <h3 class="skill-index__category-title">${ctx.localize(category.title)}</h3>
+          <ul class="skill-index__list">
+            ${entries.filter(entry => entry.category === category).map(entry => indexItem(entry, ctx))}
+          </ul>
+        </section>
+      `)}`;
+    }
+  };
+});
@@ -0,0 +1,241 @@
+/**
+ * Sebastian Gerken Portfolio - Structured Data
+ * schema.org JSON-LD built from the content files: a Person with work
+ * entries as OrganizationRoles and education as credentials, plus a
+ * CreativeWork (SoftwareSourceCode with a repository) per project. Shared by
+ * scripts/build.js, which bakes it into the pages, and main.js, which keeps
+ * it in sync with the language and adds contact details once decoded.
+ *
+ * validate() checks a document against the properties listed in RULES.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./render.js'));
+  } else {
+    root.StructuredData = factory(root.Render);
+  }
+})(this, function(Render) {
+  'use strict';
+
+  const SITE_URL = 'https://sebastian-gerken.com';
+
+  const PERSON_ID = `${SITE_URL}/#person`;
+
+  const SAME_AS = [
+    'https://github.com/Sebastian-Gerken',
+    'https://www.linkedin.com/in/sebastian-gerken-84432428a/'
+  ];
+
+  // Required properties per type; "a.b" looks inside a nested object
+  const RULES = {
+    Person: ['@id', 'name', 'url'],
+    OrganizationRole: ['roleName', 'startDate', 'worksFor.name'],
+    EducationalOccupationalCredential: ['name', 'recognizedBy.name'],
+    CreativeWork: ['@id', 'name', 'description', 'url', 'creator'],
+    SoftwareSourceCode: ['@id', 'name', 'description', 'url', 'creator', 'codeRepository'],
+    PostalAddress: ['addressCountry']
+  };
+
+  const DATE_PROPERTIES = ['startDate', 'endDate', 'dateCreated', 'validFrom'];
+
+  function countryCode(country) {
+    return /^(germany|deutschland)$/i.test(country || '') ? 'DE' : country;
+  }
+
+  /**
+   * Copy of `node` without empty values, so optional properties drop out
+   */
+  function compact(node) {
+    const result = {};
+    Object.entries(node).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      if (Array.isArray(value) && value.length === 0) return;
+      result[key] = value;
+    });
+    return result;
+  }
+
+  function dates(entry) {
+    const { start, end } = entry.range;
+    return {
+      startDate: Render.TimelineDates.toISO(start),
+      endDate: end ? Render.TimelineDates.toISO(end) : undefined
+    };
+  }
+
+  function organizationRole(entry, ctx) {
+    const { item } = entry;
+    return compact(Object.assign({
+      '@type': 'OrganizationRole',
+      roleName: ctx.localize(item.title),
+      worksFor: { '@type': 'Organization', name: item.organization }
+    }, dates(entry), {
+      description: ctx.localize(item.description)
+    }));
+  }
+
+  /**
+   * Finished education entries are credentials, valid from their end date
+   */
+  function credential(entry, ctx) {
+    const { item } = entry;
+    return compact({
+      '@type': 'EducationalOccupationalCredential',
+      name: ctx.localize(item.title),
+      description: ctx.localize(item.description),
+      recognizedBy: { '@type': 'EducationalOrganization', name: item.organization },
+      validFrom: Render.TimelineDates.toISO(entry.range.end)
+    });
+  }
+
+  function creativeWork(project, ctx) {
+    const links = project.links || {};
+    const url = `${SITE_URL}/#/projects/${project.id}`;
+
+    return compact({
+      '@type': links.github ? 'SoftwareSourceCode' : 'CreativeWork',
+      '@id': url,
+      name: ctx.localize(project.title),
+      description: ctx.localize(project.description),
+      url,
+      keywords: (project.tags || []).join(', '),
+      dateCreated: project.year,
+      inLanguage: ctx.language,
+      creator: { '@id': PERSON_ID },
+      codeRepository: links.github,
+      programmingLanguage: links.github ? project.techStack : undefined,
+      // In-page demos are part of the site, not the work elsewhere
+      sameAs: Render.demoId(links.demo) ? undefined : links.demo
+    });
+  }
+
+  /**
+   * Person node. `contact` holds whatever contact fields are decoded
+   * (ContactData.decodeAll() shape); the rest is left out.
+   */
+  function person(entries, content, ctx, contact) {
+    const work = entries.filter(entry => entry.item.type === 'work');
+    const current = work.find(entry => entry.current);
+
+    // "12345 Town" -> postal code and locality
+    const cityMatch = contact.city ? contact.city.match(/^(\d{4,5})\s+(.+)$/) : null;
+
+    return compact({
+      '@type': 'Person',
+      '@id': PERSON_ID,
+      name: contact.name,
+      url: `${SITE_URL}/`,
+      jobTitle: current ? ctx.localize(current.item.title) : undefined,
+      worksFor: work.map(entry => organizationRole(entry, ctx)),
+      hasCredential: entries
+        .filter(entry => entry.item.type === 'education' && entry.range.end && !entry.current)
+        .map(entry => credential(entry, ctx)),
+      knowsAbout: [...new Set((content.roles || []).flatMap(role => role.tags))],
+      email: contact.email ? `mailto:${contact.email}` : undefined,
+      telephone: contact.phone ? contact.phone.replace(/\s/g, '') : undefined,
+      address: contact.country
+        ? compact({
+          '@type': 'PostalAddress',
+          streetAddress: contact.street,
+          postalCode: cityMatch ? cityMatch[1] : undefined,
+          addressLocality: cityMatch ? cityMatch[2] : contact.city,
+          addressCountry: countryCode(contact.country)
+        })
+        : undefined,
+      sameAs: SAME_AS
+    });
+  }
+
+  /**
+   * JSON-LD document for content { timeline, projects, roles } in the
+   * context's language; `now` decides the current job
+   */
+  function build(content, ctx, contact, now) {
+    const entries = Render.TimelineDates.prepare(content.timeline, now);
+
+    return {
+      '@context': 'https://schema.org',
+      '@graph': [
+        person(entries, content, ctx, contact || {}),
+        ...content.projects
+          .filter(project => project.status !== 'coming-soon')
+          .map(project => creativeWork(project, ctx))
+      ]
+    };
+  }
+
+  /**
+   * JSON for a <script type="application/ld+json">, safe against "</script>"
+   */
+  function serialize(doc) {
+    return JSON.stringify(doc, null, 2).replace(/</g, '\\u003c');
+  }
+
+  function lookup(node, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), node);
+  }
+
+  /**
+   * Problems with a document as [{ path, message }], like ContentSchema.validate()
+   */
+  function validate(doc) {
+    const errors = [];
+
+    if (!doc || doc['@context'] !== 'https://schema.org') {
+      errors.push({ path: '(root)', message: 'missing @context "https://schema.org"' });
+    }
+    if (!doc || !Array.isArray(doc['@graph']) || doc['@graph'].length === 0) {
+      errors.push({ path: '(root)', message: 'missing @graph' });
+      return errors;
+    }
+
+    const visit = (node, path) => {
+      if (Array.isArray(node)) {
+        node.forEach((item, index) => visit(item, `${path}[${index}]`));
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+
+      const required = RULES[node['@type']];
+      if (required) {
+        required
+          .filter(property => {
+            const value = lookup(node, property);
+            return value === undefined || value === null || value === '';
+          })
+          .forEach(property => errors.push({ path: path || '(root)', message: `${node['@type']} needs ${property}` }));
+      }
+
+      DATE_PROPERTIES.forEach(property => {
+        if (node[property] !== undefined && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(node[property])) {
+          errors.push({ path: `${path}.${property}`, message: `expected an ISO 8601 date, got "${node[property]}"` });
+        }
+      });
+
+      Object.entries(node).forEach(([key, value]) => {
+        if (value && typeof value === 'object') visit(value, `${path}.${key}`);
+      });
+    };
+
+    visit(doc['@graph'], '@graph');
+
+    // Every project points back at the person
+    const ids = new Set(doc['@graph'].map(node => node['@id']));
+    doc['@graph'].forEach((node, index) => {
+      const creator = node.creator && node.creator['@id'];
+      if (creator && !ids.has(creator)) {
+        errors.push({ path: `@graph[${index}].creator`, message: `unknown @id "${creator}"` });
+      }
+    });
+
+    return errors;
+  }
+
+  return {
+    RULES,
+    build,
+    serialize,
+    validate
+  };
+});
@@ -0,0 +1,29 @@
+/**
+ * Sebastian Gerken Portfolio - Theme Bootstrap
+ * Loaded synchronously in <head> so the stored theme, and reduced motion
+ * if chosen in the command palette, are set on <html> before first paint.
+ * ThemeToggle and CommandPalette in main.js take over after load.
+ */
+
+(function() {
+  'use strict';
+
+  let preference = null;
+  let motion = null;
+  try {
+    preference = localStorage.getItem('preferredTheme');
+    motion = localStorage.getItem('preferredMotion');
+  } catch (e) {
+    // Storage blocked, fall back to the system setting
+  }
+
+  const prefersLight = window.matchMedia('(prefers-color-scheme: light)').matches;
+  const theme = preference === 'light' || preference === 'dark'
+    ? preference
+    : (prefersLight ? 'light' : 'dark');
+
+  document.documentElement.dataset.theme = theme;
+
+  // The system's reduced motion setting applies through CSS either way
+  if (motion === 'reduce') document.documentElement.dataset.motion = 'reduce';
+})();
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+/**
+ * Build the site into dist/ with projects, timeline, its map and the first
+ * hero role prerendered into index.html, the skills and skill index into
+ * about.html and the full CV into cv.html, so content is visible without
+ * JavaScript and indexable. Images marked data-picture become responsive
+ * <picture> elements.
+ * The runtime keeps the markup when it matches (see DataLoader.isPrerendered),
+ * and re-renders the timeline once its month has passed.
+ *
+ * Pages with a <script data-structured-data> get schema.org JSON-LD built
+ * from the content (js/structured-data.js); the build fails if it lacks a
+ * required property.
+ *
+ * Contact data is re-keyed per build, [data-address] and [data-contact]
+ * elements get a CSS-reversed no-JS fallback, and the build fails if any
+ * plain-text address is left in a page, script, stylesheet or content file.
+ *
+ * The service worker's cache version is stamped with a hash of the built
+ * files, its precache list gains the image variants in content/images.json,
+ * and the build fails if the list names a missing file.
+ *
+ * Usage: node scripts/build.js [--out dist]
+ * The output directory is deleted first, so it must be outside the sources
+ * and either empty, missing or a previous build.
+ * Exits with code 1 if content fails schema validation or names a skill
+ * that isn't in content/skills.json.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ContactData = require('../js/contact.js');
+const ContentSchema = require('../js/content-schema.js');
+const GeoMap = require('../js/geo-map.js');
+const Html = require('../js/html.js');
+const I18N = require('../js/i18n.js');
+const Render = require('../js/render.js');
+const Skills = require('../js/skills.js');
+const StructuredData = require('../js/structured-data.js');
+const { generatedFiles } = require('./images.js');
+const { publicContact } = require('./structured-data.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Files and directories that make up the deployed site
+const PAGES = ['index.html', 'about.html', 'cv.html', 'contact.html', 'notes.html', 'impressum.html', 'datenschutz.html'];
+const SITE = [...PAGES, 'sw.js', 'favicon.svg', 'CNAME', 'css', 'js', 'content', 'assets'];
+
+// Left in every output directory, so a rebuild only deletes its own output
+const MARKER = '.site-build';
+
+// Prerendered language; other languages re-render on load
+const LANGUAGE = I18N.defaultLanguage;
+
+function parseArgs(argv) {
+  const index = argv.indexOf('--out');
+  return { out: path.resolve(ROOT, index !== -1 && argv[index + 1] ? argv[index + 1] : 'dist') };
+}
+
+function isInside(child, parent) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Refuse an output directory that holds sources or wasn't made by a build,
+ * since it is deleted before every build
+ */
+function checkOutDir(out) {
+  if (isInside(ROOT, out)) {
+    throw new Error(`--out ${out}: refusing to build into the repository or one of its parents`);
+  }
+
+  const sources = [...SITE, 'scripts', '.git'].map(entry => path.join(ROOT, entry));
+  const source = sources.find(entry => isInside(out, entry));
+  if (source) {
+    throw new Error(`--out ${out}: refusing to build into the source ${path.relative(ROOT, source)}`);
+  }
+
+  if (fs.existsSync(out) && fs.readdirSync(out).length > 0 && !fs.existsSync(path.join(out, MARKER))) {
+    throw new Error(`--out ${out}: not empty and not a previous build (no ${MARKER}), delete it yourself`);
+  }
+}
+
+function readJSON(relativePath) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+/**
+ * Load a content file, failing the build on any schema error
+ */
+function loadValid(file, schema) {
+  const data = readJSON(file);
+  const errors = ContentSchema.validate(data, readJSON(schema));
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`${file}: ${ContentSchema.format(error)}`));
+    throw new Error(`${file} is invalid, run node scripts/validate-content.js`);
+  }
+
+  return data;
+}
+
+/**
+ * Load a content list, e.g. loadContent('projects')
+ */
+function loadContent(name) {
+  return loadValid(`content/${name}.json`, `content/schema/${name}.schema.json`)[name];
+}
+
+/**
+ * Replace the placeholder comment inside a container and mark it as
+ * prerendered; `data` adds data-* attributes, e.g. { prerenderedMonth }
+ */
+function fillContainer(html, className, placeholder, markup, data = {}) {
+  const pattern = new RegExp(`(<[a-z]+ class="${className}"[^>]*)>(\\s*)<!-- ${placeholder} -->`);
+
+  if (!pattern.test(html)) {
+    throw new Error(`placeholder "${placeholder}" not found in .${className}`);
+  }
+
+  const attributes = Object.entries(data)
+    .map(([name, value]) => ` data-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}="${Html.escape(value)}"`)
+    .join('');
+  return html.replace(pattern, (match, open) => `${open} data-prerendered="${LANGUAGE}"${attributes}>${markup}`);
+}
+
+function renderContext() {
+  return {
+    language: LANGUAGE,
+    t: (key, params) => I18N.t(LANGUAGE, key, params),
+    localize: value => I18N.localize(LANGUAGE, value),
+    selectedTags: new Set(),
+    images: Render.imageIndex(loadContent('images'))
+  };
+}
+
+function prerenderIndex(html) {
+  const ctx = renderContext();
+
+  const projects = loadContent('projects');
+  const timeline = loadContent('timeline');
+  const role = loadContent('roles')[0];
+  const roleCtx = Object.assign({}, ctx, { projectTags: Render.projectTags(projects) });
+
+  html = fillContainer(html, 'projects__grid', 'Projects loaded via JavaScript', Render.projectCards(projects.filter(project => project.featured), ctx));
+  // Current entries and ongoing durations depend on the month, see DataLoader.loadTimeline
+  html = fillContainer(html, 'timeline__items', 'Timeline items loaded via JavaScript', Render.timelineItems(timeline, ctx), {
+    prerenderedMonth: Render.TimelineDates.monthKey()
+  });
+  html = fillContainer(html, 'timeline-map__canvas', 'Timeline map rendered via JavaScript', GeoMap.render(loadValid('content/land.geojson', 'content/schema/land.schema.json'), timeline, ctx));
+  html = fillContainer(html, 'hero__role-text', 'Role rendered via JavaScript', Html.escape(ctx.localize(role.title)));
+  html = fillContainer(html, 'hero__tags', 'Role tags rendered via JavaScript', Html.html`${role.tags.map((tag, index) => Render.linkedTag(tag, roleCtx, index === 0))}`);
+  return html;
+}
+
+function prerenderCV(html) {
+  const content = {
+    timeline: loadContent('timeline'),
+    projects: loadContent('projects'),
+    roles: loadContent('roles')
+  };
+
+  return fillContainer(html, 'cv__body', 'CV rendered via JavaScript', Render.cvSections(content, renderContext(), 'full'));
+}
+
+function prerenderAbout(html) {
+  const ctx = renderContext();
+  const skills = loadContent('skills');
+  const content = {
+    projects: loadContent('projects'),
+    roles: loadContent('roles'),
+    timeline: loadContent('timeline'),
+    posts: loadContent('posts')
+  };
+
+  const unknown = Skills.unknownTags(skills, content);
+  if (unknown.length > 0) {
+    unknown.forEach(({ file, path: where, tag }) => console.error(`${file}: ${where}: "${tag}" is not in content/skills.json`));
+    throw new Error('Content names unknown skills, run node scripts/validate-content.js');
+  }
+
+  html = fillContainer(html, 'about-page__skills', 'Skills rendered via JavaScript', Skills.categories(skills, ctx));
+  return fillContainer(html, 'skill-index__body', 'Skill index rendered via JavaScript', Skills.index(skills, content, ctx));
+}
+
+/**
+ * Attribute value as text, so Render.picture() doesn't escape it twice
+ */
+function unescapeAttribute(value) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", '#96': '`' };
+  return value.replace(/&(amp|lt|gt|quot|#39|#96);/g, (match, name) => entities[name]);
+}
+
+/**
+ * Swap every <img data-picture> for a <picture> with the variants and
+ * placeholder from content/images.json (Render.picture), keeping its src,
+ * alt, class and size; data-sizes becomes the sources' sizes
+ */
+function pictureImages(html) {
+  const ctx = renderContext();
+
+  return html.replace(/<img\b[^>]*\sdata-picture\b[^>]*>/g, tag => {
+    const attribute = name => {
+      const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+      return match ? unescapeAttribute(match[1]) : '';
+    };
+
+    return String(Render.picture({ src: attribute('src') }, ctx, {
+      alt: attribute('alt'),
+      sizes: attribute('data-sizes') || '100vw',
+      width: attribute('width'),
+      height: attribute('height'),
+      imageClass: attribute('class'),
+      loading: 'eager'
+    })).trim();
+  });
+}
+
+/**
+ * Fill the page's JSON-LD placeholder. Only public contact fields go in,
+ * the rest is added at runtime after the contact data is decoded.
+ */
+function fillStructuredData(html, contact) {
+  const pattern = /(<script type="application\/ld\+json" data-structured-data)>[\s\S]*?<\/script>/;
+  if (!pattern.test(html)) return html;
+
+  const content = { timeline: loadContent('timeline'), projects: loadContent('projects'), roles: loadContent('roles') };
+  const doc = StructuredData.build(content, renderContext(), publicContact(contact));
+
+  const errors = StructuredData.validate(doc);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`structured data: ${ContentSchema.format(error)}`));
+    throw new Error('Structured data is missing required properties, run node scripts/structured-data.js --check');
+  }
+
+  return html.replace(pattern, (match, open) => `${open}>\n${StructuredData.serialize(doc)}\n</script>`);
+}
+
+// Pages with content baked in at build time
+const PRERENDER = {
+  'index.html': prerenderIndex,
+  'about.html': prerenderAbout,
+  'cv.html': prerenderCV
+};
+
+/**
+ * Text stored back to front and flipped by .contact-reversed, so it reads
+ * correctly on screen but not in the source
+ */
+function reversed(text) {
+  return `<span class="contact-reversed">${Html.escape([...text].reverse().join(''))}</span>`;
+}
+
+/**
+ * Bake no-JS fallbacks into contact elements and strip plain-text links
+ */
+function protectContacts(html, contact) {
+  const addresses = {
+    full: [contact.name, contact.street, contact.city, contact.country].map(reversed).join('<br>'),
+    inline: reversed(`${contact.name}, ${contact.street}, ${contact.city}, ${contact.country}`),
+    name: reversed(contact.name)
+  };
+
+  html = html.replace(
+    /(<(\w+)\b[^>]*\bdata-address="(full|inline|name)"[^>]*>)[\s\S]*?(<\/\2>)/g,
+    (match, open, tag, format, close) => `${open}${addresses[format]}${close}`
+  );
+
+  return html.replace(
+    /(<a\b[^>]*\bdata-contact="(email|phone)"[^>]*>)([\s\S]*?)(<\/a>)/g,
+    (match, open, type, text, close) => {
+      open = open.replace(/\bhref="(?:mailto|tel):[^"]*"/, 'href="#"');
+      if (/\bdata-show-text="false"/.test(open)) return `${open}${text}${close}`;
+      return `${open}${reversed(contact[type])}${close}`;
+    }
+  );
+}
+
+// Files in the output that are searched for plain-text contact data
+const TEXT_FILES = /\.(html|js|css|json|geojson|md|svg|txt)$/;
+
+/**
+ * Plain-text forms of the contact data that must not appear in the output
+ */
+function findPlainContacts(text, contact) {
+  const [user, domain] = contact.email.split('@');
+  const needles = [
+    contact.email,
+    `${user} [at] ${domain.replace(/\./g, ' [dot] ')}`,
+    contact.phone,
+    contact.phone.replace(/\s/g, ''),
+    contact.street,
+    contact.city
+  ];
+  return needles.filter(needle => needle && text.includes(needle));
+}
+
+/**
+ * Every text file in the output with plain-text contact data, as
+ * "file (needle, ...)"; pages, scripts, styles and content alike
+ */
+function findLeaks(out, contact) {
+  return listFiles(out)
+    .filter(entry => TEXT_FILES.test(entry))
+    .map(entry => [entry, findPlainContacts(fs.readFileSync(path.join(out, entry), 'utf8'), contact)])
+    .filter(([, leaks]) => leaks.length > 0)
+    .map(([entry, leaks]) => `${entry} (${leaks.join(', ')})`);
+}
+
+/**
+ * Every file below `dir`, relative to it with forward slashes
+ */
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = `${prefix}${entry.name}`;
+    return entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), `${relative}/`)
+      : [relative];
+  });
+}
+
+/**
+ * Variants and placeholder files scripts/images.js generated for the images
+ * in content/images.json; inlined data: placeholders need no request
+ */
+function imageVariants() {
+  return loadContent('images').flatMap(entry => [
+    ...generatedFiles(entry),
+    ...(entry.placeholder && !entry.placeholder.startsWith('data:') ? [entry.placeholder] : [])
+  ]);
+}
+
+/**
+ * Add the image variants to the service worker's precache list, check it
+ * against the build and stamp its cache version, so each deploy replaces
+ * the previous cache
+ */
+function stampServiceWorker(out) {
+  const file = path.join(out, 'sw.js');
+  let source = fs.readFileSync(file, 'utf8');
+
+  const pattern = /(\/\/ BEGIN PRECACHE[^\n]*\n\s*const PRECACHE = )(\[[\s\S]*?\]);/;
+  const list = source.match(pattern);
+  if (!list) throw new Error('sw.js: PRECACHE markers not found');
+
+  const listed = JSON.parse(list[2]);
+  const precache = [...listed, ...imageVariants().filter(entry => !listed.includes(entry))];
+  const missing = precache.filter(entry => entry !== './' && !fs.existsSync(path.join(out, entry)));
+  if (missing.length > 0) {
+    throw new Error(`sw.js: precached files missing from the build (${missing.join(', ')})`);
+  }
+  source = source.replace(pattern, (match, begin) => `${begin}${JSON.stringify(precache, null, 2)};`);
+
+  const hash = crypto.createHash('sha256');
+  listFiles(out)
+    .filter(entry => entry !== 'sw.js' && entry !== MARKER)
+    .sort()
+    .forEach(entry => {
+      hash.update(entry);
+      hash.update(fs.readFileSync(path.join(out, entry)));
+    });
+  const version = hash.digest('hex').slice(0, 12);
+
+  const versionPattern = /(\/\/ BEGIN VERSION[^\n]*\n)[\s\S]*?(\n\/\/ END VERSION)/;
+  if (!versionPattern.test(source)) throw new Error('sw.js: VERSION markers not found');
+  fs.writeFileSync(file, source.replace(versionPattern, (match, begin, end) => `${begin}const VERSION = '${version}';${end}`));
+
+  return version;
+}
+
+function main() {
+  const { out } = parseArgs(process.argv.slice(2));
+
+  try {
+    checkOutDir(out);
+    const contact = ContactData.decodeAll();
+    const pages = {};
+
+    PAGES.forEach(page => {
+      let html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+      if (PRERENDER[page]) html = PRERENDER[page](html);
+      html = pictureImages(html);
+      html = fillStructuredData(html, contact);
+      pages[page] = protectContacts(html, contact);
+    });
+
+    fs.rmSync(out, { recursive: true, force: true });
+    fs.mkdirSync(out, { recursive: true });
+    fs.writeFileSync(path.join(out, MARKER), '');
+    SITE.forEach(entry => {
+      const source = path.join(ROOT, entry);
+      if (fs.existsSync(source)) {
+        fs.cpSync(source, path.join(out, entry), { recursive: true });
+      }
+    });
+    Object.entries(pages).forEach(([page, html]) => fs.writeFileSync(path.join(out, page), html));
+
+    // Fresh key and shuffle for every deploy
+    const contactScript = path.join(out, 'js', 'contact.js');
+    const payload = ContactData.encode(contact, crypto.randomBytes);
+    fs.writeFileSync(contactScript, ContactData.injectPayload(fs.readFileSync(contactScript, 'utf8'), payload));
+
+    const leaks = findLeaks(out, contact);
+    if (leaks.length > 0) {
+      // Nothing that leaks is left behind to deploy
+      fs.rmSync(out, { recursive: true, force: true });
+      throw new Error(`Plain-text contact data found in ${leaks.join('; ')}`);
+    }
+
+    const version = stampServiceWorker(out);
+
+    console.log(`✓ Built ${path.relative(ROOT, out) || '.'}/ (prerendered: ${LANGUAGE}, cache: ${version})`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
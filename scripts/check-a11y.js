@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Check the pages for accessibility problems that show in the markup
+ *
+ * Usage: node scripts/check-a11y.js [dir]
+ *   dir   folder with the pages (default: the repository root); pass dist
+ *         to check the prerendered output of scripts/build.js
+ * Exits with code 1 and prints one line per problem, e.g.
+ *   index.html: <button class="menu-toggle"> has no accessible name
+ *
+ * Checks the document language, one <main> and <h1>, text alternatives for
+ * images, names for buttons, links and form controls, that the ids ARIA
+ * attributes and labels point at exist and are unique, that the menu
+ * toggle starts collapsed, and rel="noopener" on links opening a new tab.
+ * It needs no dependencies; scripts/check-axe.js runs axe-core on the pages
+ * as rendered by their scripts, with the mobile menu open too.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// Attributes that hold one or more ids
+const ID_REFERENCES = ['aria-controls', 'aria-labelledby', 'aria-describedby', 'for'];
+
+const UNLABELLED_INPUTS = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+/**
+ * Attributes of an opening tag as a Map, names lowercased
+ */
+function attributes(tag) {
+  const result = new Map();
+  const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const body = tag.replace(/^<[a-z\d-]+/i, '').replace(/\/?>$/, '');
+  let match;
+  while ((match = pattern.exec(body))) {
+    result.set(match[1].toLowerCase(), match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return result;
+}
+
+/**
+ * Short form of a tag for messages: <button class="menu-toggle">
+ */
+function describe(name, attrs) {
+  const hint = ['id', 'class', 'href', 'src', 'name'].find(attr => attrs.has(attr));
+  return hint ? `<${name} ${hint}="${attrs.get(hint)}">` : `<${name}>`;
+}
+
+function textOf(markup) {
+  return markup.replace(/<[^>]*>/g, '').replace(/&[a-z#\d]+;/gi, 'x').trim();
+}
+
+/**
+ * Whether an element has a name besides its text: aria-label,
+ * aria-labelledby, title, or an image with alt text inside it
+ */
+function hasLabel(attrs, inner) {
+  if ((attrs.get('aria-label') || '').trim() || attrs.has('aria-labelledby') || (attrs.get('title') || '').trim()) {
+    return true;
+  }
+  return /<img\b[^>]*\balt="[^"]+"/i.test(inner || '');
+}
+
+function checkPage(markup) {
+  const problems = [];
+  const source = markup.replace(/<!--[\s\S]*?-->/g, '');
+  // Markup in scripts and templates isn't part of the page yet
+  const page = source.replace(/<(script|template)\b[\s\S]*?<\/\1>/gi, '');
+
+  const html = page.match(/<html\b[^>]*>/i);
+  if (!html || !attributes(html[0]).get('lang')) problems.push('<html> has no lang attribute');
+
+  const count = name => (page.match(new RegExp(`<${name}\\b`, 'gi')) || []).length;
+  if (count('main') !== 1) problems.push(`expected one <main>, found ${count('main')}`);
+  if (count('h1') !== 1) problems.push(`expected one <h1>, found ${count('h1')}`);
+
+  // Ids and what points at them
+  const ids = new Map();
+  (page.match(/<[a-z][^>]*>/gi) || []).forEach(tag => {
+    const attrs = attributes(tag);
+    const name = tag.match(/^<([a-z\d-]+)/i)[1].toLowerCase();
+
+    if (attrs.has('id')) {
+      const id = attrs.get('id');
+      if (ids.has(id)) problems.push(`duplicate id "${id}"`);
+      ids.set(id, name);
+    }
+
+    if (attrs.get('target') === '_blank' && !/\bnoopener\b|\bnoreferrer\b/.test(attrs.get('rel') || '')) {
+      problems.push(`${describe(name, attrs)} opens a new tab without rel="noopener"`);
+    }
+
+    if (name === 'img' && !attrs.has('alt')) {
+      problems.push(`${describe(name, attrs)} has no alt attribute`);
+    }
+  });
+
+  (page.match(/<[a-z][^>]*>/gi) || []).forEach(tag => {
+    const attrs = attributes(tag);
+    const name = tag.match(/^<([a-z\d-]+)/i)[1].toLowerCase();
+    ID_REFERENCES
+      .filter(attr => attrs.has(attr) && (attr !== 'for' || name === 'label'))
+      .forEach(attr => {
+        attrs.get(attr).split(/\s+/).filter(Boolean)
+          .filter(id => !ids.has(id))
+          .forEach(id => problems.push(`${describe(name, attrs)}: ${attr} points at missing id "${id}"`));
+      });
+  });
+
+  // Buttons and links need a name
+  [['button', /<button\b([^>]*)>([\s\S]*?)<\/button>/gi], ['a', /<a\b([^>]*)>([\s\S]*?)<\/a>/gi]].forEach(([name, pattern]) => {
+    let match;
+    while ((match = pattern.exec(page))) {
+      const attrs = attributes(`<${name}${match[1]}>`);
+      if (name === 'a' && !attrs.has('href')) continue;
+      if (!textOf(match[2]) && !hasLabel(attrs, match[2])) {
+        problems.push(`${describe(name, attrs)} has no accessible name`);
+      }
+    }
+  });
+
+  // Form controls need a label
+  const labelled = new Set();
+  (page.match(/<label\b[^>]*>/gi) || []).forEach(tag => labelled.add(attributes(tag).get('for')));
+  (page.match(/<(input|select|textarea)\b[^>]*>/gi) || []).forEach(tag => {
+    const attrs = attributes(tag);
+    const name = tag.match(/^<([a-z]+)/i)[1].toLowerCase();
+    if (name === 'input' && UNLABELLED_INPUTS.includes(attrs.get('type'))) return;
+    if (!labelled.has(attrs.get('id')) && !hasLabel(attrs)) {
+      problems.push(`${describe(name, attrs)} has no label`);
+    }
+  });
+
+  // The mobile menu starts closed and says what it controls
+  const toggle = page.match(/<button\b[^>]*class="[^"]*\bmenu-toggle\b[^"]*"[^>]*>/i);
+  if (toggle) {
+    const attrs = attributes(toggle[0]);
+    if (attrs.get('aria-expanded') !== 'false') problems.push('menu toggle should start with aria-expanded="false"');
+    if (!attrs.has('aria-controls')) problems.push('menu toggle has no aria-controls');
+  }
+
+  // Toggle buttons state whether they are pressed
+  (page.match(/<button\b[^>]*class="[^"]*\blang-toggle__btn\b[^"]*"[^>]*>/gi) || []).forEach(tag => {
+    const attrs = attributes(tag);
+    if (!['true', 'false'].includes(attrs.get('aria-pressed'))) {
+      problems.push(`${describe('button', attrs)} has no aria-pressed state`);
+    }
+  });
+
+  return problems;
+}
+
+function main() {
+  const dir = path.resolve(ROOT, process.argv[2] || '.');
+
+  try {
+    const pages = fs.readdirSync(dir).filter(file => file.endsWith('.html')).sort();
+    if (pages.length === 0) throw new Error(`No pages in ${path.relative(ROOT, dir) || '.'}`);
+
+    const problems = pages.flatMap(page => {
+      const markup = fs.readFileSync(path.join(dir, page), 'utf8');
+      return checkPage(markup).map(problem => `${page}: ${problem}`);
+    });
+
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(problem));
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✓ No accessibility problems in ${pages.length} pages`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
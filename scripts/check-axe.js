@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+/**
+ * Load every page in jsdom with its scripts, so the content main.js renders
+ * is in place, and run axe-core on it. Pages with the mobile menu are
+ * checked again with the menu open at a phone width. Pages with the hero
+ * role are loaded again with motion allowed, to check that "Reduce motion"
+ * in the command palette stops the role rotation and its opposite restarts it.
+ *
+ * Usage: node scripts/check-axe.js [dir]
+ *   dir   folder with the pages (default: the repository root); pass dist
+ *         to check the output of scripts/build.js
+ * Exits with code 1 and prints one line per problem, e.g.
+ *   index.html (menu open): [critical] button-name: Buttons must have discernible text (.menu-toggle)
+ *
+ * Needs the devDependencies (npm install). jsdom has no layout, so rules
+ * that measure the page (DISABLED_RULES) are off; script errors and a menu
+ * that doesn't open or close count as problems too, like a rotation that
+ * doesn't follow the motion setting.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const axe = require('axe-core');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// Pages load from here; requests to other origins, like the fonts, fail
+const ORIGIN = 'https://localhost';
+
+// A phone, so the menu toggle is the way to the navigation
+const VIEWPORT = { width: 375, height: 812 };
+
+// Rules that need layout or rendering jsdom doesn't do
+const DISABLED_RULES = ['color-contrast'];
+
+// How long a page may take to load its content
+const SETTLE_TIMEOUT = 10000;
+
+// Media features the pages are checked with
+const PREFERENCES = { 'prefers-reduced-motion': 'reduce', 'prefers-color-scheme': 'dark' };
+
+// Longer than a rotating role rests (CONFIG.pauseBetweenRoles in main.js)
+const ROTATION_WATCH = 4000;
+
+const TYPES = {
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.geojson': 'application/geo+json',
+  '.md': 'text/markdown',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * File in `dir` a same-origin URL points at, null for other origins
+ */
+function localFile(dir, url) {
+  const parsed = new URL(url);
+  if (parsed.origin !== ORIGIN) return null;
+  const file = path.join(dir, decodeURIComponent(parsed.pathname));
+  return path.relative(dir, file).startsWith('..') ? null : file;
+}
+
+/**
+ * Scripts and stylesheets from `dir`; nothing from other origins
+ */
+class SiteLoader extends ResourceLoader {
+  constructor(dir) {
+    super();
+    this.dir = dir;
+  }
+
+  fetch(url) {
+    const file = localFile(this.dir, url);
+    if (!file) return null;
+    return fs.promises.readFile(file);
+  }
+}
+
+/**
+ * Whether a media query holds on a VIEWPORT-sized screen with the given
+ * preferences
+ */
+function matchesMedia(query, preferences = PREFERENCES) {
+  return query.split(',').some(part => {
+    const type = part.replace(/\([^)]*\)|\band\b/g, '').trim();
+    if (type && !['screen', 'all'].includes(type)) return false;
+
+    const features = part.match(/\([^)]*\)/g) || [];
+    return features.every(feature => {
+      const [name, value = ''] = feature.slice(1, -1).split(':').map(text => text.trim());
+      if (name === 'min-width') return VIEWPORT.width >= parseFloat(value);
+      if (name === 'max-width') return VIEWPORT.width <= parseFloat(value);
+      if (name in preferences) return preferences[name] === value;
+      return false;
+    });
+  });
+}
+
+/**
+ * Browser APIs the site uses that jsdom lacks, in place before any script
+ * runs; `pending` counts fetches that haven't finished
+ */
+function installBrowserAPIs(window, dir, pending, preferences) {
+  Object.defineProperty(window, 'innerWidth', { value: VIEWPORT.width });
+  Object.defineProperty(window, 'innerHeight', { value: VIEWPORT.height });
+
+  window.matchMedia = query => ({
+    matches: matchesMedia(query, preferences),
+    media: query,
+    onchange: null,
+    addEventListener() {},
+    removeEventListener() {},
+    addListener() {},
+    removeListener() {}
+  });
+
+  // Everything counts as in view, so scroll effects show their content
+  window.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+    }
+    observe(target) {
+      window.setTimeout(() => this.callback([{ target, isIntersecting: true, intersectionRatio: 1 }], this));
+    }
+    unobserve() {}
+    disconnect() {}
+  };
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.TextEncoder = TextEncoder;
+  window.TextDecoder = TextDecoder;
+  window.scrollTo = () => {};
+  window.Element.prototype.scrollIntoView = () => {};
+
+  window.fetch = async (input) => {
+    const file = localFile(dir, new URL(String(input), window.location.href).href);
+    if (!file) throw new TypeError(`Failed to fetch ${input}`);
+
+    pending.count++;
+    try {
+      const body = await fs.promises.readFile(file).catch(() => null);
+      if (!body) return new Response('', { status: 404 });
+      return new Response(body, { status: 200, headers: { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' } });
+    } finally {
+      pending.count--;
+    }
+  };
+}
+
+/**
+ * jsdom only applies @media rules for "screen", whatever the query; mark
+ * the ones that hold in VIEWPORT as such, so the phone layout is styled
+ */
+function applyMediaQueries(document) {
+  Array.from(document.styleSheets).forEach(sheet => {
+    Array.from(sheet.cssRules)
+      .filter(rule => rule.media && rule.media.length > 0 && matchesMedia(rule.media.mediaText))
+      .forEach(rule => rule.media.appendMedium('screen'));
+  });
+
+  // Computed styles are cached until the document changes
+  document.documentElement.setAttribute('data-media-applied', '');
+  document.documentElement.removeAttribute('data-media-applied');
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until the page has loaded and no content is still on its way
+ */
+async function settle(window, pending) {
+  const { document } = window;
+  if (document.readyState !== 'complete') {
+    await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+
+  const started = Date.now();
+  let quiet = 0;
+  while (quiet < 3) {
+    if (Date.now() - started > SETTLE_TIMEOUT) throw new Error(`still loading after ${SETTLE_TIMEOUT} ms`);
+    await delay(50);
+    const busy = pending.count > 0 || document.querySelector('[aria-busy="true"], .skeleton');
+    quiet = busy ? 0 : quiet + 1;
+  }
+}
+
+/**
+ * axe-core violations as one line per element
+ */
+async function runAxe(window, label) {
+  const results = await window.axe.run(window.document, {
+    resultTypes: ['violations'],
+    rules: Object.fromEntries(DISABLED_RULES.map(rule => [rule, { enabled: false }]))
+  });
+
+  return results.violations.flatMap(violation => violation.nodes.map(node =>
+    `${label}: [${violation.impact}] ${violation.id}: ${violation.help} (${node.target.join(' ')})`));
+}
+
+/**
+ * Open the mobile menu, check it with axe, and close it with Escape
+ */
+async function checkMenu(window, page) {
+  const { document } = window;
+  const toggle = document.querySelector('.menu-toggle');
+  if (!toggle) return [];
+
+  const label = `${page} (menu open)`;
+  toggle.click();
+  await delay(50);
+
+  const nav = document.getElementById(toggle.getAttribute('aria-controls'));
+  if (toggle.getAttribute('aria-expanded') !== 'true' || !nav || !nav.classList.contains('is-open')) {
+    return [`${label}: the menu toggle doesn't open the menu`];
+  }
+
+  const problems = await runAxe(window, label);
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  await delay(50);
+  if (toggle.getAttribute('aria-expanded') !== 'false' || document.activeElement !== toggle) {
+    problems.push(`${label}: Escape doesn't close the menu and return focus to the toggle`);
+  }
+
+  return problems;
+}
+
+/**
+ * Open a page in jsdom with its scripts; uncaught script errors are added
+ * to `problems`, and `pending` counts its unfinished fetches
+ */
+async function loadPage(dir, page, label, problems, preferences = PREFERENCES) {
+  const pending = { count: 0 };
+
+  // Uncaught errors in the page's scripts; unimplemented APIs are jsdom's
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => {
+    if (!/^Not implemented/.test(error.message)) {
+      problems.push(`${label}: script error: ${(error.detail && error.detail.message) || error.message}`);
+    }
+  });
+
+  const dom = await JSDOM.fromFile(path.join(dir, page), {
+    url: `${ORIGIN}/${page}`,
+    runScripts: 'dangerously',
+    resources: new SiteLoader(dir),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse: window => installBrowserAPIs(window, dir, pending, preferences)
+  });
+
+  return { window: dom.window, pending };
+}
+
+/**
+ * Texts the hero role shows within `ms`
+ */
+async function watchRole(role, ms) {
+  const texts = new Set([role.textContent]);
+  for (let elapsed = 0; elapsed < ms; elapsed += 50) {
+    await delay(50);
+    texts.add(role.textContent);
+  }
+  return texts;
+}
+
+/**
+ * Run a command palette action by its label, e.g. "Reduce motion"
+ */
+async function runPaletteAction(window, key) {
+  const { document } = window;
+  const label = window.I18N.t(document.documentElement.lang, key);
+
+  document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'k', ctrlKey: true, bubbles: true }));
+  await delay(50);
+  const option = Array.from(document.querySelectorAll('.command-palette [role="option"]'))
+    .find(el => el.querySelector('.command-palette__label').textContent === label);
+  if (!option) return false;
+  option.click();
+  return true;
+}
+
+/**
+ * With motion allowed, the hero role rotates; "Reduce motion" must leave
+ * it on a whole role, and allowing motion again must restart it
+ */
+async function checkMotion(dir, page) {
+  const label = `${page} (motion)`;
+  const problems = [];
+  const preferences = Object.assign({}, PREFERENCES, { 'prefers-reduced-motion': 'no-preference' });
+  const { window, pending } = await loadPage(dir, page, label, problems, preferences);
+
+  try {
+    await settle(window, pending);
+    const role = window.document.querySelector('.hero__role-text');
+    const announcer = window.document.querySelector('[data-role-announce]');
+
+    if ((await watchRole(role, ROTATION_WATCH)).size < 2) {
+      return [...problems, `${label}: the hero role doesn't rotate with motion allowed`];
+    }
+
+    if (!await runPaletteAction(window, 'palette.action.reduceMotion')) {
+      return [...problems, `${label}: the command palette has no "Reduce motion" action`];
+    }
+    const reduced = await watchRole(role, ROTATION_WATCH);
+    if (reduced.size > 1 || role.textContent !== announcer.textContent) {
+      problems.push(`${label}: the hero role keeps rotating after "Reduce motion"`);
+    }
+
+    if (!await runPaletteAction(window, 'palette.action.allowMotion')) {
+      return [...problems, `${label}: the command palette has no action to allow motion again`];
+    }
+    if ((await watchRole(role, ROTATION_WATCH)).size < 2) {
+      problems.push(`${label}: the hero role doesn't rotate again once motion is allowed`);
+    }
+  } catch (error) {
+    problems.push(`${label}: ${error.message}`);
+  } finally {
+    window.close();
+  }
+
+  return problems;
+}
+
+async function checkPage(dir, page) {
+  const problems = [];
+  const { window, pending } = await loadPage(dir, page, page, problems);
+
+  try {
+    await settle(window, pending);
+    applyMediaQueries(window.document);
+    window.eval(axe.source);
+    problems.push(...await runAxe(window, page));
+    problems.push(...await checkMenu(window, page));
+  } catch (error) {
+    problems.push(`${page}: ${error.message}`);
+  } finally {
+    window.close();
+  }
+
+  if (fs.readFileSync(path.join(dir, page), 'utf8').includes('hero__role-text')) {
+    problems.push(...await checkMotion(dir, page));
+  }
+
+  return problems;
+}
+
+async function main() {
+  const dir = path.resolve(ROOT, process.argv[2] || '.');
+
+  try {
+    const pages = fs.readdirSync(dir).filter(file => file.endsWith('.html')).sort();
+    if (pages.length === 0) throw new Error(`No pages in ${path.relative(ROOT, dir) || '.'}`);
+
+    // One page at a time, each one runs the whole site's scripts
+    const problems = [];
+    for (const page of pages) {
+      problems.push(...await checkPage(dir, page));
+    }
+
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(problem));
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✓ axe found no violations in ${pages.length} pages, with the menu open too; reducing motion stops the role rotation`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
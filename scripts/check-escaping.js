@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Render hostile content through the shared markup builders (js/render.js)
+ * and the Markdown renderer for notes, and check that none of it turns into
+ * markup
+ *
+ * Usage: node scripts/check-escaping.js
+ * Exits with code 1 and prints one line per problem, e.g.
+ *   projectCards: <script> element in the output
+ *
+ * Every field of the fixtures tries to close its element or attribute and
+ * inject an element, an event handler or a javascript: URL. Ids in each
+ * output must be unique, e.g. of timeline entries with the same start and
+ * organization.
+ */
+
+'use strict';
+
+const GeoMap = require('../js/geo-map.js');
+const I18N = require('../js/i18n.js');
+const Markdown = require('../js/markdown.js');
+const Render = require('../js/render.js');
+const Skills = require('../js/skills.js');
+
+// Injected elements and attributes carry this marker
+const MARKER = 'data-injected';
+
+const PAYLOADS = [
+  `<script>alert(1)</script>`,
+  `"><img src=x onerror=alert(1) ${MARKER}>`,
+  `' onmouseover='alert(1)' ${MARKER}='`,
+  `</p><i ${MARKER}>`,
+  '` onfocus=alert(1) autofocus'
+];
+
+const URLS = [
+  'javascript:alert(1)',
+  ' JaVaScRiPt:alert(1)',
+  'java\tscript:alert(1)',
+  // Browsers drop leading control characters and run what follows
+  '\u0001javascript:alert%281%29',
+  '\u0085javascript:alert%281%29',
+  'data:text/html,<script>alert(1)</script>',
+  `https://example.com/" ${MARKER}="`
+];
+
+function hostile(index) {
+  return PAYLOADS[index % PAYLOADS.length];
+}
+
+function fixtures() {
+  const projects = PAYLOADS.map((payload, index) => ({
+    id: `project-${index}${payload}`,
+    title: payload,
+    description: { en: hostile(index + 1), de: hostile(index + 2) },
+    role: hostile(index + 3),
+    outcomes: [hostile(index + 4)],
+    tags: [payload, 'Python'],
+    techStack: [hostile(index + 1)],
+    status: 'completed',
+    year: `2024${payload}`,
+    image: URLS[index],
+    links: { demo: URLS[index], github: URLS[(index + 1) % URLS.length] }
+  }));
+
+  const timeline = PAYLOADS.map((payload, index) => ({
+    start: `202${index}-01`,
+    end: null,
+    title: payload,
+    organization: hostile(index + 1),
+    location: hostile(index + 2),
+    type: index % 2 ? 'work' : 'education',
+    coordinates: [10 * index, 5 * index],
+    description: hostile(index + 3),
+    highlights: [hostile(index + 4)],
+    skills: [payload]
+  }));
+
+  // Same start and organization as the first entry, so its id needs a suffix
+  timeline.push(Object.assign({}, timeline[0], { title: hostile(1), type: 'work' }));
+
+  const posts = PAYLOADS.map((payload, index) => ({
+    slug: `post-${index}${payload}`,
+    title: payload,
+    date: '2025-11-20',
+    summary: hostile(index + 1),
+    tags: [payload, 'Python'],
+    language: index % 2 ? 'de' : 'en'
+  }));
+
+  const roles = PAYLOADS.map((payload, index) => ({ title: payload, tags: [hostile(index + 1)] }));
+
+  const land = {
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: { name: PAYLOADS[0] }, geometry: { type: 'Polygon', coordinates: [[[0, 0], [40, 0], [40, 20], [0, 0]]] } }]
+  };
+
+  // Named like the tags above, so every source shows up in the index
+  const skills = PAYLOADS.map((payload, index) => ({
+    id: `category-${index}`,
+    title: { en: payload, de: hostile(index + 1) },
+    items: [
+      { name: payload, aliases: [hostile(index + 1)], proficiency: index ? 'expert' : payload },
+      { name: 'Python', title: { en: hostile(index + 2) }, proficiency: 'basic' }
+    ].slice(0, index ? 1 : 2)
+  }));
+
+  // Links and images to every URL, with hostile labels and titles
+  const note = URLS.map((url, index) => [
+    `[${hostile(index)}](${url})`,
+    `![${hostile(index + 1)}](${url} "${hostile(index + 2)}")`,
+    `- ${hostile(index + 3)}`
+  ].join('\n\n')).join('\n\n');
+
+  return { projects, timeline, posts, roles, land, skills, note };
+}
+
+/**
+ * Problems in one builder's output
+ */
+function inspect(name, markup) {
+  const problems = [];
+  const tags = markup.match(/<[a-z][^>]*>/gi) || [];
+
+  if (/<script/i.test(markup)) problems.push('<script> element in the output');
+
+  const ids = (markup.match(/\sid="[^"]*"/g) || []).map(id => id.slice(5, -1));
+  ids.filter((id, index) => ids.indexOf(id) !== index).forEach(id => problems.push(`duplicate id "${id}"`));
+
+  tags.forEach(tag => {
+    // Escaped values hold no quotes, so whatever is left outside them is markup
+    const bare = tag.replace(/"[^"]*"/g, '""');
+    if (bare.includes(MARKER)) problems.push(`injected attribute or element: ${tag}`);
+    if (/\son[a-z]+\s*=/i.test(bare)) problems.push(`event handler attribute: ${tag}`);
+
+    // Relative URLs are fine, absolute ones need a scheme that can't run script
+    const url = tag.match(/\s(?:href|src)\s*=\s*"([^"]*)"/i);
+    const scheme = url && url[1].replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z\d+.-]*):/i);
+    if (scheme && !['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase())) {
+      problems.push(`unsafe URL: ${tag}`);
+    }
+  });
+
+  return problems.map(problem => `${name}: ${problem}`);
+}
+
+function main() {
+  const content = fixtures();
+  const problems = [];
+
+  I18N.languages.forEach(language => {
+    const ctx = {
+      language,
+      t: (key, params) => I18N.t(language, key, params),
+      localize: value => I18N.localize(language, value),
+      selectedTags: new Set([PAYLOADS[0]]),
+      projectTags: Render.projectTags(content.projects)
+    };
+
+    const outputs = {
+      projectCards: Render.projectCards(content.projects, ctx),
+      timelineItems: Render.timelineItems(content.timeline, ctx),
+      filteredTimelineItems: Render.timelineItems(content.timeline.slice(-1), Object.assign({}, ctx, { timelineAnchors: Render.timelineAnchors(content.timeline) })),
+      timelineMap: GeoMap.render(content.land, content.timeline, ctx),
+      postCards: Render.postCards(content.posts, ctx),
+      skillCategories: Skills.categories(content.skills, ctx),
+      skillIndex: Skills.index(content.skills, content, ctx),
+      linkedTag: PAYLOADS.map(payload => Render.linkedTag(payload, ctx, true)).join(''),
+      cvSections: Render.CV_VARIANTS.map(variant => Render.cvSections(content, ctx, variant)).join(''),
+      markdown: Markdown.render(content.note, { imageBase: 'content/posts/' })
+    };
+
+    Object.entries(outputs).forEach(([name, markup]) => {
+      problems.push(...inspect(`${name} (${language})`, String(markup)));
+    });
+
+    // A filtered timeline keeps the ids of the whole one, which the palette links to
+    const lastId = Array.from(Render.timelineAnchors(content.timeline).values()).pop();
+    if (!String(outputs.filteredTimelineItems).includes(` id="${lastId}"`)) {
+      problems.push(`filteredTimelineItems (${language}): entry lost its id "${lastId}"`);
+    }
+  });
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(problem));
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✓ Hostile content stays text in every renderer (${I18N.languages.join(', ')})`);
+}
+
+main();
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Update the obfuscated contact data in js/contact.js
+ *
+ * Usage: node scripts/contact-payload.js [--name ...] [--street ...] [--city ...]
+ *          [--country ...] [--email ...] [--phone ...]
+ * Fields that aren't passed keep their current value; the payload is always
+ * re-keyed. Without arguments the decoded values are printed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ContactData = require('../js/contact.js');
+
+const FILE = path.join(__dirname, '..', 'js', 'contact.js');
+
+function parseArgs(argv) {
+  const values = {};
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const field = argv[i].replace(/^--/, '');
+    if (!ContactData.FIELDS.includes(field) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${argv[i]}`);
+    }
+    values[field] = argv[i + 1];
+  }
+
+  return values;
+}
+
+function main() {
+  try {
+    const updates = parseArgs(process.argv.slice(2));
+    const contact = ContactData.decodeAll();
+
+    if (Object.keys(updates).length === 0) {
+      ContactData.FIELDS.forEach(field => console.log(`${field}: ${contact[field]}`));
+      return;
+    }
+
+    const payload = ContactData.encode(Object.assign(contact, updates), crypto.randomBytes);
+    fs.writeFileSync(FILE, ContactData.injectPayload(fs.readFileSync(FILE, 'utf8'), payload));
+    console.log(`✓ Updated ${Object.keys(updates).join(', ')} in js/contact.js`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
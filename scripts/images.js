@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+/**
+ * Generate responsive variants of the project images and content/images.json
+ *
+ * Usage: node scripts/images.js [--check]
+ *   --check   don't write, exit with code 1 if content/images.json or one of
+ *             the generated files is missing, outdated or not what the
+ *             entry says (format, size, placeholder)
+ * Run it after adding or replacing an image; validate-content.js runs the check.
+ *
+ * Every image content/projects.json uses (`image` and `images[].src`) and
+ * every <img data-picture> on the pages (see scripts/build.js) gets AVIF,
+ * WebP and original-format copies in the WIDTHS up to its own, plus a tiny
+ * WebP that is inlined as its blur-up placeholder. Generated files are
+ * named by content hash, so unchanged images are skipped. SVGs are only
+ * measured.
+ *
+ * Resizing needs ImageMagick 7 (`magick`) or 6 (`convert`) on the PATH,
+ * built with AVIF and WebP support, e.g. `apt install imagemagick libheif1`
+ * or `brew install imagemagick`; the script stops before writing anything
+ * if it is missing. --check doesn't need it.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const ContentSchema = require('../js/content-schema.js');
+const Render = require('../js/render.js');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_FILE = path.join(ROOT, 'content', 'images.json');
+const OUTPUT_DIR = 'assets/images/generated';
+
+const WIDTHS = [480, 960, 1600];
+
+const PLACEHOLDER_WIDTH = 16;
+
+// Modern formats first, the original's format last as the fallback
+const FORMATS = {
+  avif: { type: 'image/avif', quality: 50 },
+  webp: { type: 'image/webp', quality: 75 },
+  jpg: { type: 'image/jpeg', quality: 80 },
+  png: { type: 'image/png' }
+};
+
+const RASTER = { '.jpg': 'jpg', '.jpeg': 'jpg', '.png': 'png' };
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Image paths used by content/projects.json and the pages' <img
+ * data-picture>, in order of appearance
+ */
+function usedImages() {
+  const sources = readJSON(path.join(ROOT, 'content', 'projects.json')).projects.flatMap(project => [
+    project.image,
+    ...(project.images || []).map(image => image.src)
+  ]);
+
+  fs.readdirSync(ROOT).filter(file => file.endsWith('.html')).sort().forEach(page => {
+    const tags = fs.readFileSync(path.join(ROOT, page), 'utf8').match(/<img\b[^>]*\sdata-picture\b[^>]*>/g) || [];
+    tags.forEach(tag => {
+      const src = tag.match(/\ssrc="([^"]*)"/);
+      if (src) sources.push(src[1]);
+    });
+  });
+
+  return [...new Set(sources.filter(Boolean))];
+}
+
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 10);
+}
+
+/**
+ * { width, height } from the file header, for PNG, JPEG, SVG and the
+ * generated WebP and AVIF files
+ */
+function readSize(file, buffer = fs.readFileSync(file)) {
+  const ext = path.extname(file).toLowerCase();
+
+  if (ext === '.png') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (ext === '.jpg' || ext === '.jpeg') {
+    // Walk the segments up to a start-of-frame marker (C0-CF without C4, C8, CC)
+    let offset = 2;
+    while (offset < buffer.length) {
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  if (ext === '.webp' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+  }
+
+  if (ext === '.avif') {
+    // Image spatial extents property: size, "ispe", version and flags, width, height
+    const ispe = buffer.indexOf('ispe');
+    if (ispe !== -1) return { width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+  }
+
+  if (ext === '.svg') {
+    const svg = buffer.toString('utf8').match(/<svg\b[^>]*>/);
+    const attribute = name => {
+      const match = svg && svg[0].match(new RegExp(`\\s${name}="([\\d.]+)(?:px)?"`));
+      return match ? Number(match[1]) : null;
+    };
+    const viewBox = svg && svg[0].match(/viewBox="[\d.-]+[\s,]+[\d.-]+[\s,]+([\d.]+)[\s,]+([\d.]+)"/);
+    const width = attribute('width') || (viewBox && Number(viewBox[1]));
+    const height = attribute('height') || (viewBox && Number(viewBox[2]));
+    if (width && height) return { width: Math.round(width), height: Math.round(height) };
+  }
+
+  throw new Error(`${path.relative(ROOT, file)}: can't read the image size`);
+}
+
+/**
+ * Resized widths for an image: the WIDTHS below its own, then its own
+ * width capped at the largest
+ */
+function widthsFor(width) {
+  const largest = Math.min(width, WIDTHS[WIDTHS.length - 1]);
+  return [...WIDTHS.filter(size => size < largest), largest];
+}
+
+function variantPath(src, hash, width, format) {
+  return `${OUTPUT_DIR}/${path.basename(src, path.extname(src))}-${hash}-${width}.${format}`;
+}
+
+/**
+ * Files an entry of the manifest refers to
+ */
+function generatedFiles(entry) {
+  return (entry.sources || []).flatMap(source => source.srcset.split(', ').map(candidate => candidate.split(' ')[0]));
+}
+
+let imageMagick;
+
+/**
+ * The ImageMagick command, preferring version 7's `magick` over version
+ * 6's `convert`; fails unless it is installed and writes AVIF and WebP
+ */
+function findImageMagick() {
+  if (imageMagick) return imageMagick;
+
+  const command = ['magick', 'convert'].find(name => {
+    try {
+      execFileSync(name, ['-version'], { stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+  if (!command) {
+    throw new Error('ImageMagick not found (neither `magick` nor `convert` is on the PATH): install it with AVIF and WebP support to resize images, see the top of scripts/images.js');
+  }
+
+  // Lines like "     AVIF  HEIC      rw+   AV1 Image File Format"
+  const formats = execFileSync(command, ['-list', 'format'], { encoding: 'utf8' });
+  const missing = ['AVIF', 'WEBP'].filter(format => !new RegExp(`^\\s*${format}\\*?\\s+\\S+\\s+rw`, 'm').test(formats));
+  if (missing.length > 0) {
+    throw new Error(`ImageMagick (\`${command}\`) can't write ${missing.join(' or ')}: install it with libheif and libwebp`);
+  }
+
+  imageMagick = command;
+  return imageMagick;
+}
+
+function magick(args, options) {
+  return execFileSync(findImageMagick(), args, Object.assign({ maxBuffer: 16 * 1024 * 1024 }, options));
+}
+
+/**
+ * Manifest entry for one image, resizing it unless that's already done
+ */
+function processImage(src) {
+  const file = path.join(ROOT, src);
+  if (!fs.existsSync(file)) throw new Error(`${src}: file not found (used in content/projects.json or a page)`);
+
+  const ext = path.extname(src).toLowerCase();
+  const hash = hashFile(file);
+  const entry = Object.assign({ src, hash }, readSize(file));
+
+  if (ext === '.svg') return entry;
+
+  const original = RASTER[ext];
+  if (!original) throw new Error(`${src}: use PNG, JPEG or SVG images`);
+
+  const widths = widthsFor(entry.width);
+  fs.mkdirSync(path.join(ROOT, OUTPUT_DIR), { recursive: true });
+  entry.sources = ['avif', 'webp', original].map(format => {
+    const srcset = widths.map(width => {
+      const output = variantPath(src, hash, width, format);
+      if (!fs.existsSync(path.join(ROOT, output))) {
+        const quality = FORMATS[format].quality ? ['-quality', String(FORMATS[format].quality)] : [];
+        magick([file, '-resize', `${width}x`, '-strip', ...quality, path.join(ROOT, output)]);
+      }
+      return `${output} ${width}w`;
+    });
+    return { type: FORMATS[format].type, srcset: srcset.join(', ') };
+  });
+
+  const placeholder = magick([file, '-resize', `${PLACEHOLDER_WIDTH}x`, '-strip', '-quality', '40', 'webp:-']);
+  entry.placeholder = `data:image/webp;base64,${placeholder.toString('base64')}`;
+
+  return entry;
+}
+
+function serialize(manifest) {
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+/**
+ * Why a raster entry's generated files aren't what it says: one source per
+ * format in order, every width from widthsFor() at its actual size, a
+ * WebP placeholder, and Render.picture() markup that uses them all
+ */
+function variantProblems(entry) {
+  const original = RASTER[path.extname(entry.src).toLowerCase()];
+  if (!original) return [];
+
+  const found = [];
+  const sources = entry.sources || [];
+  const types = ['avif', 'webp', original].map(format => FORMATS[format].type);
+  if (sources.map(source => source.type).join() !== types.join()) {
+    found.push(`${entry.src}: expected sources ${types.join(', ')}`);
+  }
+
+  const widths = widthsFor(entry.width);
+  sources.forEach(source => {
+    const candidates = source.srcset.split(', ').map(candidate => candidate.split(' '));
+    if (candidates.map(([, descriptor]) => descriptor).join() !== widths.map(width => `${width}w`).join()) {
+      found.push(`${entry.src}: expected ${source.type} widths ${widths.join(', ')}`);
+    }
+
+    candidates.forEach(([output, descriptor]) => {
+      const file = path.join(ROOT, output);
+      if (!fs.existsSync(file)) {
+        found.push(`${output} is missing`);
+        return;
+      }
+      const width = parseInt(descriptor, 10);
+      const height = Math.round(entry.height * width / entry.width);
+      try {
+        const size = readSize(file);
+        if (size.width !== width || Math.abs(size.height - height) > 1) {
+          found.push(`${output} is ${size.width}x${size.height}, expected ${width}x${height}`);
+        }
+      } catch (error) {
+        found.push(error.message);
+      }
+    });
+  });
+
+  const placeholder = (entry.placeholder || '').match(/^data:image\/webp;base64,(.+)$/);
+  let placeholderSize = null;
+  try {
+    placeholderSize = placeholder && readSize('placeholder.webp', Buffer.from(placeholder[1], 'base64'));
+  } catch (error) {
+    // Reported below
+  }
+  if (!placeholderSize || placeholderSize.width !== PLACEHOLDER_WIDTH) {
+    found.push(`${entry.src}: expected a ${PLACEHOLDER_WIDTH}px wide WebP placeholder`);
+  }
+
+  const markup = String(Render.picture({ src: entry.src }, { images: Render.imageIndex([entry]) }, { alt: '', sizes: '100vw' }));
+  sources
+    .filter(source => !markup.includes(`<source type="${source.type}" srcset="${source.srcset}"`))
+    .forEach(source => found.push(`${entry.src}: Render.picture() has no ${source.type} source`));
+  if (entry.placeholder && !markup.includes(`url('${entry.placeholder}')`)) {
+    found.push(`${entry.src}: Render.picture() doesn't show the placeholder`);
+  }
+
+  return found;
+}
+
+/**
+ * Why content/images.json doesn't match the images in use, if it doesn't
+ */
+function problems() {
+  if (!fs.existsSync(MANIFEST_FILE)) return ['content/images.json is missing'];
+
+  const images = readJSON(MANIFEST_FILE).images || [];
+  const bySrc = new Map(images.map(entry => [entry.src, entry]));
+  const used = usedImages();
+  const found = [];
+
+  used.forEach(src => {
+    const entry = bySrc.get(src);
+    if (!entry) {
+      found.push(`${src} has no entry`);
+    } else if (!fs.existsSync(path.join(ROOT, src))) {
+      found.push(`${src}: file not found`);
+    } else if (entry.hash !== hashFile(path.join(ROOT, src))) {
+      found.push(`${src} has changed`);
+    } else {
+      found.push(...variantProblems(entry));
+    }
+  });
+
+  images
+    .filter(entry => !used.includes(entry.src))
+    .forEach(entry => found.push(`${entry.src} is no longer used`));
+
+  return found;
+}
+
+/**
+ * Delete generated files no entry refers to any more
+ */
+function removeStale(images) {
+  const dir = path.join(ROOT, OUTPUT_DIR);
+  if (!fs.existsSync(dir)) return 0;
+
+  const keep = new Set(images.flatMap(generatedFiles).map(output => path.basename(output)));
+  const stale = fs.readdirSync(dir).filter(file => !keep.has(file));
+  stale.forEach(file => fs.rmSync(path.join(dir, file)));
+  return stale.length;
+}
+
+function main() {
+  try {
+    if (process.argv.includes('--check')) {
+      const found = problems();
+      if (found.length > 0) {
+        found.forEach(problem => console.error(`content/images.json: ${problem}`));
+        console.error('Run node scripts/images.js');
+        process.exitCode = 1;
+        return;
+      }
+      console.log('✓ content/images.json is up to date');
+      return;
+    }
+
+    // Entries whose original hasn't changed are kept as they are
+    const previous = fs.existsSync(MANIFEST_FILE) ? readJSON(MANIFEST_FILE).images || [] : [];
+    const current = new Map(previous.map(entry => [entry.src, entry]));
+
+    const isUnchanged = src => {
+      const entry = current.get(src);
+      return entry && fs.existsSync(path.join(ROOT, src)) && entry.hash === hashFile(path.join(ROOT, src)) &&
+        generatedFiles(entry).every(output => fs.existsSync(path.join(ROOT, output)));
+    };
+    const used = usedImages();
+
+    // Stop before writing anything if images need resizing and can't be
+    if (used.some(src => RASTER[path.extname(src).toLowerCase()] && !isUnchanged(src))) findImageMagick();
+
+    const images = used.map(src => (isUnchanged(src) ? current.get(src) : processImage(src)));
+
+    const manifest = { $schema: './schema/images.schema.json', images };
+    const errors = ContentSchema.validate(manifest, readJSON(path.join(ROOT, 'content', 'schema', 'images.schema.json')));
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`content/images.json: ${ContentSchema.format(error)}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    fs.writeFileSync(MANIFEST_FILE, serialize(manifest));
+    const removed = removeStale(images);
+    console.log(`✓ Indexed ${images.length} image${images.length === 1 ? '' : 's'} in content/images.json${removed ? `, removed ${removed} stale file${removed === 1 ? '' : 's'}` : ''}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { generatedFiles, problems };
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Local mock for the contact form's POST transport, for testing offline
+ *
+ * Usage: node scripts/mock-endpoint.js [--port 8787] [--fail 2] [--status 503]
+ *   --fail N     answer the first N requests with --status, to exercise retries
+ *   --status S   status code for failed requests (default 503)
+ *
+ * Then point the form at it in contact.html:
+ *   <form ... data-contact-form data-endpoint="http://localhost:8787/contact">
+ * Received messages are printed to the console.
+ */
+
+'use strict';
+
+const http = require('http');
+
+function parseArgs(argv) {
+  const options = { port: 8787, fail: 0, status: 503 };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    const value = Number(argv[i + 1]);
+    if (!(key in options) || !Number.isInteger(value)) {
+      throw new Error(`Unknown option or invalid value: ${argv[i]} ${argv[i + 1] || ''}`);
+    }
+    options[key] = value;
+  }
+
+  return options;
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  let failuresLeft = options.fail;
+
+  const server = http.createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+      send(response, 204);
+      return;
+    }
+
+    if (request.method !== 'POST' || request.url !== '/contact') {
+      send(response, 404, { ok: false, error: 'Not found' });
+      return;
+    }
+
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`✗ Simulated ${options.status} (${failuresLeft} failures left)`);
+        send(response, options.status, { ok: false, error: 'Simulated failure' });
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        send(response, 400, { ok: false, error: 'Invalid JSON' });
+        return;
+      }
+
+      const missing = ['name', 'email', 'message'].filter(field => !message[field]);
+      if (missing.length > 0) {
+        send(response, 422, { ok: false, error: `Missing ${missing.join(', ')}` });
+        return;
+      }
+
+      console.log(`✓ Message from ${message.name} <${message.email}>${message.subject ? `: ${message.subject}` : ''}`);
+      console.log(message.message.replace(/^/gm, '  '));
+      send(response, 200, { ok: true });
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Mock contact endpoint on http://localhost:${options.port}/contact`);
+  });
+}
+
+main();
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Generate content/posts.json from the front matter of content/posts/*.md
+ *
+ * Usage: node scripts/posts-index.js [--check]
+ *   --check   don't write, exit with code 1 if content/posts.json is outdated
+ * Run it after adding or editing a post; validate-content.js runs the check.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Markdown = require('../js/markdown.js');
+const ContentSchema = require('../js/content-schema.js');
+
+const ROOT = path.join(__dirname, '..');
+const POSTS_DIR = path.join(ROOT, 'content', 'posts');
+const INDEX_FILE = path.join(ROOT, 'content', 'posts.json');
+
+// Front matter keys copied into the index, in this order
+const FIELDS = ['title', 'date', 'language', 'summary', 'tags', 'related_project'];
+
+/**
+ * Index entries for every post, newest first
+ */
+function buildIndex() {
+  const files = fs.existsSync(POSTS_DIR)
+    ? fs.readdirSync(POSTS_DIR).filter(file => file.endsWith('.md')).sort()
+    : [];
+
+  const posts = files.map(file => {
+    const { meta } = Markdown.parseFrontMatter(fs.readFileSync(path.join(POSTS_DIR, file), 'utf8'));
+    const entry = { slug: path.basename(file, '.md') };
+    FIELDS.forEach(field => {
+      if (meta[field] !== undefined && meta[field] !== '') entry[field] = meta[field];
+    });
+    return entry;
+  });
+
+  posts.sort((a, b) => String(b.date).localeCompare(String(a.date)) || a.slug.localeCompare(b.slug));
+  return { $schema: './schema/posts.schema.json', posts };
+}
+
+function serialize(index) {
+  return `${JSON.stringify(index, null, 2)}\n`;
+}
+
+/**
+ * Whether content/posts.json matches the posts on disk
+ */
+function isCurrent() {
+  return fs.existsSync(INDEX_FILE) && fs.readFileSync(INDEX_FILE, 'utf8') === serialize(buildIndex());
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+
+  try {
+    if (check) {
+      if (!isCurrent()) {
+        console.error('content/posts.json is outdated, run node scripts/posts-index.js');
+        process.exitCode = 1;
+        return;
+      }
+      console.log('✓ content/posts.json is up to date');
+      return;
+    }
+
+    const index = buildIndex();
+    const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'content', 'schema', 'posts.schema.json'), 'utf8'));
+    const errors = ContentSchema.validate(index, schema);
+
+    // Point errors at the post file rather than the generated index
+    errors.forEach(error => {
+      const match = error.path.match(/^posts\[(\d+)\]\.?(.*)$/);
+      const file = match ? `content/posts/${index.posts[Number(match[1])].slug}.md` : 'content/posts.json';
+      console.error(`${file}: ${ContentSchema.format({ path: match ? match[2] || '(front matter)' : error.path, message: error.message })}`);
+    });
+    if (errors.length > 0) {
+      process.exitCode = 1;
+      return;
+    }
+
+    fs.writeFileSync(INDEX_FILE, serialize(index));
+    console.log(`✓ Indexed ${index.posts.length} post${index.posts.length === 1 ? '' : 's'} in content/posts.json`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildIndex, isCurrent };
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Convert between the content files and JSON Resume (https://jsonresume.org)
+ *
+ * Usage:
+ *   node scripts/resume.js export [--lang en] [--out resume.json]
+ *     Write a resume.json for one language (stdout without --out). It
+ *     includes the decoded contact details, so don't commit it.
+ *   node scripts/resume.js import <resume.json> [--lang en] [--replace] [--dry-run]
+ *     Update content/timeline.json and content/projects.json. By default the
+ *     resume is merged into the existing content for --lang, keeping other
+ *     languages and the fields JSON Resume doesn't have; --replace builds
+ *     both files from the resume alone. --dry-run prints instead of writing.
+ *   node scripts/resume.js check
+ *     Exit with code 1 unless export and import round-trip every language
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const ContactData = require('../js/contact.js');
+const ContentSchema = require('../js/content-schema.js');
+const I18N = require('../js/i18n.js');
+const Resume = require('../js/resume.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Content files the importer writes
+const TARGETS = ['timeline', 'projects'];
+
+function parseArgs(argv) {
+  const options = { command: argv[0], file: null, lang: I18N.defaultLanguage, out: null, replace: false, dryRun: false };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--lang' || arg === '--out') {
+      if (!argv[i + 1]) throw new Error(`Missing value for ${arg}`);
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--replace') {
+      options.replace = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (!arg.startsWith('--') && !options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!['export', 'import', 'check'].includes(options.command)) {
+    throw new Error('Usage: node scripts/resume.js export|import|check (see the header of scripts/resume.js)');
+  }
+  if (options.command === 'import' && !options.file) throw new Error('import needs a resume.json file');
+  if (!I18N.languages.includes(options.lang)) throw new Error(`Unknown language: ${options.lang}`);
+
+  return options;
+}
+
+function readJSON(relativePath) {
+  return JSON.parse(fs.readFileSync(path.resolve(ROOT, relativePath), 'utf8'));
+}
+
+function loadContent() {
+  return {
+    timeline: readJSON('content/timeline.json').timeline,
+    projects: readJSON('content/projects.json').projects,
+    roles: readJSON('content/roles.json').roles
+  };
+}
+
+function renderContext(language) {
+  return {
+    language,
+    t: (key, params) => I18N.t(language, key, params),
+    localize: value => I18N.localize(language, value)
+  };
+}
+
+function exportResume(options) {
+  const resume = Resume.toResume(loadContent(), renderContext(options.lang), ContactData.decodeAll());
+  const json = `${JSON.stringify(resume, null, 2)}\n`;
+
+  if (!options.out) {
+    process.stdout.write(json);
+    return;
+  }
+  fs.writeFileSync(path.resolve(process.cwd(), options.out), json);
+  console.error(`✓ Wrote ${options.out} (${options.lang})`);
+}
+
+function importResume(options) {
+  const resume = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), options.file), 'utf8'));
+  const existing = options.replace ? undefined : loadContent();
+  const content = Resume.fromResume(resume, { language: options.lang, existing });
+
+  // Nothing is written unless both files are valid
+  const files = TARGETS.map(name => {
+    const data = { $schema: `./schema/${name}.schema.json`, [name]: content[name] };
+    const errors = ContentSchema.validate(data, readJSON(`content/schema/${name}.schema.json`));
+    errors.forEach(error => console.error(`content/${name}.json: ${ContentSchema.format(error)}`));
+    return { name, errors, json: `${JSON.stringify(data, null, 2)}\n` };
+  });
+
+  if (files.some(file => file.errors.length > 0)) {
+    throw new Error(`${options.file} doesn't produce valid content, nothing written`);
+  }
+
+  files.forEach(({ name, json }) => {
+    if (options.dryRun) {
+      process.stdout.write(json);
+      return;
+    }
+    fs.writeFileSync(path.join(ROOT, 'content', `${name}.json`), json);
+    console.log(`✓ Wrote content/${name}.json (${content[name].length} entries)`);
+  });
+}
+
+/**
+ * Export every language and import it back, both into the current content
+ * and from scratch; either way nothing the formats share may change
+ */
+function check() {
+  const content = loadContent();
+  const problems = [];
+
+  I18N.languages.forEach(language => {
+    const ctx = renderContext(language);
+    const resume = Resume.toResume(content, ctx);
+
+    const merged = Resume.fromResume(resume, { language, existing: content });
+    TARGETS.forEach(name => {
+      if (!util.isDeepStrictEqual(merged[name], content[name])) {
+        problems.push(`${language}: importing the export changes content/${name}.json`);
+      }
+    });
+
+    const imported = Resume.fromResume(resume, { language });
+    const again = Resume.toResume(Object.assign({}, imported, { roles: content.roles }), ctx);
+    if (!util.isDeepStrictEqual(again, resume)) {
+      problems.push(`${language}: exporting the imported resume doesn't reproduce it`);
+    }
+  });
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(problem));
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✓ JSON Resume round-trips (${I18N.languages.join(', ')})`);
+}
+
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.command === 'export') exportResume(options);
+    else if (options.command === 'import') importResume(options);
+    else check();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Print or check the JSON-LD structured data built from content/
+ *
+ * Usage: node scripts/structured-data.js [--lang en] [--check]
+ *   --lang L   language of the printed document (default en)
+ *   --check    don't print; validate every language, both as baked into the
+ *              pages and with the decoded contact details added at runtime,
+ *              make sure validate() rejects broken copies (BROKEN), and
+ *              exit with code 1 on any problem
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ContactData = require('../js/contact.js');
+const ContentSchema = require('../js/content-schema.js');
+const I18N = require('../js/i18n.js');
+const StructuredData = require('../js/structured-data.js');
+
+const ROOT = path.join(__dirname, '..');
+
+function readContent(name) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'content', `${name}.json`), 'utf8'))[name];
+}
+
+function renderContext(language) {
+  return {
+    language,
+    t: (key, params) => I18N.t(language, key, params),
+    localize: value => I18N.localize(language, value)
+  };
+}
+
+/**
+ * Contact fields the pages may show before the visitor interacts; the rest
+ * stays obfuscated (see ContactProtection in main.js)
+ */
+function publicContact(contact) {
+  return { name: contact.name, country: contact.country };
+}
+
+/**
+ * Broken copies of a built document validate() has to reject:
+ * [what's wrong, break(doc), expected message]
+ */
+const BROKEN = [
+  ['Person without name', doc => { delete person(doc).name; }, 'Person needs name'],
+  ['role without an organization name', doc => { delete person(doc).worksFor[0].worksFor.name; }, 'OrganizationRole needs worksFor.name'],
+  ['project by an unknown person', doc => { project(doc).creator = { '@id': 'https://example.com/#nobody' }; }, 'unknown @id'],
+  ['free-text start date', doc => { person(doc).worksFor[0].startDate = 'Nov 2025'; }, 'expected an ISO 8601 date'],
+  ['missing @context', doc => { delete doc['@context']; }, 'missing @context']
+];
+
+function person(doc) {
+  return doc['@graph'].find(node => node['@type'] === 'Person');
+}
+
+function project(doc) {
+  return doc['@graph'].find(node => node.creator);
+}
+
+/**
+ * BROKEN cases validate() lets through, as "<case>: <reason>"
+ */
+function checkValidator(doc) {
+  return BROKEN
+    .map(([name, breakDoc, expected]) => {
+      const copy = JSON.parse(JSON.stringify(doc));
+      breakDoc(copy);
+      const errors = StructuredData.validate(copy);
+      return errors.some(error => error.message.includes(expected))
+        ? null
+        : `validate() accepts a document with a ${name} (expected "${expected}")`;
+    })
+    .filter(Boolean);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const langIndex = args.indexOf('--lang');
+  const language = langIndex !== -1 ? args[langIndex + 1] : I18N.defaultLanguage;
+
+  try {
+    if (!I18N.languages.includes(language)) throw new Error(`Unknown language: ${language}`);
+
+    const content = { timeline: readContent('timeline'), projects: readContent('projects'), roles: readContent('roles') };
+    const contact = ContactData.decodeAll();
+
+    if (!args.includes('--check')) {
+      console.log(StructuredData.serialize(StructuredData.build(content, renderContext(language), publicContact(contact))));
+      return;
+    }
+
+    let problems = 0;
+    I18N.languages.forEach(lang => {
+      [['public', publicContact(contact)], ['decoded', contact]].forEach(([variant, fields]) => {
+        const errors = StructuredData.validate(StructuredData.build(content, renderContext(lang), fields));
+        errors.forEach(error => console.error(`${lang} (${variant}): ${ContentSchema.format(error)}`));
+        problems += errors.length;
+      });
+    });
+
+    const missed = checkValidator(StructuredData.build(content, renderContext(I18N.defaultLanguage), contact));
+    missed.forEach(problem => console.error(problem));
+    problems += missed.length;
+
+    if (problems > 0) {
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✓ Structured data has all required properties (${I18N.languages.join(', ')}), broken copies are rejected`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { publicContact };
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * Validate content/*.json against content/schema/*.schema.json
+ *
+ * Usage: node scripts/validate-content.js
+ * Exits with code 1 and prints one line per problem, e.g.
+ *   content/projects.json: projects[3].links: expected object
+ *
+ * Posts are also checked against the rest of the content: related_project
+ * must name a project, and content/posts.json must match the front matter in
+ * content/posts/. Tags of projects, roles and posts, project techStack and
+ * timeline skills must name a skill in content/skills.json or one of its
+ * aliases, and no name may belong to two skills.
+ * content/images.json must list the images projects.json and the pages use,
+ * unchanged, with every generated variant and placeholder in place.
+ * Demos must belong to a project that links to them, and their data is
+ * checked against content/schema/<demo id>.schema.json. Timeline
+ * coordinates must lie within the map's land outlines (content/land.geojson).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ContentSchema = require('../js/content-schema.js');
+const Render = require('../js/render.js');
+const Skills = require('../js/skills.js');
+const Images = require('./images.js');
+const PostsIndex = require('./posts-index.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const FILES = [
+  { file: 'content/projects.json', schema: 'content/schema/projects.schema.json', key: 'projects', idField: 'id' },
+  { file: 'content/timeline.json', schema: 'content/schema/timeline.schema.json', key: 'timeline', check: checkTimeline },
+  { file: 'content/roles.json', schema: 'content/schema/roles.schema.json', key: 'roles' },
+  { file: 'content/posts.json', schema: 'content/schema/posts.schema.json', key: 'posts', idField: 'slug', check: checkPosts },
+  { file: 'content/images.json', schema: 'content/schema/images.schema.json', key: 'images', idField: 'src', check: checkImages },
+  { file: 'content/demos.json', schema: 'content/schema/demos.schema.json', key: 'demos', idField: 'id', check: checkDemos },
+  { file: 'content/skills.json', schema: 'content/schema/skills.schema.json', key: 'skills', idField: 'id', check: checkSkills },
+  { file: 'content/land.geojson', schema: 'content/schema/land.schema.json', key: 'features', check: checkLand }
+];
+
+function readJSON(relativePath) {
+  const text = fs.readFileSync(path.join(ROOT, relativePath), 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`invalid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Schema can't express "unique by key", so check ids separately
+ */
+function findDuplicateIds(list, key, idField) {
+  const seen = new Map();
+  const errors = [];
+
+  list.forEach((entry, index) => {
+    const id = entry && entry[idField];
+    if (typeof id !== 'string') return;
+
+    if (seen.has(id)) {
+      errors.push({ path: `${key}[${index}].${idField}`, message: `duplicate "${id}" (first used by ${key}[${seen.get(id)}])` });
+    } else {
+      seen.set(id, index);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Cross-file checks for the posts index
+ */
+function checkPosts(data) {
+  const projectIds = new Set((readJSON('content/projects.json').projects || []).map(project => project.id));
+  const errors = [];
+
+  (data.posts || []).forEach((post, index) => {
+    if (post.related_project && !projectIds.has(post.related_project)) {
+      errors.push({ path: `posts[${index}].related_project`, message: `no project with id "${post.related_project}"` });
+    }
+  });
+
+  if (!PostsIndex.isCurrent()) {
+    errors.push({ path: '(root)', message: 'outdated, run node scripts/posts-index.js' });
+  }
+
+  return errors;
+}
+
+/**
+ * Every skill named anywhere in the content must be in the registry, under
+ * its name or an alias that no other skill claims
+ */
+function checkSkills(data) {
+  const categories = data.skills || [];
+  const content = {
+    projects: readJSON('content/projects.json').projects,
+    roles: readJSON('content/roles.json').roles,
+    timeline: readJSON('content/timeline.json').timeline,
+    posts: readJSON('content/posts.json').posts
+  };
+
+  return [
+    ...Skills.conflicts(categories).map(({ name, skills }) => ({
+      path: 'skills',
+      message: `"${name}" names more than one skill (${skills.join(', ')})`
+    })),
+    ...Skills.unknownTags(categories, content).map(({ file, path: where, tag }) => ({
+      path: `${file} ${where}`,
+      message: `unknown skill "${tag}" (add it or an alias to content/skills.json)`
+    }))
+  ];
+}
+
+/**
+ * The image manifest must match the images projects.json and the pages use
+ */
+function checkImages() {
+  return Images.problems().map(problem => ({ path: '(root)', message: `${problem}, run node scripts/images.js` }));
+}
+
+/**
+ * Timeline entries must be placed where the map has outlines to show
+ */
+function checkTimeline(data) {
+  const [west, south, east, north] = readJSON('content/land.geojson').bbox || [];
+  const errors = [];
+
+  (data.timeline || []).forEach((entry, index) => {
+    const [longitude, latitude] = entry.coordinates || [];
+    if (!entry.coordinates || typeof longitude !== 'number' || typeof latitude !== 'number') return;
+    if (longitude < west || longitude > east || latitude < south || latitude > north) {
+      errors.push({ path: `timeline[${index}].coordinates`, message: `outside the map (content/land.geojson bbox ${[west, south, east, north].join(', ')}); coordinates are [longitude, latitude]` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Rings must be closed and the bbox must cover every polygon
+ */
+function checkLand(data) {
+  const errors = [];
+  const bbox = data.bbox || [];
+  const outside = ([longitude, latitude]) =>
+    longitude < bbox[0] || longitude > bbox[2] || latitude < bbox[1] || latitude > bbox[3];
+
+  (data.features || []).forEach((feature, index) => {
+    const geometry = feature && feature.geometry;
+    if (!geometry || !Array.isArray(geometry.coordinates)) return;
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+    polygons.flat().forEach(ring => {
+      const first = ring[0] || [];
+      const last = ring[ring.length - 1] || [];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        errors.push({ path: `features[${index}]`, message: `ring starting at ${first.join(', ')} isn't closed` });
+      }
+      if (ring.some(outside)) {
+        errors.push({ path: `features[${index}]`, message: 'lies outside bbox' });
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Demos and the project links pointing at them must agree, and the files
+ * they load must exist and be valid
+ */
+function checkDemos(data) {
+  const projects = readJSON('content/projects.json').projects || [];
+  const demos = data.demos || [];
+  const errors = [];
+
+  demos.forEach((demo, index) => {
+    const project = projects.find(entry => entry.id === demo.project);
+    if (!project) {
+      errors.push({ path: `demos[${index}].project`, message: `no project with id "${demo.project}"` });
+    } else if ((project.links || {}).demo !== Render.demoRoute(demo.id)) {
+      errors.push({ path: `demos[${index}]`, message: `project "${demo.project}" doesn't link to it (links.demo: "${Render.demoRoute(demo.id)}")` });
+    }
+
+    ['script', 'data'].forEach(field => {
+      if (demo[field] && !fs.existsSync(path.join(ROOT, demo[field]))) {
+        errors.push({ path: `demos[${index}].${field}`, message: `file not found: ${demo[field]}` });
+      }
+    });
+
+    const schema = `content/schema/${demo.id}.schema.json`;
+    if (demo.data && fs.existsSync(path.join(ROOT, demo.data)) && fs.existsSync(path.join(ROOT, schema))) {
+      ContentSchema.validate(readJSON(demo.data), readJSON(schema)).forEach(error => {
+        errors.push({ path: `${demo.data} ${error.path}`, message: error.message });
+      });
+    }
+  });
+
+  projects.forEach((project, index) => {
+    const id = Render.demoId((project.links || {}).demo);
+    if (id && !demos.some(demo => demo.id === id)) {
+      errors.push({ path: `content/projects.json projects[${index}].links.demo`, message: `no demo with id "${id}"` });
+    }
+  });
+
+  return errors;
+}
+
+function main() {
+  let failed = false;
+
+  FILES.forEach(({ file, schema, key, idField, check }) => {
+    let errors;
+
+    try {
+      const data = readJSON(file);
+      errors = ContentSchema.validate(data, readJSON(schema));
+
+      if (idField && Array.isArray(data[key])) {
+        errors = errors.concat(findDuplicateIds(data[key], key, idField));
+      }
+      if (check) {
+        errors = errors.concat(check(data));
+      }
+    } catch (error) {
+      errors = [{ path: '(root)', message: error.message }];
+    }
+
+    if (errors.length === 0) {
+      console.log(`✓ ${file}`);
+      return;
+    }
+
+    failed = true;
+    errors.forEach(error => console.error(`${file}: ${ContentSchema.format(error)}`));
+  });
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
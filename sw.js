@@ -0,0 +1,155 @@
+/**
+ * Sebastian Gerken Portfolio - Service Worker
+ * Precaches the site for offline use. Pages are network-first, assets and
+ * content stale-while-revalidate. When a revalidated content file differs
+ * from the cached copy, open pages get a 'content-updated' message and can
+ * re-render in place (see ContentUpdates in main.js).
+ *
+ * scripts/build.js stamps VERSION with a hash of the built files, so every
+ * deploy gets a fresh cache and the old ones are deleted on activate.
+ */
+
+'use strict';
+
+// BEGIN VERSION (generated, do not edit)
+const VERSION = 'dev';
+// END VERSION
+
+const CACHE_PREFIX = 'portfolio-';
+const CACHE = `${CACHE_PREFIX}${VERSION}`;
+
+// BEGIN PRECACHE (checked by scripts/build.js, which adds the image variants)
+const PRECACHE = [
+  "./",
+  "index.html",
+  "about.html",
+  "cv.html",
+  "contact.html",
+  "notes.html",
+  "impressum.html",
+  "datenschutz.html",
+  "favicon.svg",
+  "css/variables.css",
+  "css/base.css",
+  "css/layout.css",
+  "css/components.css",
+  "css/animations.css",
+  "css/responsive.css",
+  "css/print.css",
+  "js/theme-init.js",
+  "js/html.js",
+  "js/i18n.js",
+  "js/content-schema.js",
+  "js/render.js",
+  "js/geo-map.js",
+  "js/skills.js",
+  "js/resume.js",
+  "js/structured-data.js",
+  "js/markdown.js",
+  "js/contact.js",
+  "js/qrcode.js",
+  "js/main.js",
+  "js/demos/trajectory-fusion.js",
+  "assets/images/headshot.png",
+  "content/projects.json",
+  "content/timeline.json",
+  "content/roles.json",
+  "content/posts.json",
+  "content/images.json",
+  "content/demos.json",
+  "content/demos/trajectory-fusion.json",
+  "content/skills.json",
+  "content/land.geojson",
+  "content/schema/projects.schema.json",
+  "content/schema/timeline.schema.json",
+  "content/schema/roles.schema.json",
+  "content/schema/posts.schema.json",
+  "content/schema/images.schema.json",
+  "content/schema/demos.schema.json",
+  "content/schema/skills.schema.json",
+  "content/schema/land.schema.json"
+];
+// END PRECACHE
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  const content = url.pathname.match(/\/content\/([\w-]+)\.json$/);
+  event.respondWith(staleWhileRevalidate(event, request, content && content[1]));
+});
+
+/**
+ * Fresh pages when online, the cached copy (or the home page) offline
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    return (await cache.match(request, { ignoreSearch: true })) || cache.match('index.html');
+  }
+}
+
+/**
+ * Answer from the cache and refresh it in the background. For content files
+ * (`name` set), open pages are told when the refreshed copy differs.
+ */
+async function staleWhileRevalidate(event, request, name) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  // Clone before `cached` goes to the page and its body is consumed
+  const previous = name && cached ? cached.clone() : null;
+
+  const refresh = fetch(request)
+    .then(async (response) => {
+      if (!response.ok) return response;
+
+      const changed = previous && await previous.text() !== await response.clone().text();
+      await cache.put(request, response.clone());
+      if (changed) await notify(name);
+      return response;
+    });
+
+  if (!cached) return refresh;
+
+  // Keep the worker alive until the cache is updated; offline is fine
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+async function notify(name) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'content-updated', name }));
+}